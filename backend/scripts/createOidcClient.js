@@ -0,0 +1,47 @@
+// ------------------------------------------------------------------------------------
+// 🧩 Register an application that signs users in through this service (OIDC client)
+// ------------------------------------------------------------------------------------
+//
+// Usage:
+//   npm run oidc:create-client -- "<App Name>" <redirectUri> [<redirectUri> ...] [--public]
+//
+// Confidential clients get a client secret, printed once. Public clients (SPAs,
+// mobile apps) get none and must use PKCE alone.
+
+import dotenv from "dotenv";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { connectDb } from "../src/utils/connectDb.js";
+import { OAuthClient } from "../src/models/oauthClient.model.js";
+import { hashToken } from "../src/utils/generateTokenAndSetCookie.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const isPublic = args.includes("--public");
+const [name, ...redirectUris] = args.filter((arg) => arg !== "--public");
+
+if (!name || redirectUris.length === 0) {
+    console.error('Usage: npm run oidc:create-client -- "<App Name>" <redirectUri> [...] [--public]');
+    process.exit(1);
+}
+
+await connectDb();
+
+const clientId = crypto.randomBytes(16).toString("hex");
+const clientSecret = isPublic ? null : crypto.randomBytes(32).toString("base64url");
+
+await OAuthClient.create({
+    clientId,
+    clientSecretHash: clientSecret ? hashToken(clientSecret) : undefined,
+    name,
+    redirectUris,
+});
+
+console.log("✅ OIDC client registered");
+console.log(`   client_id:     ${clientId}`);
+if (clientSecret) {
+    console.log(`   client_secret: ${clientSecret}   (shown only once)`);
+}
+
+await mongoose.disconnect();
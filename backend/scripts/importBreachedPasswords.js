@@ -0,0 +1,100 @@
+// ------------------------------------------------------------------------------------
+// 🕵️ Build the offline breached-password corpus
+// ------------------------------------------------------------------------------------
+//
+// Usage:
+//   npm run passwords:import-breached -- <file> [--plain]
+//
+// <file> holds one "SHA1:COUNT" per line (the Have I Been Pwned "ordered by hash"
+// download), or one plain password per line with --plain (e.g. a common-password list).
+// Entries are merged into the range files in BREACHED_PASSWORDS_DIR
+// (default backend/breached-passwords), see src/utils/breachedPasswords.js.
+// Running it again with another file adds to the corpus.
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { getBreachedPasswordsDir, toRange } from "../src/utils/breachedPasswords.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const plain = args.includes("--plain");
+const [file] = args.filter((arg) => arg !== "--plain");
+
+if (!file) {
+    console.error("Usage: npm run passwords:import-breached -- <file> [--plain]");
+    process.exit(1);
+}
+
+const dir = getBreachedPasswordsDir();
+fs.mkdirSync(dir, { recursive: true });
+
+// Entries waiting to be written: prefix -> (suffix -> count)
+const FLUSH_EVERY = 500000;
+let pending = new Map();
+let pendingCount = 0;
+
+const add = (prefix, suffix, count) => {
+    if (!pending.has(prefix)) pending.set(prefix, new Map());
+    const suffixes = pending.get(prefix);
+    suffixes.set(suffix, (suffixes.get(suffix) || 0) + count);
+    pendingCount++;
+};
+
+// Merge pending entries into their range files (kept sorted, one "SUFFIX:COUNT" per line)
+const flush = () => {
+    for (const [prefix, suffixes] of pending) {
+        const filePath = path.join(dir, `${prefix}.txt`);
+
+        if (fs.existsSync(filePath)) {
+            for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+                const [suffix, count] = line.trim().split(":");
+                if (suffix) suffixes.set(suffix, (suffixes.get(suffix) || 0) + (parseInt(count, 10) || 1));
+            }
+        }
+
+        const lines = [...suffixes].sort(([a], [b]) => (a < b ? -1 : 1)).map(([suffix, count]) => `${suffix}:${count}`);
+        fs.writeFileSync(filePath, lines.join("\n") + "\n");
+    }
+
+    pending = new Map();
+    pendingCount = 0;
+};
+
+const HASH_LINE = /^([0-9A-Fa-f]{40})(?::(\d+))?$/;
+let imported = 0;
+let skipped = 0;
+
+const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+for await (const rawLine of lines) {
+    if (plain) {
+        // Passwords are taken as-is (only the line break is removed)
+        if (!rawLine) continue;
+        const { prefix, suffix } = toRange(rawLine);
+        add(prefix, suffix, 1);
+    } else {
+        const match = HASH_LINE.exec(rawLine.trim());
+        if (!match) {
+            skipped++;
+            continue;
+        }
+        const hash = match[1].toUpperCase();
+        add(hash.slice(0, 5), hash.slice(5), parseInt(match[2], 10) || 1);
+    }
+
+    imported++;
+    if (pendingCount >= FLUSH_EVERY) {
+        flush();
+        console.log(`… ${imported} entries imported`);
+    }
+}
+
+flush();
+
+console.log(`✅ Imported ${imported} entries into ${dir}`);
+if (skipped > 0) {
+    console.warn(`⚠️ Skipped ${skipped} line(s) that were not "SHA1:COUNT" (use --plain for password lists)`);
+}
@@ -0,0 +1,225 @@
+// ------------------------------------------------------------------------------------
+// 🧪 Mock OpenID Connect provider for trying "Continue with ..." locally
+// ------------------------------------------------------------------------------------
+//
+// Usage:
+//   npm run oauth:mock-provider            (listens on MOCK_OIDC_PORT, default 4000)
+//
+// Then add to .env and restart the server:
+//   OAUTH_PROVIDERS=mock
+//   OAUTH_MOCK_NAME=Mock Provider
+//   OAUTH_MOCK_ISSUER=http://localhost:4000
+//   OAUTH_MOCK_CLIENT_ID=mock-client
+//   OAUTH_MOCK_CLIENT_SECRET=mock-secret
+//
+// The consent page lets you sign in as any email, verified or not, so linking,
+// new accounts and the "email not verified" rejection can all be tried without a real
+// provider. Everything is kept in memory; the signing key changes on every start.
+//
+// The automated tests (backend/tests/oauth.test.js) start the same server with
+// `startMockOidcProvider()` on a free port.
+
+import dotenv from "dotenv";
+import crypto from "crypto";
+import http from "http";
+import jwt from "jsonwebtoken";
+import { pathToFileURL } from "url";
+
+const CODE_TTL_MS = 60 * 1000;
+
+const escapeHtml = (value) =>
+    String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(body));
+};
+
+const readForm = async (req) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    return Object.fromEntries(new URLSearchParams(body));
+};
+
+// The same email always gets the same subject, like a real account at the provider
+const subjectFor = (email) => crypto.createHash("sha256").update(email.toLowerCase()).digest("hex").slice(0, 24);
+
+const consentPage = (params) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Mock Provider</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 420px; margin: 40px auto;">
+  <h1>Mock Provider</h1>
+  <p>Sign in to <strong>${escapeHtml(params.client_id)}</strong> as:</p>
+  <form method="post" action="/authorize">
+    ${Object.entries(params)
+        .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+        .join("\n    ")}
+    <p><label>Email<br><input name="email" type="email" required value="test@example.com"></label></p>
+    <p><label>Name<br><input name="name" value="Test User"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <button name="decision" value="allow">Continue</button>
+    <button name="decision" value="deny" formnovalidate>Cancel</button>
+  </form>
+</body>
+</html>`;
+
+/**
+ * Start the mock provider.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.clientId]
+ * @param {string} [options.clientSecret]
+ * @returns {Promise<{issuer: string, close: () => Promise<void>}>}
+ */
+export const startMockOidcProvider = async ({ port = 0, clientId = "mock-client", clientSecret = "mock-secret" } = {}) => {
+    let issuer = null; // Known once the server listens
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const KEY_ID = crypto.randomBytes(8).toString("hex");
+    const jwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" };
+
+    // Authorization code -> the request it answers and the chosen identity
+    const codes = new Map();
+    // Access token -> userinfo claims
+    const accessTokens = new Map();
+
+    // ====================================================================================
+    // 🔧 Endpoints
+    // ====================================================================================
+    const handlers = {
+        "GET /.well-known/openid-configuration": (req, res) =>
+            sendJson(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                userinfo_endpoint: `${issuer}/userinfo`,
+                jwks_uri: `${issuer}/jwks`,
+                response_types_supported: ["code"],
+                subject_types_supported: ["public"],
+                id_token_signing_alg_values_supported: ["RS256"],
+                code_challenge_methods_supported: ["S256"],
+                scopes_supported: ["openid", "email", "profile"],
+            }),
+
+        "GET /jwks": (req, res) => sendJson(res, 200, { keys: [jwk] }),
+
+        // 1. Show the consent page
+        "GET /authorize": (req, res, url) => {
+            const params = Object.fromEntries(url.searchParams);
+            if (params.client_id !== clientId || !params.redirect_uri || params.code_challenge_method !== "S256") {
+                return sendJson(res, 400, { error: "invalid_request" });
+            }
+
+            res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+            res.end(consentPage(params));
+        },
+
+        // 2. Redirect back with a code (or with error=access_denied)
+        "POST /authorize": async (req, res) => {
+            const form = await readForm(req);
+            const redirect = new URL(form.redirect_uri);
+            if (form.state) redirect.searchParams.set("state", form.state);
+
+            if (form.decision !== "allow") {
+                redirect.searchParams.set("error", "access_denied");
+            } else {
+                const code = crypto.randomBytes(24).toString("base64url");
+                codes.set(code, {
+                    redirectUri: form.redirect_uri,
+                    nonce: form.nonce,
+                    codeChallenge: form.code_challenge,
+                    claims: {
+                        sub: subjectFor(form.email),
+                        email: form.email,
+                        email_verified: form.email_verified === "on",
+                        name: form.name || form.email,
+                    },
+                    expiresAt: Date.now() + CODE_TTL_MS,
+                });
+                redirect.searchParams.set("code", code);
+            }
+
+            res.writeHead(302, { Location: redirect.toString() });
+            res.end();
+        },
+
+        // 3. Exchange the code for tokens (client secret and PKCE verifier are checked)
+        "POST /token": async (req, res) => {
+            const form = await readForm(req);
+            const grant = codes.get(form.code);
+            codes.delete(form.code);
+
+            if (form.client_id !== clientId || form.client_secret !== clientSecret) {
+                return sendJson(res, 401, { error: "invalid_client" });
+            }
+
+            const challenge = crypto.createHash("sha256").update(String(form.code_verifier)).digest("base64url");
+            if (
+                !grant
+                || grant.expiresAt < Date.now()
+                || grant.redirectUri !== form.redirect_uri
+                || grant.codeChallenge !== challenge
+            ) {
+                return sendJson(res, 400, { error: "invalid_grant" });
+            }
+
+            const accessToken = crypto.randomBytes(24).toString("base64url");
+            accessTokens.set(accessToken, grant.claims);
+
+            const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+                algorithm: "RS256",
+                keyid: KEY_ID,
+                issuer,
+                audience: clientId,
+                expiresIn: "5m",
+            });
+
+            sendJson(res, 200, { access_token: accessToken, token_type: "Bearer", expires_in: 300, id_token: idToken });
+        },
+
+        "GET /userinfo": (req, res) => {
+            const claims = accessTokens.get((req.headers.authorization || "").replace(/^Bearer /, ""));
+            if (!claims) return sendJson(res, 401, { error: "invalid_token" });
+            sendJson(res, 200, claims);
+        },
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, issuer);
+        const handler = handlers[`${req.method} ${url.pathname}`];
+
+        try {
+            if (!handler) return sendJson(res, 404, { error: "not_found" });
+            await handler(req, res, url);
+        } catch (error) {
+            console.error("❌ Mock provider error:", error.message);
+            sendJson(res, 500, { error: "server_error" });
+        }
+    });
+
+    await new Promise((resolve) => server.listen(port, resolve));
+    issuer = `http://localhost:${server.address().port}`;
+
+    return {
+        issuer,
+        close: () => new Promise((resolve) => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        }),
+    };
+};
+
+// Run from the command line (npm run oauth:mock-provider)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    dotenv.config();
+
+    const clientId = process.env.OAUTH_MOCK_CLIENT_ID || "mock-client";
+    const clientSecret = process.env.OAUTH_MOCK_CLIENT_SECRET || "mock-secret";
+    const { issuer } = await startMockOidcProvider({
+        port: parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000,
+        clientId,
+        clientSecret,
+    });
+    console.log(`🧪 Mock OpenID Connect provider running at ${issuer} (client "${clientId}" / "${clientSecret}")`);
+}
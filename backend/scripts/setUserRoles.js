@@ -0,0 +1,42 @@
+// ------------------------------------------------------------------------------------
+// 🛡️ Set the roles of a user (e.g. to create the first admin)
+// ------------------------------------------------------------------------------------
+//
+// Usage:
+//   npm run users:set-roles -- <email> <role> [<role> ...]
+//
+// Available roles are defined in src/utils/permissions.js.
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDb } from "../src/utils/connectDb.js";
+import { User } from "../src/models/user.model.js";
+import { ROLES } from "../src/utils/permissions.js";
+
+dotenv.config();
+
+const [email, ...roles] = process.argv.slice(2);
+
+if (!email || roles.length === 0) {
+    console.error("Usage: npm run users:set-roles -- <email> <role> [<role> ...]");
+    process.exit(1);
+}
+
+const unknownRoles = roles.filter((role) => !ROLES.includes(role));
+if (unknownRoles.length > 0) {
+    console.error(`Unknown role(s): ${unknownRoles.join(", ")}. Available: ${ROLES.join(", ")}`);
+    process.exit(1);
+}
+
+await connectDb();
+
+const user = await User.findOneAndUpdate({ email }, { roles }, { new: true });
+
+if (user) {
+    console.log(`✅ ${user.email} now has role(s): ${user.roles.join(", ")}`);
+} else {
+    console.error(`❌ No user found with email ${email}`);
+    process.exitCode = 1;
+}
+
+await mongoose.disconnect();
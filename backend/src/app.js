@@ -6,12 +6,21 @@ import express from "express";
 // Import authentication-related routes (login, signup, etc.)
 import authRoutes from "./routes/auth.route.js";
 
+// Import admin routes (user management)
+import adminRoutes from "./routes/admin.route.js";
+
+// Import OpenID Connect provider routes (discovery, authorize, token, userinfo)
+import oidcRoutes from "./routes/oidc.route.js";
+
 // Import Morgan: a logging middleware to show request info in console
 import morgan from "morgan";
 
 // Import Cookie Parser to parse cookies from HTTP requests (used for sessions/auth)
 import cookieParser from "cookie-parser";
 
+// Import the file storage (serves uploaded avatars when stored on local disk)
+import { getStorage } from "./storage/index.js";
+
 // Import CORS middleware to allow cross-origin requests (from frontend to backend)
 import cors from "cors";
 
@@ -24,6 +33,9 @@ const app = express(); // Create an Express app instance
 // Parse incoming JSON requests (req.body will be populated with JSON content)
 app.use(express.json());
 
+// Parse URL-encoded form bodies (used by OAuth clients calling the /token endpoint)
+app.use(express.urlencoded({ extended: false }));
+
 // Use Morgan to log HTTP requests in the "dev" format (method, URL, status, response time)
 app.use(morgan("dev"));
 
@@ -36,12 +48,26 @@ app.use(cors({
     credentials: true,               // Allow sending credentials (cookies, headers, etc.)
 }));
 
+// Serve uploaded files (avatars) when the storage adapter keeps them locally
+const storage = getStorage();
+if (storage.middleware) {
+    app.use("/uploads", storage.middleware());
+}
+
 // -------------------- Route Registration --------------------
 
 // Prefix all routes in authRoutes with "/api/v1/auth"
 // Example: POST /api/v1/auth/signup or /login
 app.use("/api/v1/auth", authRoutes);
 
+// Admin API, protected by roles/permissions
+// Example: GET /api/v1/admin/users?search=john&page=2
+app.use("/api/v1/admin", adminRoutes);
+
+// OpenID Connect provider endpoints live at the issuer root
+// Example: GET /.well-known/openid-configuration or POST /token
+app.use("/", oidcRoutes);
+
 // -------------------- Export the App --------------------
 
 // Export the Express app to be used in the main server entry point (like index.js or server.js)
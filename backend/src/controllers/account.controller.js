@@ -0,0 +1,227 @@
+// Import the User model and the models holding the user's other data
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { Passkey } from "../models/passkey.model.js";
+import { AuditEvent } from "../models/auditEvent.model.js";
+import { EmailOutbox } from "../models/emailOutbox.model.js";
+import { OneTimeToken } from "../models/oneTimeToken.model.js";
+
+// Check the current password
+import { verifyPassword } from "../utils/password.js";
+
+// Email handler for the deletion notice
+import { sendAccountDeletionScheduledEmail } from "../mailtrap/emails.js";
+
+// Saves the schedule and queues its email together
+import { withTransaction } from "../utils/transaction.js";
+
+// Scheduled deletion and the background purge
+import { getDeletionGracePeriodMs, purgeScheduledDeletions } from "../utils/accountDeletion.js";
+
+// Security audit log
+import { recordAuditEvent, revealAuditPseudonyms } from "../utils/audit.js";
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// Token hashes, encrypted secrets and lockout bookkeeping never leave the server.
+// The token fields are only left on accounts from before one-time tokens moved to
+// their own collection.
+const EXPORT_EXCLUDED_FIELDS = [
+    "password",
+    "unlockToken",
+    "unlockTokenExpiresAt",
+    "passwordlessToken",
+    "passwordlessMethod",
+    "passwordlessTokenExpiresAt",
+    "passwordlessAttempts",
+    "emailChangeToken",
+    "emailRevertToken",
+    "failedLoginAttempts",
+    "lastFailedLoginAt",
+    "__v",
+];
+
+// ====================================================================================
+// 🗑️ Purge accounts whose deletion grace period is over
+// ====================================================================================
+setInterval(async () => {
+    try {
+        const deleted = await purgeScheduledDeletions();
+
+        if (deleted > 0) {
+            console.log(`🗑️ Deleted ${deleted} account(s) scheduled for deletion.`);
+        }
+    } catch (error) {
+        console.error("❌ Error deleting scheduled accounts:", error.message);
+    }
+}, 60 * 60 * 1000); // Runs every 1 hour
+
+// ====================================================================================
+// 📦 Export My Data Controller (GDPR data portability)
+// ====================================================================================
+// Sends everything stored about the user as a downloadable JSON file
+export const exportMyData = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        // 1. Profile without secrets
+        const profile = user.toObject();
+        for (const field of EXPORT_EXCLUDED_FIELDS) {
+            delete profile[field];
+        }
+        profile.twoFactor = { enabled: Boolean(user.twoFactor?.enabled) };
+
+        // 2. Related records (passkeys without their public keys, emails without their
+        // bodies and one-time tokens without their hashes: both would hold live codes)
+        const addresses = [user.email, user.pendingEmail, user.previousEmail].filter(Boolean);
+        const [sessions, passkeys, emails, oneTimeTokens, auditEvents] = await Promise.all([
+            Session.find({ user: user._id }).select("-__v").sort({ createdAt: -1 }).lean(),
+            Passkey.find({ user: user._id }).select("name deviceType backedUp transports lastUsedAt createdAt").lean(),
+            EmailOutbox.find({ "to.email": { $in: addresses } })
+                .select("from to subject category status attempts sentAt failedAt createdAt")
+                .sort({ createdAt: -1 })
+                .lean(),
+            OneTimeToken.find({ user: user._id })
+                .select("purpose attempts usedAt expiresAt createdAt")
+                .sort({ createdAt: -1 })
+                .lean(),
+            AuditEvent.find({ $or: [{ actor: user._id }, { target: user._id }] })
+                .select("action outcome reason ip userAgent metadata createdAt")
+                .sort({ seq: 1 })
+                .lean(),
+        ]);
+
+        await recordAuditEvent(req, { action: "account.export" });
+
+        // 3. Send as an attachment
+        const filename = `account-data-${new Date().toISOString().slice(0, 10)}.json`;
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        return res.status(200).json({
+            exportedAt: new Date().toISOString(),
+            profile,
+            sessions,
+            passkeys,
+            emails,
+            oneTimeTokens,
+            auditEvents: await revealAuditPseudonyms(auditEvents),
+        });
+    } catch (error) {
+        console.error("❌ Data export error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while exporting your data.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🗑️ Request Account Deletion Controller
+// ====================================================================================
+// Schedules the deletion; the account stays usable (and the deletion cancellable)
+// until the grace period is over
+export const requestAccountDeletion = async (req, res) => {
+    const { password } = req.body;
+
+    // 1. Validate input
+    if (!password) {
+        return res.status(400).json({
+            success: false,
+            message: "Please enter your password to delete your account.",
+        });
+    }
+
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        // 2. Re-authenticate
+        const isMatch = await verifyPassword(password, user.password);
+        if (!isMatch) {
+            await recordAuditEvent(req, { action: "account.deletion_scheduled", outcome: "failure", reason: "invalid_password" });
+            return res.status(401).json({
+                success: false,
+                message: "Password is incorrect.",
+            });
+        }
+
+        // 3. Schedule (asking again keeps the original date)
+        if (!user.deletionScheduledAt) {
+            user.deletionScheduledAt = new Date(Date.now() + getDeletionGracePeriodMs());
+            await withTransaction(async (session) => {
+                await user.save({ session });
+                await sendAccountDeletionScheduledEmail(
+                    user.email,
+                    user.deletionScheduledAt,
+                    `${getClientUrl()}/login`,
+                    { session, locale: user.locale, timeZone: user.timezone }
+                );
+            });
+
+            await recordAuditEvent(req, {
+                action: "account.deletion_scheduled",
+                metadata: { deletionScheduledAt: user.deletionScheduledAt },
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Your account is scheduled for deletion. You can cancel until then.",
+            deletionScheduledAt: user.deletionScheduledAt,
+        });
+    } catch (error) {
+        console.error("❌ Account deletion request error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while scheduling account deletion.",
+        });
+    }
+};
+
+// ====================================================================================
+// ↩️ Cancel Account Deletion Controller
+// ====================================================================================
+export const cancelAccountDeletion = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        if (!user.deletionScheduledAt) {
+            return res.status(400).json({
+                success: false,
+                message: "Your account is not scheduled for deletion.",
+            });
+        }
+
+        user.deletionScheduledAt = undefined;
+        await user.save();
+
+        await recordAuditEvent(req, { action: "account.deletion_cancelled" });
+
+        return res.status(200).json({
+            success: true,
+            message: "Account deletion cancelled.",
+        });
+    } catch (error) {
+        console.error("❌ Cancel account deletion error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while cancelling account deletion.",
+        });
+    }
+};
@@ -0,0 +1,637 @@
+// Import mongoose to validate ObjectId route params
+import mongoose from "mongoose";
+
+// Import the User and Session models from the database schema
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+
+// Role definitions and permission checks
+import { ROLES, getUserPermissions, hasPermission } from "../utils/permissions.js";
+
+// Session revocation also revokes the session's refresh tokens
+import { revokeSession } from "../utils/generateTokenAndSetCookie.js";
+
+// Removes a user and everything that references it
+import { deleteUserAccount } from "../utils/accountDeletion.js";
+
+// Clears failed-login counters and locks
+import { clearFailedLogins } from "../utils/accountLockout.js";
+
+// Security audit log
+import { recordAuditEvent, revealAuditPseudonyms, verifyAuditChain } from "../utils/audit.js";
+import { AuditEvent } from "../models/auditEvent.model.js";
+
+// Email handler for the forced password reset
+import { sendPasswordResetEmail } from "../mailtrap/emails.js";
+
+// Reset links and pending verification codes
+import { issueOneTimeToken, revokeOneTimeTokens } from "../utils/oneTimeToken.js";
+
+// Saves the reset token and its queued email together
+import { withTransaction } from "../utils/transaction.js";
+
+// Fields that must never leave the server, whatever the admin asks for (the token
+// fields are only left on accounts from before one-time tokens had their own collection)
+const SENSITIVE_FIELDS = [
+    "-password",
+    "-passwordlessToken",
+    "-passwordlessMethod",
+    "-passwordlessTokenExpiresAt",
+    "-passwordlessAttempts",
+    "-twoFactor.secret",
+    "-twoFactor.pendingSecret",
+    "-twoFactor.recoveryCodes",
+    "-twoFactor.lastUsedStep",
+    "-unlockToken",
+    "-unlockTokenExpiresAt",
+    "-emailChangeToken",
+    "-emailRevertToken",
+].join(" ");
+
+// Columns the user list may be sorted by
+const SORTABLE_FIELDS = ["createdAt", "updatedAt", "lastLogin", "email", "name"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Escape user input before using it inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Parse a date query param; returns null if missing, undefined if invalid
+const parseDate = (value) => {
+    if (value === undefined || value === "") return null;
+    const date = new Date(String(value));
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Respond with 404 unless `id` is a valid ObjectId of an existing user
+const findUserOr404 = async (id, res) => {
+    const user = mongoose.isValidObjectId(id)
+        ? await User.findById(id).select(SENSITIVE_FIELDS)
+        : null;
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: "User not found.",
+        });
+    }
+
+    return user;
+};
+
+// Respond with 403 unless the admin holds every permission `user` has, so an account
+// can't be edited, reset or deleted by someone less privileged. Returns whether to go on.
+const canManageUser = (req, user, res) => {
+    const notHeld = user.getPermissions().filter((permission) => !hasPermission(req.permissions, permission));
+
+    if (notHeld.length > 0) {
+        res.status(403).json({
+            success: false,
+            message: "You cannot manage a user with permissions you don't have.",
+        });
+        return false;
+    }
+
+    return true;
+};
+
+// Revoke every active session (and refresh token family) of a user
+const revokeAllSessions = async (userId) => {
+    const sessions = await Session.find({ user: userId, revokedAt: null }).select("_id");
+    await Promise.all(sessions.map((session) => revokeSession(session._id)));
+};
+
+// ====================================================================================
+// 👥 List Users Controller
+// ====================================================================================
+// Query params: page, limit, sort (e.g. "-createdAt"), search (email or name),
+// isVerified ("true"/"false"), createdFrom, createdTo (ISO dates)
+export const listUsers = async (req, res) => {
+    const { search, isVerified, createdFrom, createdTo } = req.query;
+
+    // 1. Pagination
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    // 2. Sorting: a whitelisted field, "-" prefix for descending
+    const sortParam = String(req.query.sort || "-createdAt");
+    const sortField = sortParam.replace(/^-/, "");
+    if (!SORTABLE_FIELDS.includes(sortField)) {
+        return res.status(400).json({
+            success: false,
+            message: `Cannot sort by "${sortField}". Allowed: ${SORTABLE_FIELDS.join(", ")}`,
+        });
+    }
+    const sort = { [sortField]: sortParam.startsWith("-") ? -1 : 1, _id: 1 };
+
+    // 3. Filters
+    const filter = {};
+
+    if (search) {
+        const pattern = new RegExp(escapeRegex(String(search)), "i");
+        filter.$or = [{ email: pattern }, { name: pattern }];
+    }
+
+    if (isVerified !== undefined) {
+        if (isVerified !== "true" && isVerified !== "false") {
+            return res.status(400).json({
+                success: false,
+                message: "isVerified must be \"true\" or \"false\"",
+            });
+        }
+        filter.isVerified = isVerified === "true";
+    }
+
+    const from = parseDate(createdFrom);
+    const to = parseDate(createdTo);
+    if (from === undefined || to === undefined) {
+        return res.status(400).json({
+            success: false,
+            message: "createdFrom and createdTo must be valid dates",
+        });
+    }
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    try {
+        // 4. Fetch the page and the total count in parallel
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select(SENSITIVE_FIELDS)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            User.countDocuments(filter),
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            message: "Users fetched successfully",
+            users,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error listing users:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching users.",
+        });
+    }
+};
+
+// ====================================================================================
+// 👤 Get One User Controller
+// ====================================================================================
+export const getUser = async (req, res) => {
+    try {
+        const user = await findUserOr404(req.params.id, res);
+        if (!user) return;
+
+        return res.status(200).json({
+            success: true,
+            message: "User fetched successfully",
+            user: {
+                ...user._doc,
+                permissions: user.getPermissions(),
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error fetching user:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching user.",
+        });
+    }
+};
+
+// ====================================================================================
+// ✏️ Update User Controller
+// ====================================================================================
+// Editable: name, email, roles, permissions. An admin can only edit users whose
+// permissions they hold themselves, and only hand out permissions they hold.
+export const updateUser = async (req, res) => {
+    const { name, email, roles, permissions } = req.body;
+
+    // 1. Validate the input
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+        return res.status(400).json({
+            success: false,
+            message: "Name cannot be empty",
+        });
+    }
+
+    if (email !== undefined && (typeof email !== "string" || !email.trim())) {
+        return res.status(400).json({
+            success: false,
+            message: "Email cannot be empty",
+        });
+    }
+
+    if (roles !== undefined && (!Array.isArray(roles) || roles.some((role) => !ROLES.includes(role)))) {
+        return res.status(400).json({
+            success: false,
+            message: `Roles must be a list of: ${ROLES.join(", ")}`,
+        });
+    }
+
+    if (permissions !== undefined && (!Array.isArray(permissions) || permissions.some((p) => typeof p !== "string"))) {
+        return res.status(400).json({
+            success: false,
+            message: "Permissions must be a list of strings",
+        });
+    }
+
+    try {
+        const user = await findUserOr404(req.params.id, res);
+        if (!user) return;
+
+        // 2. Prevent privilege escalation: the target can't outrank the admin, and the
+        // new roles or direct grants can't either
+        if (!canManageUser(req, user, res)) return;
+
+        if (roles !== undefined || permissions !== undefined) {
+            const granted = getUserPermissions({
+                roles: roles ?? user.roles,
+                permissions: permissions ?? user.permissions,
+            });
+            const notHeld = granted.filter((permission) => !hasPermission(req.permissions, permission));
+
+            if (notHeld.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: `You cannot grant permissions you don't have: ${notHeld.join(", ")}`,
+                });
+            }
+        }
+
+        // 3. Email must stay unique
+        if (email !== undefined && email !== user.email) {
+            const emailTaken = await User.isEmailTaken(email, user._id);
+            if (emailTaken) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Email is already in use",
+                });
+            }
+            user.email = email;
+        }
+
+        // 4. Apply the remaining changes
+        if (name !== undefined) user.name = name.trim();
+        if (roles !== undefined) user.roles = roles;
+        if (permissions !== undefined) user.permissions = permissions;
+
+        await user.save();
+        console.log(`✏️ User ${user._id} updated by ${req.userId}`);
+        await recordAuditEvent(req, {
+            action: "admin.user.update",
+            target: user._id,
+            metadata: { changes: { name, email, roles, permissions } },
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "User updated successfully",
+            user: {
+                ...user._doc,
+                permissions: user.getPermissions(),
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error updating user:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while updating user.",
+        });
+    }
+};
+
+// ====================================================================================
+// ✅ Verify User Manually Controller
+// ====================================================================================
+export const verifyUser = async (req, res) => {
+    try {
+        const user = await findUserOr404(req.params.id, res);
+        if (!user) return;
+
+        // Mark as verified and drop any pending verification code
+        user.isVerified = true;
+        await user.save();
+        await revokeOneTimeTokens(user._id, "email_verification");
+
+        console.log(`✅ User ${user._id} verified manually by ${req.userId}`);
+        await recordAuditEvent(req, { action: "admin.user.verify", target: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: "User verified successfully",
+        });
+    } catch (error) {
+        console.error("❌ Error verifying user:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while verifying user.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔓 Unlock User Controller
+// ====================================================================================
+// Clears a lockout caused by failed logins
+export const unlockUser = async (req, res) => {
+    try {
+        const user = await findUserOr404(req.params.id, res);
+        if (!user) return;
+
+        await clearFailedLogins(user._id);
+        console.log(`🔓 User ${user._id} unlocked by ${req.userId}`);
+        await recordAuditEvent(req, { action: "admin.user.unlock", target: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: "User unlocked successfully",
+        });
+    } catch (error) {
+        console.error("❌ Error unlocking user:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while unlocking user.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔁 Force Password Reset Controller
+// ====================================================================================
+// Signs the user out everywhere and emails them a password reset link
+export const forcePasswordReset = async (req, res) => {
+    try {
+        const user = await findUserOr404(req.params.id, res);
+        if (!user) return;
+
+        if (!canManageUser(req, user, res)) return;
+
+        // 1. Issue a single-use reset token (expires in 1 hour) and queue the reset email with it
+        await withTransaction(async (session) => {
+            const resetToken = await issueOneTimeToken(user._id, "password_reset", { session });
+            await sendPasswordResetEmail(
+                user.email,
+                `${process.env.CLIENT_URL}/reset-password/${resetToken}`,
+                { session, locale: user.locale }
+            );
+        });
+
+        // 2. End all of the user's sessions
+        await revokeAllSessions(user._id);
+
+        console.log(`🔁 Password reset forced for user ${user._id} by ${req.userId}`);
+        await recordAuditEvent(req, { action: "admin.user.force_password_reset", target: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: "User signed out and password reset email sent.",
+        });
+    } catch (error) {
+        console.error("❌ Error forcing password reset:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while forcing password reset.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🗑️ Delete User Controller
+// ====================================================================================
+export const deleteUser = async (req, res) => {
+    if (req.params.id === req.userId) {
+        return res.status(400).json({
+            success: false,
+            message: "You cannot delete your own account from the admin API.",
+        });
+    }
+
+    try {
+        const user = await findUserOr404(req.params.id, res);
+        if (!user) return;
+
+        if (!canManageUser(req, user, res)) return;
+
+        // Remove the account together with everything that references it
+        await deleteUserAccount(user);
+
+        console.log(`🗑️ User ${user._id} deleted by ${req.userId}`);
+        await recordAuditEvent(req, {
+            action: "admin.user.delete",
+            target: user._id,
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "User deleted successfully",
+        });
+    } catch (error) {
+        console.error("❌ Error deleting user:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while deleting user.",
+        });
+    }
+};
+
+// Build the MongoDB filter for audit queries; returns { error } for bad input
+const buildAuditFilter = (query) => {
+    const { action, outcome, actor, target, from, to } = query;
+    const filter = {};
+
+    if (action) filter.action = String(action);
+
+    if (outcome) {
+        if (!["success", "failure"].includes(outcome)) {
+            return { error: "outcome must be \"success\" or \"failure\"" };
+        }
+        filter.outcome = outcome;
+    }
+
+    for (const [field, value] of [["actor", actor], ["target", target]]) {
+        if (!value) continue;
+        if (!mongoose.isValidObjectId(value)) {
+            return { error: `${field} must be a valid user id` };
+        }
+        filter[field] = value;
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+        return { error: "from and to must be valid dates" };
+    }
+    if (fromDate || toDate) {
+        filter.createdAt = {};
+        if (fromDate) filter.createdAt.$gte = fromDate;
+        if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    return { filter };
+};
+
+const AUDIT_CSV_COLUMNS = [
+    "seq", "createdAt", "action", "outcome", "reason", "actor", "target",
+    "ip", "userAgent", "metadata", "prevHash", "hash",
+];
+
+// One CSV field: quoted, and prefixed so spreadsheets don't run it as a formula
+const toCsvField = (value) => {
+    if (value === undefined || value === null) return "";
+
+    let text = value instanceof Date ? value.toISOString()
+        : value instanceof mongoose.Types.ObjectId ? String(value)
+            : typeof value === "object" ? JSON.stringify(value)
+                : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+// ====================================================================================
+// 📜 List Audit Events Controller
+// ====================================================================================
+// Query params: page, limit, action, outcome, actor, target, from, to (ISO dates)
+export const listAuditEvents = async (req, res) => {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error,
+        });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    try {
+        // Newest first
+        const [events, total] = await Promise.all([
+            AuditEvent.find(filter)
+                .sort({ seq: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            AuditEvent.countDocuments(filter),
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            message: "Audit events fetched successfully",
+            events: await revealAuditPseudonyms(events),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error listing audit events:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching audit events.",
+        });
+    }
+};
+
+// ====================================================================================
+// 📤 Export Audit Events Controller
+// ====================================================================================
+// Streams every matching event (oldest first) as a JSON array or CSV download.
+// Same filters as the list; `format` is "json" (default) or "csv".
+export const exportAuditEvents = async (req, res) => {
+    const format = req.query.format || "json";
+    if (!["json", "csv"].includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: "format must be \"json\" or \"csv\"",
+        });
+    }
+
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error,
+        });
+    }
+
+    try {
+        const cursor = AuditEvent.find(filter).sort({ seq: 1 }).lean().cursor();
+        const filename = `audit-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.status(200)
+            .set("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8")
+            .set("Content-Disposition", `attachment; filename="${filename}"`);
+
+        if (format === "csv") {
+            res.write(AUDIT_CSV_COLUMNS.join(",") + "\n");
+            for await (const event of cursor) {
+                res.write(AUDIT_CSV_COLUMNS.map((column) => toCsvField(event[column])).join(",") + "\n");
+            }
+        } else {
+            let first = true;
+            res.write("[");
+            for await (const { _id, __v, ...event } of cursor) {
+                res.write((first ? "\n" : ",\n") + JSON.stringify(event));
+                first = false;
+            }
+            res.write("\n]\n");
+        }
+
+        await recordAuditEvent(req, { action: "admin.audit.export", metadata: { format, filter: req.query } });
+        return res.end();
+    } catch (error) {
+        console.error("❌ Error exporting audit events:", error.message);
+
+        // Headers are gone once streaming started; just cut the response short
+        if (res.headersSent) return res.destroy(error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while exporting audit events.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔗 Verify Audit Chain Controller
+// ====================================================================================
+export const verifyAuditLog = async (req, res) => {
+    try {
+        const result = await verifyAuditChain();
+
+        if (!result.valid) {
+            console.warn(`🚨 Audit chain broken at entry ${result.brokenAt}: ${result.problem}`);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: result.valid
+                ? "Audit log is intact."
+                : `Audit log has been tampered with (entry ${result.brokenAt}: ${result.problem}).`,
+            ...result,
+        });
+    } catch (error) {
+        console.error("❌ Error verifying audit log:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while verifying audit log.",
+        });
+    }
+};
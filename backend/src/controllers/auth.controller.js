@@ -1,43 +1,125 @@
 // Import the User model from the database schema
 import { User } from "../models/user.model.js";
+import { RefreshToken } from "../models/refreshToken.model.js";
+import { Session } from "../models/session.model.js";
 
-// Import bcrypt for securely hashing passwords
-import bcrypt from "bcrypt";
+// Password hashing (argon2id or bcrypt, see utils/password.js)
+import { hashPassword, verifyPassword, verifyDummyPassword, needsRehash } from "../utils/password.js";
 
-// Utility functions to generate verification tokens and JWT cookies
-import { generateVerificationToken } from "../utils/generateVerificationToken.js";
-import { generateTokenAndSetCookie } from "../utils/generateTokenAndSetCookie.js";
+// Identical answers whether or not an account exists (ENUMERATION_SAFE_MODE)
+import { isEnumerationSafeMode, sendInBackground } from "../utils/enumerationSafety.js";
+
+// Saves related writes (e.g. user + verification code + queued email) together
+import { withTransaction } from "../utils/transaction.js";
+
+// Language of the account's emails, from the signup request
+import { canonicalLocale } from "../utils/locale.js";
+
+// One-time codes and links (email verification, password reset)
+import {
+    issueOneTimeToken,
+    consumeOneTimeToken,
+    findOneTimeTokenUser,
+    getOneTimeTokenIssuedAt,
+    TOKEN_PURPOSES
+} from "../utils/oneTimeToken.js";
+import { OneTimeToken } from "../models/oneTimeToken.model.js";
+
+// Utility functions to generate JWT cookies
+import {
+    generateTokenAndSetCookie,
+    clearAuthCookies,
+    hashToken,
+    revokeSession,
+    setMfaChallengeCookie,
+    setPasswordExpiredChallengeCookie,
+    readPasswordExpiredChallengeCookie,
+    clearPasswordExpiredChallengeCookie
+} from "../utils/generateTokenAndSetCookie.js";
 
 // Email handlers for different user actions
 import {
     sendVerificationEmail,
     sendWelcomeEmail,
     sendPasswordResetEmail,
-    sendPasswordResetSuccessEmail
+    sendPasswordResetSuccessEmail,
+    sendAccountLockedEmail,
+    sendSignupAttemptEmail
 } from "../mailtrap/emails.js";
 
-// Import crypto for generating secure random tokens
-import crypto from "crypto";
+// Offline breached-password corpus
+import { isPasswordBreached } from "../utils/breachedPasswords.js";
+
+// Breached/reused password rules and password expiry
+import {
+    checkNewPassword,
+    setNewPasswordHash,
+    isPasswordExpired
+} from "../utils/passwordPolicy.js";
+
+// Per-account back-off and lockout after failed logins
+import {
+    getLockoutState,
+    recordFailedLogin,
+    clearFailedLogins,
+    getLockDurationMs
+} from "../utils/accountLockout.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+// How long a just-rotated refresh token may still be presented by a concurrent request
+const getRefreshReuseGraceMs = () =>
+    (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 10) * 1000;
+
+// Minimum time between two verification emails to the same account
+const getVerificationResendCooldownMs = () =>
+    (parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60) * 1000;
+
+// Seconds until the user may ask for another verification code (0 = now)
+const getVerificationResendWait = async (userId) => {
+    const issuedAt = await getOneTimeTokenIssuedAt(userId, "email_verification");
+    if (!issuedAt) return 0;
+    const waitMs = issuedAt.getTime() + getVerificationResendCooldownMs() - Date.now();
+    return Math.max(0, Math.ceil(waitMs / 1000));
+};
+
+// Enumeration-safe signup answer: the same for new and already registered addresses
+const respondSignupPending = (res, email) =>
+    res.status(201).json({
+        success: true,
+        code: "verification_pending",
+        message: "Please check your email to continue.",
+        email,
+        resendAvailableIn: Math.ceil(getVerificationResendCooldownMs() / 1000),
+    });
 
 // ====================================================================================
 // 🔁 Automatically delete unverified users after token expires
 // ====================================================================================
 setInterval(async () => {
     try {
-        const now = Date.now();
+        const now = new Date();
+
+        // Users who still hold a usable verification code are left alone
+        const pendingUserIds = await OneTimeToken.distinct("user", {
+            purpose: "email_verification",
+            usedAt: null,
+            expiresAt: { $gt: now },
+        });
 
-        // Find all users whose verification token has expired AND are not verified
+        // Find all unverified users older than a verification code's lifetime without one
         const expiredUsers = await User.find({
             isVerified: false,
-            verificationTokenExpiresAt: { $lt: now }
-        });
+            createdAt: { $lt: new Date(now - TOKEN_PURPOSES.email_verification.ttlMs) },
+            _id: { $nin: pendingUserIds },
+        }).select("_id");
 
         if (expiredUsers.length > 0) {
-            // Delete them from the database
-            await User.deleteMany({
-                isVerified: false,
-                verificationTokenExpiresAt: { $lt: now }
-            });
+            // Delete them (and their leftover tokens) from the database
+            const expiredUserIds = expiredUsers.map((user) => user._id);
+            await User.deleteMany({ _id: { $in: expiredUserIds } });
+            await OneTimeToken.deleteMany({ user: { $in: expiredUserIds } });
 
             console.log(`🗑️ Deleted ${expiredUsers.length} expired unverified account(s).`);
         }
@@ -46,35 +128,13 @@ setInterval(async () => {
     }
 }, 60 * 60 * 1000); // Runs every 1 hour
 
-// ====================================================================================
-// 🚨 DEVELOPMENT ONLY: Get all users (Do not expose in production)
-// ====================================================================================
-export const getAllUsers = async (req, res) => {
-    try {
-        const users = await User.find(); // Fetch all users from the database
-
-        return res.status(200).json({
-            success: true,
-            message: "Users fetched successfully",
-            count: users.length,
-            users,
-        });
-    } catch (error) {
-        console.error("❌ Error fetching users:", error.message);
-        return res.status(500).json({
-            success: false,
-            message: "Server error while fetching users",
-        });
-    }
-};
-
 // ====================================================================================
 // 📝 User Signup Controller
 // ====================================================================================
 // Controller function to handle user signup logic
 export const signup = async (req, res) => {
     // Extract the necessary fields from the request body
-    const { email, password, name } = req.body;
+    const { email, password, name, locale } = req.body;
 
     console.log("👉 Signup request received:", { email, name });
 
@@ -95,10 +155,40 @@ export const signup = async (req, res) => {
             });
         }
 
+        // Reject passwords known from data breaches
+        const passwordProblem = await checkNewPassword(password);
+        if (passwordProblem) {
+            return res.status(400).json({ success: false, ...passwordProblem });
+        }
+
         // ✅ Step 3: Check if a user with the same email already exists
         // This avoids duplicate accounts and enforces uniqueness
-        const existingUser = await User.findOne({ email });
+        // (addresses reserved by an email change in progress count as taken)
+        const existingUser = await User.isEmailTaken(email);
         if (existingUser) {
+            // Enumeration-safe mode: do the same work and give the same answer as a new
+            // signup; the real owner finds out by email instead
+            if (isEnumerationSafeMode()) {
+                await hashPassword(password);
+                await recordAuditEvent(req, {
+                    action: "auth.signup",
+                    outcome: "failure",
+                    reason: "email_taken",
+                    metadata: { email: String(email) },
+                });
+
+                const owner = await User.findOne({ email }).select("locale");
+                if (owner) {
+                    await sendSignupAttemptEmail(
+                        email,
+                        `${process.env.CLIENT_URL}/login`,
+                        `${process.env.CLIENT_URL}/forgot-password`,
+                        { locale: owner.locale }
+                    );
+                }
+                return respondSignupPending(res, email);
+            }
+
             return res.status(409).json({
                 success: false,
                 message: "A user with this email already exists.",
@@ -106,49 +196,59 @@ export const signup = async (req, res) => {
         }
 
         // ✅ Step 4: Hash the user's password securely before saving
-        // bcrypt hashes the password with 12 salt rounds to prevent reverse engineering
-        const hashedPassword = await bcrypt.hash(password, 12);
+        // Uses the configured algorithm (argon2id by default) with a random salt
+        const hashedPassword = await hashPassword(password);
         console.log("🔐 Password hashed");
 
-        // ✅ Step 5: Generate a unique verification token for email verification
-        // This will be sent via email and has a 24-hour expiry time
-        const verificationToken = generateVerificationToken(); // e.g., a UUID or random string
-        const verificationTokenExpiresAt = Date.now() + 24 * 60 * 60 * 1000; // 24 hours in ms
-        console.log("🔑 Verification token generated");
-
-        // ✅ Step 6: Create and save the new user in the database
-        // We're saving the hashed password and verification token
-        const user = await User.create({
-            email,
-            password: hashedPassword,
-            name,
-            verificationToken,
-            verificationTokenExpiresAt,
+        // ✅ Step 5: Save the new user, their verification code and the verification email
+        // in one unit of work: either all of them exist or none does, so a user is never
+        // left without a code on its way. The outbox worker delivers the email (with retries).
+        const user = await withTransaction(async (session) => {
+            // We're saving the hashed password, never the plain one
+            const [newUser] = await User.create([{
+                email,
+                password: hashedPassword,
+                passwordChangedAt: new Date(),
+                name,
+                // Language of the account's emails (the browser's, if it sent a valid tag)
+                locale: (typeof locale === "string" && canonicalLocale(locale)) || undefined,
+            }], { session });
+
+            // 6-digit email verification code (valid 24 hours, stored hashed)
+            const verificationCode = await issueOneTimeToken(newUser._id, "email_verification", { session });
+            await sendVerificationEmail(newUser.email, verificationCode, { session, locale: newUser.locale });
+
+            return newUser;
         });
         console.log("✅ User created:", user._id);
+        await recordAuditEvent(req, { action: "auth.signup", actor: user._id });
+
+        // Enumeration-safe mode: no session yet (a taken address can't get one either);
+        // it starts once the emailed code is entered
+        if (isEnumerationSafeMode()) {
+            return respondSignupPending(res, user.email);
+        }
 
-        // ✅ Step 7: Generate a JWT and set it as an HTTP-only cookie
+        // ✅ Step 6: Generate a JWT and set it as an HTTP-only cookie
         // This helps the frontend know the user is authenticated
-        generateTokenAndSetCookie(res, user._id);
+        await generateTokenAndSetCookie(res, user._id);
         console.log("🍪 JWT cookie set");
 
-        // ✅ Step 8: Send a verification email with the token to the user's inbox
-        await sendVerificationEmail(user.email, verificationToken);
-        console.log("📧 Verification email sent");
-
-        // ✅ Step 9: Respond to the client with success (excluding password)
+        // ✅ Step 7: Respond to the client with success (excluding password)
         // The frontend will use this to redirect the user to the verification page
         return res.status(201).json({
             success: true,
             message:
                 "User created successfully. Please check your email to verify your account.",
+            resendAvailableIn: Math.ceil(getVerificationResendCooldownMs() / 1000),
             user: {
                 ...user._doc,
                 password: undefined, // Never send back the password (even hashed)
+                permissions: user.getPermissions(),
             },
         });
     } catch (error) {
-        // ❌ Step 10: Catch and handle unexpected errors
+        // ❌ Step 8: Catch and handle unexpected errors
         console.error("❌ Signup error:", error.message);
         return res.status(500).json({
             success: false,
@@ -175,44 +275,168 @@ export const login = async (req, res) => {
         // 2. Look for user by email
         const user = await User.findOne({ email });
         if (!user) {
+            // Take as long as a wrong password would
+            if (isEnumerationSafeMode()) {
+                await verifyDummyPassword(password);
+            }
+
+            await recordAuditEvent(req, {
+                action: "auth.login",
+                outcome: "failure",
+                reason: "unknown_email",
+                metadata: { method: "password", email: String(email) },
+            });
             return res.status(401).json({
                 success: false,
                 message: "Invalid email or password.",
             });
         }
 
-        // 3. Ensure email is verified before login
-        if (!user.isVerified) {
-            return res.status(403).json({
+        // 3. Refuse to check the password while the account is locked or backing off
+        const lockout = getLockoutState(user);
+        if (lockout.locked || lockout.retryAfterMs > 0) {
+            const retryAfter = Math.ceil(lockout.retryAfterMs / 1000);
+            await recordAuditEvent(req, {
+                action: "auth.login",
+                outcome: "failure",
+                reason: lockout.locked ? "account_locked" : "login_backoff",
+                actor: user._id,
+                metadata: { method: "password" },
+            });
+
+            // Enumeration-safe mode: a lockout would show that the account exists
+            // (the owner already got an email with an unlock link)
+            if (isEnumerationSafeMode()) {
+                await verifyDummyPassword(password);
+                return res.status(401).json({
+                    success: false,
+                    message: "Invalid email or password.",
+                });
+            }
+
+            res.set("Retry-After", String(retryAfter));
+            return res.status(lockout.locked ? 423 : 429).json({
                 success: false,
-                message: "Please verify your email before logging in.",
+                code: lockout.locked ? "account_locked" : "login_backoff",
+                retryAfter,
+                message: lockout.locked
+                    ? "Your account is temporarily locked after too many failed attempts. Check your email to unlock it."
+                    : `Too many failed attempts. Please wait ${retryAfter} second(s) and try again.`,
             });
         }
 
         // 4. Compare provided password with hashed password in DB
-        const isMatch = await bcrypt.compare(password, user.password);
+        const isMatch = await verifyPassword(password, user.password);
         if (!isMatch) {
+            const unlockToken = await recordFailedLogin(user);
+            await recordAuditEvent(req, {
+                action: "auth.login",
+                outcome: "failure",
+                reason: "invalid_password",
+                actor: user._id,
+                metadata: { method: "password", locked: Boolean(unlockToken) },
+            });
+
+            // This failure locked the account: tell the owner and send an unlock link
+            if (unlockToken) {
+                console.warn(`🔒 Account ${user._id} locked after repeated failed logins`);
+                await sendAccountLockedEmail(
+                    user.email,
+                    `${process.env.CLIENT_URL}/unlock-account/${unlockToken}`,
+                    getLockDurationMs() / 60000,
+                    { locale: user.locale }
+                );
+            }
+
             return res.status(401).json({
                 success: false,
                 message: "Invalid email or password.",
             });
         }
 
-        // 5. Set JWT token in cookie
-        generateTokenAndSetCookie(res, user._id);
+        // 5. The password is right: forget earlier failures
+        if (user.failedLoginAttempts > 0 || user.lockUntil) {
+            await clearFailedLogins(user._id);
+        }
+
+        // 6. Ensure email is verified before login. Only checked once the password is
+        // right, so the response (which lets the owner resume verification) doesn't tell
+        // anyone else that the account exists and is unverified.
+        if (!user.isVerified) {
+            await recordAuditEvent(req, {
+                action: "auth.login",
+                outcome: "failure",
+                reason: "email_not_verified",
+                actor: user._id,
+                metadata: { method: "password" },
+            });
+            return res.status(403).json({
+                success: false,
+                code: "email_not_verified",
+                email: user.email,
+                resendAvailableIn: await getVerificationResendWait(user._id),
+                message: "Please verify your email before logging in.",
+            });
+        }
+
+        // Upgrade hashes made under an older algorithm or cost while we have the plain password
+        if (needsRehash(user.password)) {
+            await User.updateOne({ _id: user._id }, { password: await hashPassword(password) });
+            console.log("🔐 Password rehashed with the current policy");
+        }
+
+        // Password older than PASSWORD_MAX_AGE_DAYS: a new one is required before logging in
+        const passwordExpired = isPasswordExpired(user);
+
+        // 7. Stop at an intermediate state when two-factor authentication is enabled.
+        // The session is only created once `/login/2fa` accepts a code.
+        if (user.twoFactor?.enabled) {
+            setMfaChallengeCookie(res, user._id, { passwordExpired });
+            await recordAuditEvent(req, {
+                action: "auth.login.mfa_challenge",
+                actor: user._id,
+                metadata: { method: "password" },
+            });
+            return res.status(200).json({
+                success: true,
+                code: "mfa_required",
+                message: "Two-factor authentication code required.",
+            });
+        }
+
+        // 8. Stop at an intermediate state when the password has expired.
+        // The session is only created once `/login/expired-password` accepts a new one.
+        if (passwordExpired) {
+            setPasswordExpiredChallengeCookie(res, user._id);
+            await recordAuditEvent(req, {
+                action: "auth.login.password_expired",
+                actor: user._id,
+                metadata: { method: "password" },
+            });
+            return res.status(200).json({
+                success: true,
+                code: "password_expired",
+                message: "Your password has expired. Please choose a new one.",
+            });
+        }
+
+        // 9. Set JWT token in cookie
+        await generateTokenAndSetCookie(res, user._id);
         console.log("🔓 User logged in");
+        await recordAuditEvent(req, { action: "auth.login", actor: user._id, metadata: { method: "password" } });
 
-        // 6. Update last login timestamp
+        // 10. Update last login timestamp
         user.lastLogin = Date.now();
         await user.save();
 
-        // 7. Return successful login response
+        // 11. Return successful login response
         return res.status(200).json({
             success: true,
             message: "Logged in successfully",
             user: {
                 ...user._doc,
                 password: undefined,
+                permissions: user.getPermissions(),
             },
         });
     } catch (error) {
@@ -229,12 +453,18 @@ export const login = async (req, res) => {
 // ====================================================================================
 export const logout = async (req, res) => {
     try {
-        // Clear the authentication cookie
-        res.clearCookie("token", {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production",
-            sameSite: "strict",
-        });
+        // Revoke the session so neither its access nor refresh tokens work again
+        const refreshToken = req.cookies?.refreshToken;
+        if (refreshToken) {
+            const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+            if (stored) {
+                await revokeSession(stored.family);
+                await recordAuditEvent(req, { action: "auth.logout", actor: stored.user });
+            }
+        }
+
+        // Clear the authentication cookies
+        clearAuthCookies(res);
 
         return res.status(200).json({
             success: true,
@@ -249,39 +479,147 @@ export const logout = async (req, res) => {
     }
 };
 
+// ====================================================================================
+// ♻️ Refresh Token Controller
+// ====================================================================================
+export const refresh = async (req, res) => {
+    const refreshToken = req.cookies?.refreshToken;
+
+    if (!refreshToken) {
+        return res.status(401).json({
+            success: false,
+            message: "Unauthorized. Please login to continue.",
+        });
+    }
+
+    try {
+        // 1. Look up the stored token by its hash
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+        if (!stored || stored.expiresAt < Date.now()) {
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: "Invalid or expired token. Please login again.",
+            });
+        }
+
+        // 2. Tokens of a revoked session (logout, revoked device) can't be refreshed
+        const session = await Session.findById(stored.family);
+        if (stored.revokedAt || !session || session.revokedAt) {
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: "Session has been revoked. Please login again.",
+            });
+        }
+
+        // 3. Atomically mark the token as used so it can only be rotated once
+        const claimed = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, usedAt: null, revokedAt: null },
+            { usedAt: new Date() }
+        );
+
+        // 4. Rotated by another request a moment ago (e.g. two tabs refreshing at once
+        // with the same cookie): not a replay, so give this request tokens too
+        if (!claimed) {
+            const current = await RefreshToken.findById(stored._id);
+            if (
+                current?.usedAt
+                && !current.revokedAt
+                && Date.now() - current.usedAt.getTime() < getRefreshReuseGraceMs()
+            ) {
+                await generateTokenAndSetCookie(res, stored.user, stored.family);
+                return res.status(200).json({
+                    success: true,
+                    message: "Token refreshed successfully",
+                });
+            }
+        }
+
+        // 5. An already used token was replayed: revoke the whole session
+        if (!claimed) {
+            await revokeSession(stored.family);
+            console.warn("🚨 Refresh token reuse detected for user:", stored.user);
+            await recordAuditEvent(req, {
+                action: "auth.refresh",
+                outcome: "failure",
+                reason: "token_reuse",
+                actor: stored.user,
+                metadata: { sessionId: stored.family },
+            });
+
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: "Invalid or expired token. Please login again.",
+            });
+        }
+
+        // 6. Issue a new access token and a rotated refresh token on the same session
+        await generateTokenAndSetCookie(res, stored.user, stored.family);
+
+        return res.status(200).json({
+            success: true,
+            message: "Token refreshed successfully",
+        });
+    } catch (error) {
+        console.error("❌ Refresh token error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error during token refresh.",
+        });
+    }
+};
+
 // ====================================================================================
 // ✅ Email Verification Controller
 // ====================================================================================
 export const verifyEmail = async (req, res) => {
-    const { code } = req.body;
+    const { email, code } = req.body;
 
-    try {
-        // 1. Look for user with matching token that hasn't expired
-        const user = await User.findOne({
-            verificationToken: code,
-            verificationTokenExpiresAt: { $gt: Date.now() },
+    if (!email || !code) {
+        return res.status(400).json({
+            success: false,
+            message: "Email and verification code are required.",
         });
+    }
 
-        if (!user) {
+    try {
+        // 1. Check the code against the one sent to this address
+        // (codes are short, so they are only ever matched together with their user)
+        const user = await User.findOne({ email: String(email) });
+        const result = user
+            ? await consumeOneTimeToken("email_verification", String(code), { userId: user._id })
+            : { error: "invalid" };
+
+        if (result.error) {
+            await recordAuditEvent(req, {
+                action: "auth.verify_email",
+                outcome: "failure",
+                reason: result.error === "too_many_attempts" ? "too_many_attempts" : "invalid_code",
+                actor: user?._id,
+            });
             return res.status(400).json({
                 success: false,
-                message: "Invalid or expired verification code.",
+                code: result.error === "too_many_attempts" ? "too_many_attempts" : "invalid_code",
+                message: result.error === "too_many_attempts"
+                    ? "Too many wrong codes. Please request a new verification code."
+                    : "Invalid or expired verification code.",
             });
         }
 
-        // 2. Mark user as verified and clear verification fields
-        user.isVerified = true;
-        user.verificationToken = undefined;
-        user.verificationTokenExpiresAt = undefined;
-        await user.save();
+        // 2. Mark user as verified and queue the welcome email together
+        await withTransaction(async (session) => {
+            user.isVerified = true;
+            await user.save({ session });
+            await sendWelcomeEmail(user.email, user.name, { session, locale: user.locale });
+        });
         console.log("✅ User verified:", user._id);
+        await recordAuditEvent(req, { action: "auth.verify_email", actor: user._id });
 
-        // 3. Send welcome email after verification
-        await sendWelcomeEmail(user.email, user.name);
-        console.log("📧 Welcome email sent");
-
-        // 4. Automatically log in the user after verification
-        generateTokenAndSetCookie(res, user._id);
+        // 3. Automatically log in the user after verification
+        await generateTokenAndSetCookie(res, user._id);
 
         return res.status(200).json({
             success: true,
@@ -291,6 +629,8 @@ export const verifyEmail = async (req, res) => {
                 name: user.name,
                 email: user.email,
                 isVerified: user.isVerified,
+                roles: user.roles,
+                permissions: user.getPermissions(),
             },
         });
     } catch (error) {
@@ -302,36 +642,124 @@ export const verifyEmail = async (req, res) => {
     }
 };
 
+// ====================================================================================
+// 📨 Resend Verification Code Controller
+// ====================================================================================
+// Replaces the pending code with a new one. The answer is the same whether or not an
+// unverified account exists for the address; only the cooldown is enforced per account.
+export const resendVerification = async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({
+            success: false,
+            message: "Email is required.",
+        });
+    }
+
+    const cooldownSeconds = Math.ceil(getVerificationResendCooldownMs() / 1000);
+
+    try {
+        // 1. Only unverified accounts get a new code
+        const user = await User.findOne({ email: String(email) });
+
+        if (user && !user.isVerified) {
+            // 2. One email per cooldown period (enumeration-safe mode keeps quiet about it,
+            // since only existing accounts have a cooldown)
+            const retryAfter = await getVerificationResendWait(user._id);
+            if (retryAfter > 0 && !isEnumerationSafeMode()) {
+                res.set("Retry-After", String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    code: "resend_cooldown",
+                    retryAfter,
+                    message: `Please wait ${retryAfter} second(s) before requesting a new code.`,
+                });
+            }
+
+            // 3. Issue a new code (the previous one stops working) and send it
+            if (retryAfter === 0) {
+                const sendNewCode = () => withTransaction(async (session) => {
+                    const verificationCode = await issueOneTimeToken(user._id, "email_verification", { session });
+                    await sendVerificationEmail(user.email, verificationCode, { session, locale: user.locale });
+                });
+
+                if (isEnumerationSafeMode()) {
+                    sendInBackground("Verification email", sendNewCode);
+                } else {
+                    await sendNewCode();
+                }
+                await recordAuditEvent(req, { action: "auth.resend_verification", actor: user._id });
+            }
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "If your account still needs verification, a new code has been sent to your email.",
+            resendAvailableIn: cooldownSeconds,
+        });
+    } catch (error) {
+        console.error("❌ Resend verification error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while sending the verification email.",
+        });
+    }
+};
+
 // ====================================================================================
 // 🔁 Forgot Password Controller
 // ====================================================================================
 export const forgotPassword = async (req, res) => {
     const { email } = req.body;
+    const safeMode = isEnumerationSafeMode();
+
+    // Enumeration-safe answer, the same whether or not the account exists
+    const safeResponse = {
+        success: true,
+        message: "If an account exists for this email, a password reset link has been sent.",
+    };
 
     try {
         // 1. Check if user exists with provided email
         const user = await User.findOne({ email });
         if (!user) {
+            await recordAuditEvent(req, {
+                action: "auth.forgot_password",
+                outcome: "failure",
+                reason: "unknown_email",
+                metadata: { email: String(email) },
+            });
+
+            if (safeMode) {
+                return res.status(200).json(safeResponse);
+            }
             return res.status(404).json({
                 success: false,
                 message: "No User Found With This Email",
             });
         }
 
-        // 2. Generate reset token and set expiry time (1 hour)
-        const resetToken = crypto.randomBytes(20).toString("hex");
-        const resetTokenExpiresAt = Date.now() + 60 * 60 * 1000; // 1 hour from now
+        await recordAuditEvent(req, { action: "auth.forgot_password", actor: user._id });
 
-        // 3. Save token and expiry on the user record
-        user.resetPasswordToken = resetToken;
-        user.resetPasswordExpiresAt = resetTokenExpiresAt;
-        await user.save();
-        console.log(resetToken)
-        // 4. Send password reset email with token link
-        await sendPasswordResetEmail(
-            user.email,
-            `${process.env.CLIENT_URL}/reset-password/${resetToken}`
-        );
+        // 2. Issue a single-use reset token (valid 1 hour, stored hashed)
+        // and queue the password reset email with token link, together
+        const sendResetLink = () => withTransaction(async (session) => {
+            const resetToken = await issueOneTimeToken(user._id, "password_reset", { session });
+            await sendPasswordResetEmail(
+                user.email,
+                `${process.env.CLIENT_URL}/reset-password/${resetToken}`,
+                { session, locale: user.locale }
+            );
+        });
+
+        // 3. Enumeration-safe mode: answer before doing that, like for unknown emails
+        if (safeMode) {
+            sendInBackground("Password reset email", sendResetLink);
+            return res.status(200).json(safeResponse);
+        }
+
+        await sendResetLink();
 
         return res.status(200).json({
             success: true,
@@ -368,31 +796,45 @@ export const resetPassword = async (req, res) => {
     }
 
     try {
-        // 1. Find user with matching reset token and check if it's not expired
-        const user = await User.findOne({
-            resetPasswordToken: token,
-            resetPasswordExpiresAt: { $gt: Date.now() },
-        });
+        // 1. Find the user of a valid (unused, unexpired) reset token
+        const userId = await findOneTimeTokenUser("password_reset", token);
+        const user = userId && await User.findById(userId).select("+passwordHistory");
 
         if (!user) {
+            await recordAuditEvent(req, { action: "auth.reset_password", outcome: "failure", reason: "invalid_token" });
             return res.status(400).json({
                 success: false,
                 message: "Invalid or expired reset token.",
             });
         }
 
-        // 2. Hash the new password
-        const hashedPassword = await bcrypt.hash(password, 12);
+        // 2. Reject breached passwords and the current or a recent password
+        // (the link stays usable so the user can try another password)
+        const passwordProblem = await checkNewPassword(password, user);
+        if (passwordProblem) {
+            return res.status(400).json({ success: false, ...passwordProblem });
+        }
 
-        // 3. Update the user's password and clear reset token fields
-        user.password = hashedPassword;
-        user.resetPasswordToken = undefined;
-        user.resetPasswordExpiresAt = undefined;
-        await user.save();
+        // 3. Use up the token (fails if another request used it meanwhile)
+        const { error } = await consumeOneTimeToken("password_reset", token);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or expired reset token.",
+            });
+        }
 
-        // 4. Send confirmation email
-        await sendPasswordResetSuccessEmail(user.email);
-        console.log("📧 Password reset email sent");
+        // 4. Hash and save the new password (remembering the old one) and queue the
+        // confirmation email together
+        setNewPasswordHash(user, await hashPassword(password));
+        await withTransaction(async (session) => {
+            await user.save({ session });
+            await sendPasswordResetSuccessEmail(user.email, user.name, { session, locale: user.locale });
+        });
+
+        // A new password also lifts any lockout
+        await clearFailedLogins(user._id);
+        await recordAuditEvent(req, { action: "auth.reset_password", actor: user._id });
 
         return res.status(200).json({
             success: true,
@@ -408,6 +850,230 @@ export const resetPassword = async (req, res) => {
     }
 };
 
+// ====================================================================================
+// 🕵️ Breached Password Check Controller
+// ====================================================================================
+// Lets the password form warn while the user types. Only answers yes/no
+// (never the breach count), and the password is neither stored nor logged.
+export const checkPasswordBreach = async (req, res) => {
+    const { password } = req.body;
+
+    if (typeof password !== "string" || !password) {
+        return res.status(400).json({
+            success: false,
+            message: "Password is required",
+        });
+    }
+
+    try {
+        return res.status(200).json({
+            success: true,
+            compromised: await isPasswordBreached(password),
+        });
+    } catch (error) {
+        console.error("❌ Breached password check error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while checking password.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔑 Change Password Controller
+// ====================================================================================
+// For logged-in users who know their current password
+export const changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    // 1. Validate input with the same rules as signup
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+            success: false,
+            message: "Current password and new password are required.",
+        });
+    }
+
+    if (newPassword.length < 8) {
+        return res.status(400).json({
+            success: false,
+            message: "Password must be at least 8 characters long.",
+        });
+    }
+
+    try {
+        const user = await User.findById(req.userId).select("+passwordHistory");
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        // 2. Prove the request comes from someone who knows the current password
+        const isMatch = await verifyPassword(currentPassword, user.password);
+        if (!isMatch) {
+            await recordAuditEvent(req, { action: "auth.change_password", outcome: "failure", reason: "invalid_password" });
+            return res.status(401).json({
+                success: false,
+                message: "Current password is incorrect.",
+            });
+        }
+
+        // Breached passwords and the current or a recent password are not allowed
+        const passwordProblem = await checkNewPassword(newPassword, user);
+        if (passwordProblem) {
+            return res.status(400).json({ success: false, ...passwordProblem });
+        }
+
+        // 3. Hash and save the new password, and queue the email that lets the owner
+        // know their password changed
+        setNewPasswordHash(user, await hashPassword(newPassword));
+        await withTransaction(async (session) => {
+            await user.save({ session });
+            await sendPasswordResetSuccessEmail(user.email, user.name, { session, locale: user.locale });
+        });
+
+        // 4. Sign out every other device; this one stays logged in
+        const otherSessions = await Session.find({
+            user: user._id,
+            revokedAt: null,
+            _id: { $ne: req.sessionId },
+        });
+        for (const session of otherSessions) {
+            await revokeSession(session._id);
+        }
+
+        await recordAuditEvent(req, {
+            action: "auth.change_password",
+            metadata: { revokedSessions: otherSessions.length },
+        });
+        console.log("🔑 Password changed:", user._id);
+
+        return res.status(200).json({
+            success: true,
+            message: "Password changed successfully. Other devices have been signed out.",
+        });
+    } catch (error) {
+        console.error("❌ Change password error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while changing password.",
+        });
+    }
+};
+
+// ====================================================================================
+// ⏳ Change Expired Password Controller (login step after "password_expired")
+// ====================================================================================
+// The password (and 2FA, if enabled) was already checked by the login steps;
+// setting an acceptable new password finishes the login
+export const changeExpiredPassword = async (req, res) => {
+    const { newPassword } = req.body;
+
+    // 1. The login must have stopped at the expired-password step a few minutes ago
+    const userId = readPasswordExpiredChallengeCookie(req);
+    if (!userId) {
+        return res.status(401).json({
+            success: false,
+            message: "Login session expired. Please login again.",
+        });
+    }
+
+    if (!newPassword || newPassword.length < 8) {
+        return res.status(400).json({
+            success: false,
+            message: "Password must be at least 8 characters long.",
+        });
+    }
+
+    try {
+        const user = await User.findById(userId).select("+passwordHistory");
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Login session expired. Please login again.",
+            });
+        }
+
+        // 2. Same rules as any other password change
+        const passwordProblem = await checkNewPassword(newPassword, user);
+        if (passwordProblem) {
+            return res.status(400).json({ success: false, ...passwordProblem });
+        }
+
+        // 3. Save the new password and queue the confirmation email together
+        setNewPasswordHash(user, await hashPassword(newPassword));
+        user.lastLogin = Date.now();
+        await withTransaction(async (session) => {
+            await user.save({ session });
+            await sendPasswordResetSuccessEmail(user.email, user.name, { session, locale: user.locale });
+        });
+        await recordAuditEvent(req, { action: "auth.change_password", actor: user._id, metadata: { reason: "expired" } });
+
+        // 4. Finish the login
+        clearPasswordExpiredChallengeCookie(res);
+        await generateTokenAndSetCookie(res, user._id);
+        console.log("🔓 User logged in after replacing an expired password");
+        await recordAuditEvent(req, { action: "auth.login", actor: user._id, metadata: { method: "password" } });
+
+        return res.status(200).json({
+            success: true,
+            message: "Password changed. You're now logged in.",
+            user: {
+                ...user._doc,
+                password: undefined,
+                passwordHistory: undefined,
+                permissions: user.getPermissions(),
+            },
+        });
+    } catch (error) {
+        console.error("❌ Change expired password error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while changing password.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔓 Unlock Account Controller
+// ====================================================================================
+// Follows the link from the "account locked" email
+export const unlockAccount = async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        // 1. Use up the unlock link
+        const { userId, error } = await consumeOneTimeToken("account_unlock", token);
+        const user = !error && await User.findById(userId);
+
+        if (!user) {
+            await recordAuditEvent(req, { action: "auth.unlock_account", outcome: "failure", reason: "invalid_token" });
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or expired unlock link.",
+            });
+        }
+
+        // 2. Lift the lock and reset the failure counter
+        await clearFailedLogins(user._id);
+        console.log(`🔓 Account ${user._id} unlocked by email link`);
+        await recordAuditEvent(req, { action: "auth.unlock_account", actor: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: "Your account has been unlocked. You can log in again.",
+        });
+    } catch (error) {
+        console.error("❌ Unlock account error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while unlocking account.",
+        });
+    }
+};
+
 // ====================================================================================
 // 🔁 Check Auth Controller
 // ====================================================================================
@@ -430,7 +1096,8 @@ export const checkAuth = async (req, res) => {
             message: "User is authenticated",
             user: {
                 ...user._doc,
-                password: undefined
+                password: undefined,
+                permissions: user.getPermissions()
             }
         });
     } catch (error) {
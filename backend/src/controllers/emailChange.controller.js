@@ -0,0 +1,259 @@
+// Import the User model and Session model from the database schema
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+
+// Check the current password
+import { verifyPassword } from "../utils/password.js";
+
+import { revokeSession } from "../utils/generateTokenAndSetCookie.js";
+
+// Confirmation and "this wasn't me" links
+import {
+    issueOneTimeToken,
+    consumeOneTimeToken,
+    revokeOneTimeTokens,
+    getOneTimeTokenIssuedAt,
+    TOKEN_PURPOSES
+} from "../utils/oneTimeToken.js";
+
+// Saves the pending address, its links and their emails together
+import { withTransaction } from "../utils/transaction.js";
+
+// Email handlers for the new and the old address
+import {
+    sendEmailChangeConfirmationEmail,
+    sendEmailChangeNoticeEmail
+} from "../mailtrap/emails.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Basic shape check; also keeps markup out of the address we put into emails
+const EMAIL_PATTERN = /^[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+$/;
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// ====================================================================================
+// ✉️ Request Email Change Controller
+// ====================================================================================
+export const requestEmailChange = async (req, res) => {
+    const { newEmail, password } = req.body;
+
+    // 1. Validate input
+    if (!newEmail || !password) {
+        return res.status(400).json({
+            success: false,
+            message: "New email and current password are required.",
+        });
+    }
+
+    const email = String(newEmail).trim();
+    if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+            success: false,
+            message: "Please enter a valid email address.",
+        });
+    }
+
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        // 2. Re-authenticate: a stolen session alone must not be enough to take over the account
+        const isMatch = await verifyPassword(password, user.password);
+        if (!isMatch) {
+            await recordAuditEvent(req, { action: "email_change.request", outcome: "failure", reason: "invalid_password" });
+            return res.status(401).json({
+                success: false,
+                message: "Password is incorrect.",
+            });
+        }
+
+        if (email === user.email) {
+            return res.status(400).json({
+                success: false,
+                message: "This is already your email address.",
+            });
+        }
+
+        // While the previous address can still undo the last change, no new change is
+        // accepted: it would replace the "this wasn't me" link and release that address
+        if (user.previousEmail && user.previousEmailExpiresAt > Date.now()) {
+            await recordAuditEvent(req, { action: "email_change.request", outcome: "failure", reason: "revert_window_open" });
+            return res.status(409).json({
+                success: false,
+                code: "email_change_revert_window",
+                message: "Your email address was changed recently. You can change it again once the link sent to your previous address has expired.",
+                availableAt: user.previousEmailExpiresAt,
+            });
+        }
+
+        // 3. The new address must not belong to (or be reserved by) another account
+        if (await User.isEmailTaken(email, user._id)) {
+            return res.status(409).json({
+                success: false,
+                message: "This email address is already in use.",
+            });
+        }
+
+        // 4. Store the pending address with a confirmation link (24 hours) and a revert
+        // link (7 days), and queue the confirmation to the new address and the "this
+        // wasn't me" link to the old one. A new request replaces any earlier unconfirmed one.
+        await withTransaction(async (session) => {
+            user.pendingEmail = email;
+            user.previousEmail = undefined;
+            user.previousEmailExpiresAt = undefined;
+            await user.save({ session });
+
+            const confirmToken = await issueOneTimeToken(user._id, "email_change_confirm", { session });
+            const revertToken = await issueOneTimeToken(user._id, "email_change_revert", { session });
+
+            await sendEmailChangeConfirmationEmail(email, `${getClientUrl()}/confirm-email-change/${confirmToken}`, {
+                session,
+                locale: user.locale,
+            });
+            await sendEmailChangeNoticeEmail(user.email, email, `${getClientUrl()}/revert-email-change/${revertToken}`, {
+                session,
+                locale: user.locale,
+            });
+        });
+
+        await recordAuditEvent(req, { action: "email_change.request", metadata: { from: user.email, to: email } });
+
+        return res.status(200).json({
+            success: true,
+            message: `We've sent a confirmation link to ${email}. Your email will change once you confirm it.`,
+            pendingEmail: email,
+        });
+    } catch (error) {
+        // Unique index on pendingEmail: someone else reserved the address at the same moment
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: "This email address is already in use.",
+            });
+        }
+
+        console.error("❌ Email change request error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while requesting email change.",
+        });
+    }
+};
+
+// ====================================================================================
+// ✅ Confirm Email Change Controller
+// ====================================================================================
+// Follows the link sent to the new address
+export const confirmEmailChange = async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        // 1. Use up the confirmation link
+        const { userId, error } = await consumeOneTimeToken("email_change_confirm", token);
+        const user = !error && await User.findById(userId);
+
+        if (!user || !user.pendingEmail) {
+            await recordAuditEvent(req, { action: "email_change.confirm", outcome: "failure", reason: "invalid_token" });
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or expired confirmation link.",
+            });
+        }
+
+        // 2. Swap the addresses; the old one stays reserved for as long as its revert
+        // link works (7 days from the request)
+        const revertIssuedAt = await getOneTimeTokenIssuedAt(user._id, "email_change_revert");
+        const oldEmail = user.email;
+        user.previousEmail = oldEmail;
+        user.previousEmailExpiresAt = new Date(
+            (revertIssuedAt || new Date()).getTime() + TOKEN_PURPOSES.email_change_revert.ttlMs
+        );
+        user.email = user.pendingEmail;
+        user.pendingEmail = undefined;
+        await user.save();
+
+        await recordAuditEvent(req, {
+            action: "email_change.confirm",
+            actor: user._id,
+            metadata: { from: oldEmail, to: user.email },
+        });
+        console.log("✉️ Email changed:", user._id);
+
+        return res.status(200).json({
+            success: true,
+            message: "Your email address has been changed.",
+            email: user.email,
+        });
+    } catch (error) {
+        console.error("❌ Email change confirmation error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while confirming email change.",
+        });
+    }
+};
+
+// ====================================================================================
+// ↩️ Revert Email Change Controller ("this wasn't me")
+// ====================================================================================
+// Follows the link sent to the old address. Cancels a pending change or undoes a
+// confirmed one, and signs out every device in case the account was taken over.
+export const revertEmailChange = async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        // 1. Use up the revert link
+        const { userId, error } = await consumeOneTimeToken("email_change_revert", token);
+        const user = !error && await User.findById(userId);
+
+        if (!user) {
+            await recordAuditEvent(req, { action: "email_change.revert", outcome: "failure", reason: "invalid_token" });
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or expired link.",
+            });
+        }
+
+        // 2. Restore the old address (if the change was already confirmed) and drop the rest
+        const changedEmail = user.pendingEmail || user.email;
+        if (user.previousEmail) {
+            user.email = user.previousEmail;
+        }
+        user.pendingEmail = undefined;
+        user.previousEmail = undefined;
+        user.previousEmailExpiresAt = undefined;
+        await user.save();
+        await revokeOneTimeTokens(user._id, "email_change_confirm");
+
+        // 3. Sign out everywhere
+        const sessions = await Session.find({ user: user._id, revokedAt: null });
+        for (const session of sessions) {
+            await revokeSession(session._id);
+        }
+
+        await recordAuditEvent(req, {
+            action: "email_change.revert",
+            actor: user._id,
+            metadata: { restored: user.email, rejected: changedEmail, revokedSessions: sessions.length },
+        });
+        console.warn("🚨 Email change reverted by the previous owner:", user._id);
+
+        return res.status(200).json({
+            success: true,
+            message: "The email change was cancelled and all devices were signed out. We recommend resetting your password.",
+        });
+    } catch (error) {
+        console.error("❌ Email change revert error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while reverting email change.",
+        });
+    }
+};
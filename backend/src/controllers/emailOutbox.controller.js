@@ -0,0 +1,170 @@
+// Import mongoose to validate ObjectId route params
+import mongoose from "mongoose";
+
+// Queued, sent and dead-lettered emails
+import { EmailOutbox } from "../models/emailOutbox.model.js";
+
+// Outbox worker and replay
+import { processOutbox, replayFailedEmails } from "../mail/outbox.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+const OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+
+// Bodies may hold verification codes and reset links, so admins never see them
+const HIDDEN_FIELDS = "-html -text";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const getPollIntervalMs = () => (parseInt(process.env.EMAIL_OUTBOX_POLL_SECONDS, 10) || 10) * 1000;
+
+// ====================================================================================
+// 📬 Deliver queued emails (new ones are also sent right away, this picks up retries)
+// ====================================================================================
+setInterval(async () => {
+    try {
+        const sent = await processOutbox();
+
+        if (sent > 0) {
+            console.log(`📬 Sent ${sent} queued email(s).`);
+        }
+    } catch (error) {
+        console.error("❌ Error processing the email outbox:", error.message);
+    }
+}, getPollIntervalMs());
+
+// ====================================================================================
+// 📋 List Outbox Emails Controller
+// ====================================================================================
+// Query params: status (pending, sending, sent, failed), category, page, limit.
+// Newest first, without the email bodies; `counts` has the number of emails per status.
+export const listOutboxEmails = async (req, res) => {
+    const { status, category } = req.query;
+
+    if (status !== undefined && !OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${OUTBOX_STATUSES.join(", ")}`,
+        });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (category) filter.category = String(category);
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    try {
+        const [emails, total, statusCounts] = await Promise.all([
+            EmailOutbox.find(filter)
+                .select(HIDDEN_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            EmailOutbox.countDocuments(filter),
+            EmailOutbox.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+        ]);
+
+        const counts = Object.fromEntries(OUTBOX_STATUSES.map((name) => [name, 0]));
+        for (const { _id, count } of statusCounts) {
+            counts[_id] = count;
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Outbox emails fetched successfully",
+            emails,
+            counts,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error listing outbox emails:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching outbox emails.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔁 Replay Failed Email Controller
+// ====================================================================================
+// Puts one dead-lettered email back in the queue with a fresh set of attempts
+export const replayOutboxEmail = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const email = mongoose.isValidObjectId(id)
+            ? await EmailOutbox.findById(id).select(HIDDEN_FIELDS)
+            : null;
+
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                message: "Email not found.",
+            });
+        }
+
+        if (email.status !== "failed") {
+            return res.status(409).json({
+                success: false,
+                message: "Only failed emails can be replayed.",
+            });
+        }
+
+        await replayFailedEmails({ _id: email._id });
+        console.log(`🔁 Email ${email._id} replayed by ${req.userId}`);
+        await recordAuditEvent(req, {
+            action: "admin.email.replay",
+            metadata: { emailId: email._id, category: email.category },
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Email queued for another delivery attempt.",
+        });
+    } catch (error) {
+        console.error("❌ Error replaying email:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while replaying the email.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔁 Replay All Failed Emails Controller
+// ====================================================================================
+// Optional query param: category (only replay emails of that category)
+export const replayAllFailedEmails = async (req, res) => {
+    const filter = req.query.category ? { category: String(req.query.category) } : {};
+
+    try {
+        const replayed = await replayFailedEmails(filter);
+        console.log(`🔁 ${replayed} failed email(s) replayed by ${req.userId}`);
+        await recordAuditEvent(req, {
+            action: "admin.email.replay_all",
+            metadata: { replayed, category: filter.category },
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `${replayed} email(s) queued for another delivery attempt.`,
+            replayed,
+        });
+    } catch (error) {
+        console.error("❌ Error replaying failed emails:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while replaying failed emails.",
+        });
+    }
+};
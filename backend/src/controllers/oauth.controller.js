@@ -0,0 +1,243 @@
+// Import the User model from the database schema
+import { User } from "../models/user.model.js";
+
+// Hash the unusable random password of OAuth-created accounts
+import { hashPassword } from "../utils/password.js";
+
+// Import crypto for generating that random password
+import crypto from "crypto";
+
+// JWT is used to carry the flow's state/nonce/PKCE verifier in a short-lived cookie
+import jwt from "jsonwebtoken";
+
+import { getOAuthProviders, getOAuthProvider } from "../oauth/oauth.config.js";
+import {
+    buildAuthorizationUrl,
+    createPkcePair,
+    exchangeCode,
+    generateRandomValue,
+    getProfile
+} from "../oauth/oauthClient.js";
+import {
+    generateTokenAndSetCookie,
+    setMfaChallengeCookie
+} from "../utils/generateTokenAndSetCookie.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Removes an unverified account that someone else registered with the address
+import { deleteUserAccount } from "../utils/accountDeletion.js";
+
+const OAUTH_FLOW_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// "lax" (not "strict") so the cookie is sent on the provider's top-level redirect back.
+// Built per call so NODE_ENV from .env is already loaded.
+const getFlowCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/api/v1/auth/oauth",
+});
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// The callback URL registered with every provider
+const getRedirectUri = (providerId) => {
+    const serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 1502}`;
+    return `${serverUrl}/api/v1/auth/oauth/${providerId}/callback`;
+};
+
+// Send the browser back to the login page with an error code the frontend can show
+const redirectWithError = (res, error) => {
+    return res.redirect(`${getClientUrl()}/login?error=${encodeURIComponent(error)}`);
+};
+
+// Find the user by linked identity, else by verified email, else create one
+// (null if the email is reserved by someone else's pending email change)
+const findOrCreateUser = async (req, provider, profile) => {
+    let user = await User.findOne({
+        oauthAccounts: { $elemMatch: { provider: provider.id, subject: profile.subject } },
+    });
+    if (user) return user;
+
+    user = await User.findOne({ email: profile.email });
+
+    // Anyone can sign up with any address, so an unverified account proves nothing about
+    // who created it. Linking it would keep its password working for whoever chose it;
+    // it is replaced by a fresh account instead.
+    if (user && !user.isVerified) {
+        await deleteUserAccount(user);
+        await recordAuditEvent(req, {
+            action: "auth.oauth.replace_unverified",
+            target: user._id,
+            metadata: { provider: provider.id },
+        });
+        console.warn(`🧹 Unverified account ${user._id} replaced by a ${provider.name} login`);
+        user = null;
+    }
+
+    if (user) {
+        // The provider proved ownership of the email, so link it to the existing account
+        user.oauthAccounts.push({ provider: provider.id, subject: profile.subject });
+        user.isVerified = true;
+        return user;
+    }
+
+    // The address is reserved by another account's email change
+    if (await User.isEmailTaken(profile.email)) return null;
+
+    // New account: it has no usable password until the user sets one via "forgot password"
+    const randomPassword = crypto.randomBytes(32).toString("hex");
+    return new User({
+        email: profile.email,
+        name: profile.name,
+        password: await hashPassword(randomPassword),
+        isVerified: true,
+        oauthAccounts: [{ provider: provider.id, subject: profile.subject }],
+    });
+};
+
+// ====================================================================================
+// 📋 List OAuth Providers Controller
+// ====================================================================================
+export const listOAuthProviders = async (req, res) => {
+    return res.status(200).json({
+        success: true,
+        providers: getOAuthProviders().map(({ id, name }) => ({ id, name })),
+    });
+};
+
+// ====================================================================================
+// 🌐 OAuth Start Controller (redirects to the provider)
+// ====================================================================================
+export const startOAuth = async (req, res) => {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({
+            success: false,
+            message: "Unknown login provider.",
+        });
+    }
+
+    try {
+        // 1. Create the values that bind the callback to this browser
+        const state = generateRandomValue();
+        const nonce = generateRandomValue();
+        const { codeVerifier, codeChallenge } = createPkcePair();
+
+        res.cookie(
+            "oauthFlow",
+            jwt.sign(
+                { provider: provider.id, state, nonce, codeVerifier },
+                process.env.JWT_SECRET,
+                { expiresIn: Math.floor(OAUTH_FLOW_TTL_MS / 1000) }
+            ),
+            { ...getFlowCookieOptions(), maxAge: OAUTH_FLOW_TTL_MS }
+        );
+
+        // 2. Send the browser to the provider's consent page
+        const authorizationUrl = await buildAuthorizationUrl(provider, {
+            redirectUri: getRedirectUri(provider.id),
+            state,
+            nonce,
+            codeChallenge,
+        });
+
+        return res.redirect(authorizationUrl);
+    } catch (error) {
+        console.error("❌ OAuth start error:", error.message);
+        return redirectWithError(res, "oauth_failed");
+    }
+};
+
+// ====================================================================================
+// 🔁 OAuth Callback Controller
+// ====================================================================================
+export const oauthCallback = async (req, res) => {
+    const provider = getOAuthProvider(req.params.provider);
+    const { code, state, error } = req.query;
+
+    // Record the failed login and send the browser back with an error code
+    const reject = async (reason) => {
+        await recordAuditEvent(req, {
+            action: "auth.login",
+            outcome: "failure",
+            reason,
+            metadata: { method: `oauth:${provider?.id ?? req.params.provider}` },
+        });
+        return redirectWithError(res, reason);
+    };
+
+    // The flow cookie is single-use
+    const flowToken = req.cookies?.oauthFlow;
+    res.clearCookie("oauthFlow", getFlowCookieOptions());
+
+    if (!provider) {
+        return reject("oauth_failed");
+    }
+
+    // The user declined consent (or the provider reported another error)
+    if (error) {
+        return reject("oauth_cancelled");
+    }
+
+    try {
+        // 1. Check state against the cookie set by startOAuth
+        let flow;
+        try {
+            flow = jwt.verify(flowToken, process.env.JWT_SECRET);
+        } catch {
+            return reject("oauth_expired");
+        }
+
+        if (flow.provider !== provider.id || !state || flow.state !== state || !code) {
+            return reject("oauth_failed");
+        }
+
+        // 2. Exchange the code and read the verified profile (ID token nonce is checked here)
+        const tokens = await exchangeCode(provider, {
+            code: String(code),
+            codeVerifier: flow.codeVerifier,
+            redirectUri: getRedirectUri(provider.id),
+        });
+        const profile = await getProfile(provider, tokens, flow.nonce);
+
+        // 3. Only a provider-verified email may sign in or be linked to an account
+        if (!profile.email || !profile.emailVerified) {
+            return reject("oauth_email_unverified");
+        }
+
+        // 4. Find or create the user
+        const user = await findOrCreateUser(req, provider, profile);
+        if (!user) {
+            return reject("oauth_email_taken");
+        }
+        const auditDetails = {
+            method: `oauth:${provider.id}`,
+            newAccount: user.isNew,
+            linked: !user.isNew && user.isModified("oauthAccounts"),
+        };
+
+        // 5. Accounts with 2FA still need a code
+        if (user.twoFactor?.enabled) {
+            await user.save();
+            setMfaChallengeCookie(res, user._id);
+            await recordAuditEvent(req, { action: "auth.login.mfa_challenge", actor: user._id, metadata: auditDetails });
+            return res.redirect(`${getClientUrl()}/login?mfa=required`);
+        }
+
+        // 6. Save the user (new accounts included) before a session can reference it,
+        // then log them in and return to the app
+        user.lastLogin = Date.now();
+        await user.save();
+        await generateTokenAndSetCookie(res, user._id);
+        console.log(`🔓 User logged in with ${provider.name}`);
+        await recordAuditEvent(req, { action: "auth.login", actor: user._id, metadata: auditDetails });
+
+        return res.redirect(getClientUrl());
+    } catch (error) {
+        console.error("❌ OAuth callback error:", error.message);
+        return reject("oauth_failed");
+    }
+};
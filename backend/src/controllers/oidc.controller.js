@@ -0,0 +1,459 @@
+// Import the models used by the identity provider
+import { User } from "../models/user.model.js";
+import { OAuthClient } from "../models/oauthClient.model.js";
+import { AuthorizationCode } from "../models/authorizationCode.model.js";
+
+// Import crypto for codes, PKCE and client secret checks
+import crypto from "crypto";
+
+// JWT is used for pending authorization requests and for the issued tokens
+import jwt from "jsonwebtoken";
+
+import { getActiveSigningKey, getJwks, getPublicKey } from "../oidc/signingKeys.js";
+import { hashToken } from "../utils/generateTokenAndSetCookie.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+const SUPPORTED_SCOPES = ["openid", "profile", "email"];
+const AUTHORIZATION_REQUEST_TTL_MS = 10 * 60 * 1000; // Time the user has to log in and consent
+const AUTHORIZATION_CODE_TTL_MS = 60 * 1000; // Codes are redeemed immediately by the client
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+
+// Base URL of this identity provider; discovery lives at `${issuer}/.well-known/openid-configuration`
+const getIssuer = () => {
+    const issuer = process.env.OIDC_ISSUER || process.env.SERVER_URL || `http://localhost:${process.env.PORT || 1502}`;
+    return issuer.replace(/\/$/, "");
+};
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// Claims about the user, limited to what the granted scopes allow
+const buildUserClaims = (user, scopes) => ({
+    sub: user._id.toString(),
+    ...(scopes.includes("profile") && {
+        name: user.name,
+        updated_at: Math.floor(new Date(user.updatedAt).getTime() / 1000),
+    }),
+    ...(scopes.includes("email") && {
+        email: user.email,
+        email_verified: user.isVerified,
+    }),
+});
+
+// Append OAuth parameters to a client redirect URI
+const buildRedirect = (redirectUri, params) => {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined) url.searchParams.set(key, value);
+    }
+    return url.toString();
+};
+
+// Decode a pending authorization request created by `authorize`
+const readAuthorizationRequest = (request) => {
+    try {
+        const decoded = jwt.verify(String(request), process.env.JWT_SECRET);
+        return decoded.purpose === "oidc_authorize" ? decoded : null;
+    } catch {
+        return null;
+    }
+};
+
+// RFC 6749 token endpoint error response
+const tokenError = (res, status, error, description) => {
+    return res.status(status).set("Cache-Control", "no-store").json({
+        error,
+        error_description: description,
+    });
+};
+
+// ====================================================================================
+// 📄 OpenID Provider Metadata Controller (discovery)
+// ====================================================================================
+export const openidConfiguration = (req, res) => {
+    const issuer = getIssuer();
+
+    return res.status(200).json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ["code"],
+        grant_types_supported: ["authorization_code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        scopes_supported: SUPPORTED_SCOPES,
+        token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+        code_challenge_methods_supported: ["S256"],
+        claims_supported: [
+            "sub", "iss", "aud", "exp", "iat", "auth_time", "nonce",
+            "name", "updated_at", "email", "email_verified",
+        ],
+    });
+};
+
+// ====================================================================================
+// 🔑 JWKS Controller (public signing keys)
+// ====================================================================================
+export const jwks = async (req, res) => {
+    try {
+        return res.status(200).json(await getJwks());
+    } catch (error) {
+        console.error("❌ JWKS error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while loading signing keys.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🚪 Authorization Endpoint Controller
+// ====================================================================================
+export const authorize = async (req, res) => {
+    const {
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: responseType,
+        scope = "",
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod,
+    } = req.query;
+
+    try {
+        // 1. Unknown clients or unregistered redirect URIs get an error page, never a redirect
+        const client = await OAuthClient.findOne({ clientId: String(clientId) });
+        if (!client || !client.redirectUris.includes(redirectUri)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid client_id or redirect_uri.",
+            });
+        }
+
+        const redirectError = (error, description) => {
+            return res.redirect(buildRedirect(redirectUri, { error, error_description: description, state }));
+        };
+
+        // 2. Validate the rest of the request
+        if (responseType !== "code") {
+            return redirectError("unsupported_response_type", "Only response_type=code is supported.");
+        }
+
+        const scopes = String(scope).split(" ").filter(Boolean);
+        if (!scopes.includes("openid") || scopes.some((item) => !client.allowedScopes.includes(item))) {
+            return redirectError("invalid_scope", "The openid scope is required and all scopes must be allowed for this client.");
+        }
+
+        if (!codeChallenge || codeChallengeMethod !== "S256") {
+            return redirectError("invalid_request", "PKCE with code_challenge_method=S256 is required.");
+        }
+
+        // 3. Hand the request to the frontend, which logs the user in if needed and asks for consent
+        const request = jwt.sign(
+            {
+                purpose: "oidc_authorize",
+                clientId: client.clientId,
+                redirectUri,
+                scope: scopes.join(" "),
+                state,
+                nonce,
+                codeChallenge,
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: Math.floor(AUTHORIZATION_REQUEST_TTL_MS / 1000) }
+        );
+
+        return res.redirect(`${getClientUrl()}/consent?request=${encodeURIComponent(request)}`);
+    } catch (error) {
+        console.error("❌ OIDC authorize error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error during authorization.",
+        });
+    }
+};
+
+// ====================================================================================
+// 📋 Consent Details Controller (read by the consent screen)
+// ====================================================================================
+export const getConsentDetails = async (req, res) => {
+    const pending = readAuthorizationRequest(req.query.request);
+    if (!pending) {
+        return res.status(400).json({
+            success: false,
+            message: "This sign-in request is invalid or has expired.",
+        });
+    }
+
+    try {
+        const client = await OAuthClient.findOne({ clientId: pending.clientId });
+        if (!client) {
+            return res.status(400).json({
+                success: false,
+                message: "This application is no longer registered.",
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            client: { name: client.name },
+            scopes: pending.scope.split(" "),
+        });
+    } catch (error) {
+        console.error("❌ OIDC consent details error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while loading the sign-in request.",
+        });
+    }
+};
+
+// ====================================================================================
+// ✅ Consent Decision Controller (issues the authorization code)
+// ====================================================================================
+export const submitConsent = async (req, res) => {
+    const { request, approve } = req.body;
+
+    const pending = readAuthorizationRequest(request);
+    if (!pending) {
+        return res.status(400).json({
+            success: false,
+            message: "This sign-in request is invalid or has expired.",
+        });
+    }
+
+    try {
+        // 1. The user declined: tell the client
+        if (!approve) {
+            await recordAuditEvent(req, {
+                action: "oidc.consent",
+                outcome: "failure",
+                reason: "denied",
+                metadata: { clientId: pending.clientId, scope: pending.scope },
+            });
+            return res.status(200).json({
+                success: true,
+                redirectTo: buildRedirect(pending.redirectUri, {
+                    error: "access_denied",
+                    error_description: "The user denied the request.",
+                    state: pending.state,
+                }),
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        // 2. Issue a single-use authorization code bound to the client, redirect URI and PKCE challenge
+        const code = crypto.randomBytes(32).toString("base64url");
+        await AuthorizationCode.create({
+            codeHash: hashToken(code),
+            clientId: pending.clientId,
+            user: user._id,
+            redirectUri: pending.redirectUri,
+            scope: pending.scope,
+            nonce: pending.nonce,
+            codeChallenge: pending.codeChallenge,
+            authTime: user.lastLogin,
+            expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS,
+        });
+        console.log(`✅ User ${user._id} authorized client ${pending.clientId}`);
+        await recordAuditEvent(req, {
+            action: "oidc.consent",
+            metadata: { clientId: pending.clientId, scope: pending.scope },
+        });
+
+        return res.status(200).json({
+            success: true,
+            redirectTo: buildRedirect(pending.redirectUri, { code, state: pending.state }),
+        });
+    } catch (error) {
+        console.error("❌ OIDC consent error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while completing the sign-in request.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🎟️ Token Endpoint Controller
+// ====================================================================================
+export const token = async (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+
+    // Client credentials from HTTP Basic auth (client_secret_basic) or the body (client_secret_post / none)
+    let { client_id: clientId, client_secret: clientSecret } = req.body;
+    const authorization = req.get("authorization");
+
+    try {
+        if (authorization?.startsWith("Basic ")) {
+            const credentials = Buffer.from(authorization.slice(6), "base64").toString();
+            const separator = credentials.indexOf(":");
+            if (separator === -1) {
+                return tokenError(res, 401, "invalid_client", "Malformed client credentials.");
+            }
+            try {
+                clientId = decodeURIComponent(credentials.slice(0, separator));
+                clientSecret = decodeURIComponent(credentials.slice(separator + 1));
+            } catch {
+                return tokenError(res, 401, "invalid_client", "Malformed client credentials.");
+            }
+        }
+
+        // 1. Authenticate the client; public clients have no secret and rely on PKCE
+        const client = await OAuthClient.findOne({ clientId: String(clientId) }).select("+clientSecretHash");
+        if (!client) {
+            return tokenError(res, 401, "invalid_client", "Unknown client.");
+        }
+
+        if (client.clientSecretHash) {
+            const isMatch = clientSecret && crypto.timingSafeEqual(
+                Buffer.from(client.clientSecretHash),
+                Buffer.from(hashToken(String(clientSecret)))
+            );
+            if (!isMatch) {
+                return tokenError(res, 401, "invalid_client", "Client authentication failed.");
+            }
+        }
+
+        if (grantType !== "authorization_code") {
+            return tokenError(res, 400, "unsupported_grant_type", "Only authorization_code is supported.");
+        }
+
+        // 2. Redeem the code exactly once. Only a request from the client it was issued to,
+        // with the same redirect_uri, consumes it, so a wrong request can't burn it
+        const grant = await AuthorizationCode.findOneAndUpdate(
+            {
+                codeHash: hashToken(String(code)),
+                clientId: client.clientId,
+                redirectUri: String(redirectUri),
+                usedAt: null,
+                expiresAt: { $gt: Date.now() },
+            },
+            { usedAt: new Date() }
+        );
+
+        if (!grant) {
+            await recordAuditEvent(req, {
+                action: "oidc.token",
+                outcome: "failure",
+                reason: "invalid_grant",
+                metadata: { clientId: client.clientId },
+            });
+            return tokenError(res, 400, "invalid_grant", "Invalid, expired or already used authorization code.");
+        }
+
+        // 3. PKCE: the verifier must hash to the challenge sent to /authorize
+        const challenge = crypto.createHash("sha256").update(String(codeVerifier ?? "")).digest("base64url");
+        if (challenge !== grant.codeChallenge) {
+            await recordAuditEvent(req, {
+                action: "oidc.token",
+                outcome: "failure",
+                reason: "pkce_failed",
+                actor: grant.user,
+                metadata: { clientId: client.clientId },
+            });
+            return tokenError(res, 400, "invalid_grant", "PKCE verification failed.");
+        }
+
+        const user = await User.findById(grant.user);
+        if (!user) {
+            return tokenError(res, 400, "invalid_grant", "The user no longer exists.");
+        }
+
+        // 4. Sign the access token and the ID token
+        const issuer = getIssuer();
+        const scopes = grant.scope.split(" ");
+        const signingKey = await getActiveSigningKey();
+        const signOptions = { algorithm: "RS256", keyid: signingKey.kid, issuer };
+
+        const accessToken = jwt.sign(
+            { sub: user._id.toString(), scope: grant.scope, client_id: client.clientId },
+            signingKey.privateKey,
+            { ...signOptions, audience: issuer, expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+        );
+
+        const idToken = jwt.sign(
+            {
+                ...buildUserClaims(user, scopes),
+                nonce: grant.nonce,
+                auth_time: grant.authTime ? Math.floor(grant.authTime.getTime() / 1000) : undefined,
+            },
+            signingKey.privateKey,
+            { ...signOptions, audience: client.clientId, expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+        );
+
+        await recordAuditEvent(req, {
+            action: "oidc.token",
+            actor: user._id,
+            metadata: { clientId: client.clientId, scope: grant.scope },
+        });
+
+        return res.status(200).set("Cache-Control", "no-store").json({
+            access_token: accessToken,
+            token_type: "Bearer",
+            expires_in: ACCESS_TOKEN_TTL_SECONDS,
+            id_token: idToken,
+            scope: grant.scope,
+        });
+    } catch (error) {
+        console.error("❌ OIDC token error:", error.message);
+        return tokenError(res, 500, "server_error", "Server error while issuing tokens.");
+    }
+};
+
+// ====================================================================================
+// 👤 UserInfo Endpoint Controller
+// ====================================================================================
+export const userinfo = async (req, res) => {
+    const invalidToken = () => {
+        return res
+            .status(401)
+            .set("WWW-Authenticate", 'Bearer error="invalid_token"')
+            .json({ error: "invalid_token" });
+    };
+
+    const authorization = req.get("authorization");
+    if (!authorization?.startsWith("Bearer ")) {
+        return invalidToken();
+    }
+
+    try {
+        // 1. Verify the access token against our own published keys
+        const accessToken = authorization.slice(7);
+        const decoded = jwt.decode(accessToken, { complete: true });
+        const publicKey = decoded && await getPublicKey(decoded.header.kid);
+        if (!publicKey) {
+            return invalidToken();
+        }
+
+        let claims;
+        try {
+            const issuer = getIssuer();
+            claims = jwt.verify(accessToken, publicKey, { algorithms: ["RS256"], issuer, audience: issuer });
+        } catch {
+            return invalidToken();
+        }
+
+        // 2. Return the claims allowed by the token's scopes
+        const user = await User.findById(claims.sub);
+        if (!user) {
+            return invalidToken();
+        }
+
+        return res.status(200).json(buildUserClaims(user, claims.scope.split(" ")));
+    } catch (error) {
+        console.error("❌ OIDC userinfo error:", error.message);
+        return res.status(500).json({ error: "server_error" });
+    }
+};
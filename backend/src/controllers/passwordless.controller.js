@@ -0,0 +1,168 @@
+// Import the User model from the database schema
+import { User } from "../models/user.model.js";
+
+import {
+    generateTokenAndSetCookie,
+    setMfaChallengeCookie
+} from "../utils/generateTokenAndSetCookie.js";
+
+// Single-use sign-in links and codes
+import { issueOneTimeToken, consumeOneTimeToken, revokeOneTimeTokens } from "../utils/oneTimeToken.js";
+
+// Email handlers for the two passwordless methods
+import { sendMagicLinkEmail, sendLoginCodeEmail } from "../mailtrap/emails.js";
+
+// Saves the token and queues its email together
+import { withTransaction } from "../utils/transaction.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Same answer whether or not the email belongs to an account
+const START_RESPONSE = {
+    success: true,
+    message: "If an account exists for this email, a sign-in email has been sent.",
+};
+
+// ====================================================================================
+// 🪄 Passwordless Start Controller
+// ====================================================================================
+export const startPasswordless = async (req, res) => {
+    const { email, method = "link" } = req.body;
+
+    if (!email || !["link", "code"].includes(method)) {
+        return res.status(400).json({
+            success: false,
+            message: "A valid email and method (link or code) are required.",
+        });
+    }
+
+    try {
+        // 1. Only verified accounts can sign in; don't reveal whether the email exists
+        const user = await User.findOne({ email: String(email) });
+        if (!user || !user.isVerified) {
+            await recordAuditEvent(req, {
+                action: "auth.passwordless.start",
+                outcome: "failure",
+                reason: user ? "email_not_verified" : "unknown_email",
+                actor: user?._id,
+                metadata: { method, email: String(email) },
+            });
+            return res.status(200).json(START_RESPONSE);
+        }
+
+        // 2. Issue a single-use link or code (valid 15 minutes) and queue its email together;
+        // a new request replaces any previous one, of either method
+        await withTransaction(async (session) => {
+            const secret = await issueOneTimeToken(user._id, `passwordless_${method}`, { session });
+            await revokeOneTimeTokens(user._id, method === "link" ? "passwordless_code" : "passwordless_link", { session });
+
+            if (method === "link") {
+                await sendMagicLinkEmail(
+                    user.email,
+                    `${process.env.CLIENT_URL}/passwordless/${secret}`,
+                    { session, locale: user.locale }
+                );
+            } else {
+                await sendLoginCodeEmail(user.email, secret, { session, locale: user.locale });
+            }
+        });
+        console.log(`📧 Passwordless ${method} email sent`);
+        await recordAuditEvent(req, { action: "auth.passwordless.start", actor: user._id, metadata: { method } });
+
+        return res.status(200).json(START_RESPONSE);
+    } catch (error) {
+        console.error("❌ Passwordless start error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while sending sign-in email.",
+        });
+    }
+};
+
+// ====================================================================================
+// ✅ Passwordless Complete Controller
+// ====================================================================================
+export const completePasswordless = async (req, res) => {
+    const { token, email, code } = req.body;
+
+    if (!token && !(email && code)) {
+        return res.status(400).json({
+            success: false,
+            message: "A sign-in link token, or an email and code, are required.",
+        });
+    }
+
+    try {
+        // 1. Use up the link or code (single use either way)
+        let userId = null;
+
+        if (token) {
+            // 1a. Magic link: the random token identifies the user by itself
+            ({ userId } = await consumeOneTimeToken("passwordless_link", String(token)));
+        } else {
+            // 1b. Emailed code: short, so it is tied to the email and attempt-limited
+            const owner = await User.findOne({ email: String(email) }).select("_id");
+            if (owner) {
+                ({ userId } = await consumeOneTimeToken("passwordless_code", String(code), { userId: owner._id }));
+            }
+        }
+
+        const user = userId && await User.findById(userId);
+
+        if (!user) {
+            await recordAuditEvent(req, {
+                action: "auth.login",
+                outcome: "failure",
+                reason: "invalid_passwordless_token",
+                metadata: { method: token ? "magic_link" : "email_code" },
+            });
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or expired sign-in link or code.",
+            });
+        }
+
+        // 2. The email replaces the password, not the second factor
+        if (user.twoFactor?.enabled) {
+            setMfaChallengeCookie(res, user._id);
+            await recordAuditEvent(req, {
+                action: "auth.login.mfa_challenge",
+                actor: user._id,
+                metadata: { method: token ? "magic_link" : "email_code" },
+            });
+            return res.status(200).json({
+                success: true,
+                code: "mfa_required",
+                message: "Two-factor authentication code required.",
+            });
+        }
+
+        // 3. Log the user in and update last login timestamp
+        await generateTokenAndSetCookie(res, user._id);
+        user.lastLogin = Date.now();
+        await user.save();
+        console.log("🔓 User logged in without password");
+        await recordAuditEvent(req, {
+            action: "auth.login",
+            actor: user._id,
+            metadata: { method: token ? "magic_link" : "email_code" },
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Logged in successfully",
+            user: {
+                ...user._doc,
+                password: undefined,
+                permissions: user.getPermissions(),
+            },
+        });
+    } catch (error) {
+        console.error("❌ Passwordless login error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error during passwordless login.",
+        });
+    }
+};
@@ -0,0 +1,192 @@
+// Import the User model from the database schema
+import { User } from "../models/user.model.js";
+
+// Avatar resizing and storage
+import { saveAvatar, deleteAvatar } from "../utils/avatar.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+// "ar-eg" -> "ar-EG"
+import { canonicalLocale } from "../utils/locale.js";
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DISPLAY_NAME_LENGTH = 50;
+
+// The user object sent back to the client (same shape as checkAuth)
+const toClientUser = (user) => ({
+    ...user._doc,
+    password: undefined,
+    permissions: user.getPermissions(),
+});
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Validate the editable fields; returns { changes } or { error }.
+// An empty displayName, timezone or locale clears it.
+const readProfileChanges = (body) => {
+    const changes = {};
+    const { name, displayName, timezone, locale } = body;
+
+    if (name !== undefined) {
+        const value = typeof name === "string" ? name.trim() : "";
+        if (!value || value.length > MAX_NAME_LENGTH) {
+            return { error: `Name is required and must be at most ${MAX_NAME_LENGTH} characters.` };
+        }
+        changes.name = value;
+    }
+
+    if (displayName !== undefined) {
+        const value = typeof displayName === "string" ? displayName.trim() : null;
+        if (value === null || value.length > MAX_DISPLAY_NAME_LENGTH) {
+            return { error: `Display name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters.` };
+        }
+        changes.displayName = value || undefined;
+    }
+
+    if (timezone !== undefined) {
+        if (typeof timezone !== "string" || (timezone && !isValidTimezone(timezone))) {
+            return { error: "Timezone must be an IANA time zone, e.g. \"Europe/Berlin\"." };
+        }
+        changes.timezone = timezone || undefined;
+    }
+
+    if (locale !== undefined) {
+        const value = typeof locale === "string" && locale ? canonicalLocale(locale) : null;
+        if (locale && !value) {
+            return { error: "Locale must be a language tag, e.g. \"en\" or \"ar-EG\"." };
+        }
+        changes.locale = value || undefined;
+    }
+
+    return { changes };
+};
+
+// ====================================================================================
+// 👤 Update Profile Controller
+// ====================================================================================
+export const updateProfile = async (req, res) => {
+    // 1. Validate input
+    const { changes, error } = readProfileChanges(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: "Nothing to update. Send name, displayName, timezone or locale.",
+        });
+    }
+
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        // 2. Apply the changes
+        user.set(changes);
+        await user.save();
+
+        await recordAuditEvent(req, { action: "profile.update", metadata: { fields: Object.keys(changes) } });
+
+        return res.status(200).json({
+            success: true,
+            message: "Profile updated.",
+            user: toClientUser(user),
+        });
+    } catch (error) {
+        console.error("❌ Update profile error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while updating profile.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🖼️ Upload Avatar Controller
+// ====================================================================================
+// Expects the file from the avatarUpload middleware (req.file)
+export const uploadAvatar = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        // 1. Check, resize and store the new image
+        const { avatar, error } = await saveAvatar(req.file.buffer);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        // 2. Point the user at it, then drop the old files
+        const oldAvatarId = user.avatar?.id;
+        user.avatar = avatar;
+        await user.save();
+        await deleteAvatar(oldAvatarId);
+
+        await recordAuditEvent(req, { action: "profile.avatar_update" });
+
+        return res.status(200).json({
+            success: true,
+            message: "Avatar updated.",
+            user: toClientUser(user),
+        });
+    } catch (error) {
+        console.error("❌ Upload avatar error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while uploading avatar.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🗑️ Remove Avatar Controller
+// ====================================================================================
+export const removeAvatar = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Unauthorized. Please login to continue.",
+            });
+        }
+
+        const oldAvatarId = user.avatar?.id;
+        user.avatar = undefined;
+        await user.save();
+        await deleteAvatar(oldAvatarId);
+
+        await recordAuditEvent(req, { action: "profile.avatar_remove" });
+
+        return res.status(200).json({
+            success: true,
+            message: "Avatar removed.",
+            user: toClientUser(user),
+        });
+    } catch (error) {
+        console.error("❌ Remove avatar error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while removing avatar.",
+        });
+    }
+};
@@ -0,0 +1,115 @@
+// Import mongoose to validate ObjectId route params
+import mongoose from "mongoose";
+
+// Import the Session model from the database schema
+import { Session } from "../models/session.model.js";
+
+// Session revocation also revokes the session's refresh tokens
+import { revokeSession } from "../utils/generateTokenAndSetCookie.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+// ====================================================================================
+// 📋 List Active Sessions Controller
+// ====================================================================================
+export const getSessions = async (req, res) => {
+    try {
+        // Fetch all non-revoked sessions of the current user, most recent first
+        const sessions = await Session.find({ user: req.userId, revokedAt: null })
+            .sort({ lastSeenAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            message: "Sessions fetched successfully",
+            count: sessions.length,
+            sessions: sessions.map((session) => ({
+                _id: session._id,
+                device: session.device,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                current: session._id.toString() === req.sessionId,
+            })),
+        });
+    } catch (error) {
+        console.error("❌ Error fetching sessions:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching sessions.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔒 Revoke One Session Controller
+// ====================================================================================
+export const revokeOneSession = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({
+            success: false,
+            message: "Session not found.",
+        });
+    }
+
+    try {
+        // Only the owner of a session may revoke it
+        const session = await Session.findOne({ _id: id, user: req.userId, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: "Session not found.",
+            });
+        }
+
+        await revokeSession(session._id);
+        console.log("🔒 Session revoked:", session._id);
+        await recordAuditEvent(req, { action: "session.revoke", metadata: { sessionId: String(session._id) } });
+
+        return res.status(200).json({
+            success: true,
+            message: "Session revoked successfully",
+        });
+    } catch (error) {
+        console.error("❌ Error revoking session:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while revoking session.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🧹 Revoke All Other Sessions Controller
+// ====================================================================================
+export const revokeOtherSessions = async (req, res) => {
+    try {
+        // Every active session of the user except the one making this request
+        const sessions = await Session.find({
+            user: req.userId,
+            revokedAt: null,
+            _id: { $ne: req.sessionId },
+        });
+
+        for (const session of sessions) {
+            await revokeSession(session._id);
+        }
+        console.log(`🧹 Revoked ${sessions.length} other session(s) for user:`, req.userId);
+        await recordAuditEvent(req, { action: "session.revoke_others", metadata: { count: sessions.length } });
+
+        return res.status(200).json({
+            success: true,
+            message: "All other sessions revoked successfully",
+            count: sessions.length,
+        });
+    } catch (error) {
+        console.error("❌ Error revoking other sessions:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while revoking sessions.",
+        });
+    }
+};
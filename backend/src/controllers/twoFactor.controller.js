@@ -0,0 +1,313 @@
+// Import the User model from the database schema
+import { User } from "../models/user.model.js";
+
+// Re-confirm the password before disabling 2FA
+import { verifyPassword } from "../utils/password.js";
+
+// Import crypto for generating recovery codes
+import crypto from "crypto";
+
+// TOTP (RFC 6238) helpers and at-rest encryption for the shared secret
+import { generateTotpSecret, buildOtpauthUri, verifyTotp } from "../utils/totp.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+
+// Shared TOTP / recovery code check
+import { TWO_FACTOR_FIELDS, normalizeRecoveryCode, verifySecondFactor } from "../utils/secondFactor.js";
+
+import {
+    generateTokenAndSetCookie,
+    hashToken,
+    readMfaChallengeCookie,
+    clearMfaChallengeCookie,
+    setPasswordExpiredChallengeCookie
+} from "../utils/generateTokenAndSetCookie.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Generate a fresh set of recovery codes; the plain codes are shown once, only hashes are stored
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+        codes,
+        hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+    };
+};
+
+// ====================================================================================
+// 🔐 Two-Factor Setup Controller (step 1 of enrollment)
+// ====================================================================================
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found.",
+            });
+        }
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: "Two-factor authentication is already enabled.",
+            });
+        }
+
+        // 1. Generate a new secret and keep it pending until the first code confirms it
+        const secret = generateTotpSecret();
+        user.twoFactor.pendingSecret = encrypt(secret);
+        await user.save();
+
+        // 2. Return the secret and the URI for the authenticator app
+        return res.status(200).json({
+            success: true,
+            message: "Scan the QR code or enter the secret in your authenticator app.",
+            secret,
+            otpauthUri: buildOtpauthUri(secret, user.email, process.env.APP_NAME || "Auth App"),
+        });
+    } catch (error) {
+        console.error("❌ Two-factor setup error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error during two-factor setup.",
+        });
+    }
+};
+
+// ====================================================================================
+// ✅ Two-Factor Enable Controller (step 2 of enrollment)
+// ====================================================================================
+export const enableTwoFactor = async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+        if (!user || !user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: "Start two-factor setup before enabling it.",
+            });
+        }
+
+        // 1. The first code proves the authenticator app holds the right secret
+        const step = verifyTotp(decrypt(user.twoFactor.pendingSecret), code);
+        if (step === null) {
+            await recordAuditEvent(req, { action: "2fa.enable", outcome: "failure", reason: "invalid_code" });
+            return res.status(400).json({
+                success: false,
+                message: "Invalid verification code.",
+            });
+        }
+
+        // 2. Promote the pending secret and issue recovery codes
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.recoveryCodes = hashes;
+        await user.save();
+        console.log("🔐 Two-factor enabled:", user._id);
+        await recordAuditEvent(req, { action: "2fa.enable" });
+
+        return res.status(200).json({
+            success: true,
+            message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        console.error("❌ Two-factor enable error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while enabling two-factor authentication.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🚫 Two-Factor Disable Controller
+// ====================================================================================
+export const disableTwoFactor = async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+        return res.status(400).json({
+            success: false,
+            message: "Password and a verification or recovery code are required.",
+        });
+    }
+
+    try {
+        const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: "Two-factor authentication is not enabled.",
+            });
+        }
+
+        // Require both the password and a second factor
+        const isMatch = await verifyPassword(password, user.password);
+        if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+            await recordAuditEvent(req, {
+                action: "2fa.disable",
+                outcome: "failure",
+                reason: isMatch ? "invalid_code" : "invalid_password",
+            });
+            return res.status(401).json({
+                success: false,
+                message: "Invalid password or verification code.",
+            });
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save();
+        console.log("🔓 Two-factor disabled:", user._id);
+        await recordAuditEvent(req, { action: "2fa.disable" });
+
+        return res.status(200).json({
+            success: true,
+            message: "Two-factor authentication disabled.",
+        });
+    } catch (error) {
+        console.error("❌ Two-factor disable error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while disabling two-factor authentication.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔁 Regenerate Recovery Codes Controller
+// ====================================================================================
+export const regenerateRecoveryCodes = async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: "Two-factor authentication is not enabled.",
+            });
+        }
+
+        // Only a current TOTP code (not a recovery code) can mint new recovery codes
+        if (!verifySecondFactor(user, { code })) {
+            await recordAuditEvent(req, { action: "2fa.recovery_codes", outcome: "failure", reason: "invalid_code" });
+            return res.status(401).json({
+                success: false,
+                message: "Invalid verification code.",
+            });
+        }
+
+        // Replace every previous recovery code
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = hashes;
+        await user.save();
+        await recordAuditEvent(req, { action: "2fa.recovery_codes" });
+
+        return res.status(200).json({
+            success: true,
+            message: "Recovery codes regenerated. Previous codes no longer work.",
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        console.error("❌ Recovery code regeneration error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while regenerating recovery codes.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔢 Two-Factor Login Controller (second step after a correct password)
+// ====================================================================================
+export const verifyTwoFactorLogin = async (req, res) => {
+    const { code, recoveryCode } = req.body;
+
+    try {
+        // 1. The password step must have been completed a few minutes ago
+        const challenge = readMfaChallengeCookie(req);
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                message: "Login session expired. Please login again.",
+            });
+        }
+
+        const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: "Login session expired. Please login again.",
+            });
+        }
+
+        // 2. Accept a TOTP code or a one-time recovery code
+        const method = recoveryCode ? "recovery_code" : "totp";
+        if (!verifySecondFactor(user, { code, recoveryCode })) {
+            await recordAuditEvent(req, {
+                action: "auth.login",
+                outcome: "failure",
+                reason: "invalid_2fa_code",
+                actor: user._id,
+                metadata: { method },
+            });
+            return res.status(401).json({
+                success: false,
+                message: "Invalid verification code.",
+            });
+        }
+
+        // Used codes can't be used again (the recovery code is removed, the TOTP step recorded),
+        // whatever happens next
+        await user.save();
+
+        // 3. The password has expired: a new one must be set before the session is created
+        clearMfaChallengeCookie(res);
+        if (challenge.passwordExpired) {
+            setPasswordExpiredChallengeCookie(res, user._id);
+            await recordAuditEvent(req, { action: "auth.login.password_expired", actor: user._id, metadata: { method } });
+            return res.status(200).json({
+                success: true,
+                code: "password_expired",
+                message: "Your password has expired. Please choose a new one.",
+            });
+        }
+
+        // 4. Finish the login: create the session and update last login timestamp
+        await generateTokenAndSetCookie(res, user._id);
+        user.lastLogin = Date.now();
+        await user.save();
+        console.log("🔓 User logged in with two-factor authentication");
+        await recordAuditEvent(req, { action: "auth.login", actor: user._id, metadata: { method } });
+
+        return res.status(200).json({
+            success: true,
+            message: "Logged in successfully",
+            user: {
+                ...user._doc,
+                password: undefined,
+                permissions: user.getPermissions(),
+                twoFactor: { enabled: true },
+            },
+            recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+        });
+    } catch (error) {
+        console.error("❌ Two-factor login error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error during two-factor login.",
+        });
+    }
+};
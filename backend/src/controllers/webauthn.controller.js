@@ -0,0 +1,452 @@
+// Import the User and Passkey models from the database schema
+import { User } from "../models/user.model.js";
+import { Passkey } from "../models/passkey.model.js";
+
+// Import mongoose to validate ObjectId route params
+import mongoose from "mongoose";
+
+// JWT is used to carry the ceremony challenge in a short-lived cookie
+import jwt from "jsonwebtoken";
+
+// WebAuthn ceremony helpers
+import {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} from "@simplewebauthn/server";
+
+import { generateTokenAndSetCookie } from "../utils/generateTokenAndSetCookie.js";
+
+// Re-authentication before adding a passkey
+import { verifyPassword } from "../utils/password.js";
+import { TWO_FACTOR_FIELDS, verifySecondFactor } from "../utils/secondFactor.js";
+
+// Stores the passkey and queues its notification together
+import { withTransaction } from "../utils/transaction.js";
+import { sendPasskeyAddedEmail } from "../mailtrap/emails.js";
+
+// Security audit log
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Relying party configuration: the RP ID must match the frontend's domain.
+// Read lazily so values from .env are available.
+const getRelyingParty = () => ({
+    rpName: process.env.APP_NAME || "Auth App",
+    rpID: process.env.WEBAUTHN_RP_ID || "localhost",
+    expectedOrigin: process.env.CLIENT_URL || "http://localhost:5173",
+});
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+// Built per call so NODE_ENV from .env is already loaded
+const getChallengeCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/v1/auth/webauthn",
+});
+
+// Remember the challenge of a ceremony between its "options" and "verify" requests
+const setChallengeCookie = (res, challenge, purpose, userId) => {
+    const token = jwt.sign(
+        { challenge, purpose, userId },
+        process.env.JWT_SECRET,
+        { expiresIn: Math.floor(CHALLENGE_TTL_MS / 1000) }
+    );
+
+    res.cookie("webauthnChallenge", token, { ...getChallengeCookieOptions(), maxAge: CHALLENGE_TTL_MS });
+};
+
+// Read and consume the pending challenge; returns null if missing, expired or for another purpose
+const consumeChallengeCookie = (req, res, purpose) => {
+    const token = req.cookies?.webauthnChallenge;
+    res.clearCookie("webauthnChallenge", getChallengeCookieOptions());
+    if (!token) return null;
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch {
+        return null;
+    }
+};
+
+// ====================================================================================
+// 🔑 Passkey Registration Options Controller
+// ====================================================================================
+export const registrationOptions = async (req, res) => {
+    const { password, code, recoveryCode } = req.body ?? {};
+
+    if (!password) {
+        return res.status(400).json({
+            success: false,
+            message: "Your current password is required to add a passkey.",
+        });
+    }
+
+    try {
+        const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found.",
+            });
+        }
+
+        // 1. Re-authenticate: a passkey signs in without password or 2FA, so a stolen
+        // session alone must not be enough to add one
+        const isMatch = await verifyPassword(password, user.password);
+        if (!isMatch) {
+            await recordAuditEvent(req, { action: "passkey.register", outcome: "failure", reason: "invalid_password" });
+            return res.status(401).json({
+                success: false,
+                message: "Password is incorrect.",
+            });
+        }
+
+        if (user.twoFactor?.enabled) {
+            if (!code && !recoveryCode) {
+                return res.status(400).json({
+                    success: false,
+                    code: "2fa_required",
+                    message: "A verification or recovery code is required to add a passkey.",
+                });
+            }
+            if (!verifySecondFactor(user, { code, recoveryCode })) {
+                await recordAuditEvent(req, { action: "passkey.register", outcome: "failure", reason: "invalid_code" });
+                return res.status(401).json({
+                    success: false,
+                    message: "Invalid verification code.",
+                });
+            }
+            // The accepted code can't be used again
+            await user.save();
+        }
+
+        // 2. Don't let the same authenticator be registered twice
+        const existing = await Passkey.find({ user: user._id });
+
+        const { rpName, rpID } = getRelyingParty();
+        const options = await generateRegistrationOptions({
+            rpName,
+            rpID,
+            userName: user.email,
+            userDisplayName: user.name,
+            userID: new TextEncoder().encode(user._id.toString()),
+            attestationType: "none",
+            excludeCredentials: existing.map((passkey) => ({
+                id: passkey.credentialId,
+                transports: passkey.transports,
+            })),
+            // Discoverable credentials allow signing in without typing an email
+            authenticatorSelection: {
+                residentKey: "required",
+                userVerification: "preferred",
+            },
+        });
+
+        // 3. Only this re-authenticated ceremony may register a passkey
+        setChallengeCookie(res, options.challenge, "registration", user._id.toString());
+
+        return res.status(200).json({
+            success: true,
+            options,
+        });
+    } catch (error) {
+        console.error("❌ Passkey registration options error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while starting passkey registration.",
+        });
+    }
+};
+
+// ====================================================================================
+// ✅ Passkey Registration Verification Controller
+// ====================================================================================
+export const verifyRegistration = async (req, res) => {
+    const { response, name } = req.body;
+
+    try {
+        // 1. The challenge must come from an options request by the same user
+        const pending = consumeChallengeCookie(req, res, "registration");
+        if (!pending || pending.userId !== req.userId) {
+            return res.status(400).json({
+                success: false,
+                message: "Passkey registration expired. Please try again.",
+            });
+        }
+
+        // 2. Verify the attestation against the challenge, origin and RP ID
+        const { rpID, expectedOrigin } = getRelyingParty();
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: pending.challenge,
+                expectedOrigin,
+                expectedRPID: rpID,
+            });
+        } catch (error) {
+            console.error("❌ Passkey registration rejected:", error.message);
+            return res.status(400).json({
+                success: false,
+                message: "Passkey registration could not be verified.",
+            });
+        }
+
+        if (!verification.verified) {
+            return res.status(400).json({
+                success: false,
+                message: "Passkey registration could not be verified.",
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found.",
+            });
+        }
+
+        // 3. Store the credential for this user and tell the owner by email
+        const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+        const passkey = await withTransaction(async (session) => {
+            const [created] = await Passkey.create([{
+                user: user._id,
+                credentialId: credential.id,
+                publicKey: Buffer.from(credential.publicKey),
+                counter: credential.counter,
+                transports: credential.transports,
+                deviceType: credentialDeviceType,
+                backedUp: credentialBackedUp,
+                name: name || undefined,
+            }], { session });
+
+            await sendPasskeyAddedEmail(
+                user.email,
+                created.name,
+                created.createdAt,
+                `${getClientUrl()}/login`,
+                { session, locale: user.locale }
+            );
+
+            return created;
+        });
+        console.log("🔑 Passkey registered:", passkey._id);
+        await recordAuditEvent(req, { action: "passkey.register", metadata: { passkeyId: String(passkey._id) } });
+
+        return res.status(201).json({
+            success: true,
+            message: "Passkey registered successfully",
+            passkey: {
+                _id: passkey._id,
+                name: passkey.name,
+                createdAt: passkey.createdAt,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Passkey registration error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error during passkey registration.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🔓 Passkey Login Options Controller
+// ====================================================================================
+export const authenticationOptions = async (req, res) => {
+    try {
+        // No allowCredentials: the browser offers any discoverable passkey for this site
+        const options = await generateAuthenticationOptions({
+            rpID: getRelyingParty().rpID,
+            userVerification: "preferred",
+        });
+
+        setChallengeCookie(res, options.challenge, "authentication");
+
+        return res.status(200).json({
+            success: true,
+            options,
+        });
+    } catch (error) {
+        console.error("❌ Passkey login options error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while starting passkey login.",
+        });
+    }
+};
+
+// ====================================================================================
+// ✅ Passkey Login Verification Controller
+// ====================================================================================
+export const verifyAuthentication = async (req, res) => {
+    const { response } = req.body;
+
+    try {
+        // 1. The challenge must come from a recent options request
+        const pending = consumeChallengeCookie(req, res, "authentication");
+        if (!pending) {
+            return res.status(400).json({
+                success: false,
+                message: "Passkey login expired. Please try again.",
+            });
+        }
+
+        // 2. Look up the credential the browser used
+        const passkey = await Passkey.findOne({ credentialId: response?.id });
+        if (!passkey) {
+            return res.status(401).json({
+                success: false,
+                message: "This passkey is not registered.",
+            });
+        }
+
+        // 3. Verify the signature. The library also rejects a sign counter that
+        // did not increase, which indicates a cloned authenticator.
+        const { rpID, expectedOrigin } = getRelyingParty();
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: pending.challenge,
+                expectedOrigin,
+                expectedRPID: rpID,
+                credential: {
+                    id: passkey.credentialId,
+                    publicKey: new Uint8Array(passkey.publicKey),
+                    counter: passkey.counter,
+                    transports: passkey.transports,
+                },
+            });
+        } catch (error) {
+            console.warn("🚨 Passkey login rejected:", passkey._id, error.message);
+            await recordAuditEvent(req, {
+                action: "auth.login",
+                outcome: "failure",
+                reason: "invalid_passkey",
+                actor: passkey.user,
+                metadata: { method: "passkey", passkeyId: String(passkey._id) },
+            });
+            return res.status(401).json({
+                success: false,
+                message: "Passkey could not be verified.",
+            });
+        }
+
+        if (!verification.verified) {
+            return res.status(401).json({
+                success: false,
+                message: "Passkey could not be verified.",
+            });
+        }
+
+        const user = await User.findById(passkey.user);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid email or password.",
+            });
+        }
+
+        // 4. Store the new sign counter
+        passkey.counter = verification.authenticationInfo.newCounter;
+        passkey.lastUsedAt = Date.now();
+        await passkey.save();
+
+        // 5. Log the user in. A passkey with user verification already counts as
+        // two factors, so TOTP is not requested here.
+        await generateTokenAndSetCookie(res, user._id);
+        user.lastLogin = Date.now();
+        await user.save();
+        console.log("🔓 User logged in with passkey");
+        await recordAuditEvent(req, {
+            action: "auth.login",
+            actor: user._id,
+            metadata: { method: "passkey", passkeyId: String(passkey._id) },
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Logged in successfully",
+            user: {
+                ...user._doc,
+                password: undefined,
+                permissions: user.getPermissions(),
+            },
+        });
+    } catch (error) {
+        console.error("❌ Passkey login error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error during passkey login.",
+        });
+    }
+};
+
+// ====================================================================================
+// 📋 List Passkeys Controller
+// ====================================================================================
+export const getPasskeys = async (req, res) => {
+    try {
+        const passkeys = await Passkey.find({ user: req.userId })
+            .select("name deviceType backedUp createdAt lastUsedAt")
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            message: "Passkeys fetched successfully",
+            count: passkeys.length,
+            passkeys,
+        });
+    } catch (error) {
+        console.error("❌ Error fetching passkeys:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching passkeys.",
+        });
+    }
+};
+
+// ====================================================================================
+// 🗑️ Delete Passkey Controller
+// ====================================================================================
+export const deletePasskey = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({
+            success: false,
+            message: "Passkey not found.",
+        });
+    }
+
+    try {
+        // Only the owner of a passkey may delete it
+        const passkey = await Passkey.findOneAndDelete({ _id: id, user: req.userId });
+        if (!passkey) {
+            return res.status(404).json({
+                success: false,
+                message: "Passkey not found.",
+            });
+        }
+        await recordAuditEvent(req, { action: "passkey.delete", metadata: { passkeyId: String(passkey._id) } });
+
+        return res.status(200).json({
+            success: true,
+            message: "Passkey deleted successfully",
+        });
+    } catch (error) {
+        console.error("❌ Error deleting passkey:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while deleting passkey.",
+        });
+    }
+};
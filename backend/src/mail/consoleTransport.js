@@ -0,0 +1,27 @@
+// ------------------------------------------------------------------------------------
+// 🖥️ Console transport (EMAIL_SERVICE=console)
+// ------------------------------------------------------------------------------------
+//
+// Prints emails to the server log instead of sending them (local development):
+// codes and links can be copied straight from the terminal.
+
+import { htmlToText } from "./htmlToText.js";
+
+export class ConsoleTransport {
+    async send({ from, to, subject, html, text, category }) {
+        console.log(
+            [
+                "📭 ---------------- Email (not sent: EMAIL_SERVICE=console) ----------------",
+                `From: ${from.name} <${from.email}>`,
+                `To: ${to.map(({ email }) => email).join(", ")}`,
+                `Subject: ${subject}`,
+                category ? `Category: ${category}` : null,
+                "",
+                text || htmlToText(html),
+                "-----------------------------------------------------------------------------",
+            ]
+                .filter((line) => line !== null)
+                .join("\n")
+        );
+    }
+}
@@ -0,0 +1,24 @@
+// ------------------------------------------------------------------------------------
+// 📝 Plain-text alternative of an HTML email
+// ------------------------------------------------------------------------------------
+//
+// Rough rendering that keeps text, link targets, list items and line breaks. Used for
+// the text part of every email and by the console transport.
+
+const ENTITIES = { "&nbsp;": " ", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&#39;": "'", "&amp;": "&" };
+
+const decodeEntities = (text) => text.replace(/&(nbsp|lt|gt|quot|#39|amp);/g, (entity) => ENTITIES[entity]);
+
+export const htmlToText = (html) =>
+    decodeEntities(
+        String(html)
+            .replace(/<(style|title|head)[^>]*>[\s\S]*?<\/\1>/gi, "")
+            .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, "$2 ($1)")
+            .replace(/<li[^>]*>/gi, "\n- ")
+            .replace(/<(br|\/p|\/div|\/h\d|\/li)\s*\/?>/gi, "\n")
+            .replace(/<[^>]+>/g, "")
+    )
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .join("\n");
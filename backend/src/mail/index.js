@@ -0,0 +1,44 @@
+// ------------------------------------------------------------------------------------
+// 📮 Email transport selection
+// ------------------------------------------------------------------------------------
+//
+// EMAIL_SERVICE = "mailtrap" (default) | "smtp" | "console" | "json". Every transport
+// implements:
+//   send(message) – deliver { from, to: [{ email, name? }], subject, html, text?, category }
+//
+// The sender comes from EMAIL_FROM / EMAIL_FROM_NAME. "console" and "json" never send
+// anything, so development and tests work without a Mailtrap account.
+// Emails reach the transport through the outbox (see outbox.js), never directly.
+
+import dotenv from "dotenv";
+import { MailtrapTransport } from "./mailtrapTransport.js";
+import { SmtpTransport } from "./smtpTransport.js";
+import { ConsoleTransport } from "./consoleTransport.js";
+import { JsonTransport } from "./jsonTransport.js";
+dotenv.config();
+
+let transport;
+
+export const getMailTransport = () => {
+    if (transport) return transport;
+
+    const type = process.env.EMAIL_SERVICE || "mailtrap";
+    if (type === "mailtrap") {
+        transport = new MailtrapTransport();
+    } else if (type === "smtp") {
+        transport = new SmtpTransport();
+    } else if (type === "console") {
+        transport = new ConsoleTransport();
+    } else if (type === "json") {
+        transport = new JsonTransport({ file: process.env.EMAIL_JSON_FILE });
+    } else {
+        throw new Error(`Unknown EMAIL_SERVICE "${type}" (use mailtrap, smtp, console or json)`);
+    }
+
+    return transport;
+};
+
+export const getSender = () => ({
+    email: process.env.EMAIL_FROM || "hello@demomailtrap.co",
+    name: process.env.EMAIL_FROM_NAME || "Aly Elbana",
+});
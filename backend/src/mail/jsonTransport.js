@@ -0,0 +1,33 @@
+// ------------------------------------------------------------------------------------
+// 🧪 JSON transport (EMAIL_SERVICE=json)
+// ------------------------------------------------------------------------------------
+//
+// Keeps the last MAX_MESSAGES emails in memory (`getMailTransport().messages`) and, with
+// EMAIL_JSON_FILE set, also appends every email to that file as one JSON object per line.
+// Nothing is sent, so tests and scripts can read the codes and links from there.
+
+import fs from "fs/promises";
+import path from "path";
+
+// Older emails are dropped from memory so a long-running server doesn't keep growing
+const MAX_MESSAGES = 100;
+
+export class JsonTransport {
+    constructor({ file } = {}) {
+        this.file = file ? path.resolve(file) : null;
+        this.messages = [];
+    }
+
+    async send(message) {
+        const entry = { ...message, sentAt: new Date().toISOString() };
+        this.messages.push(entry);
+        if (this.messages.length > MAX_MESSAGES) this.messages.shift();
+
+        if (this.file) {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.appendFile(this.file, JSON.stringify(entry) + "\n");
+        }
+
+        return entry;
+    }
+}
@@ -0,0 +1,28 @@
+// ------------------------------------------------------------------------------------
+// 📨 Mailtrap transport (EMAIL_SERVICE=mailtrap)
+// ------------------------------------------------------------------------------------
+//
+// Sends through the Mailtrap API with MAILTRAP_TOKEN (MAILTRAP_API_TOKEN also works).
+
+import { MailtrapClient } from "mailtrap";
+
+export class MailtrapTransport {
+    constructor() {
+        this.client = null;
+    }
+
+    getClient() {
+        if (!this.client) {
+            const token = process.env.MAILTRAP_TOKEN || process.env.MAILTRAP_API_TOKEN;
+            if (!token) {
+                throw new Error("EMAIL_SERVICE=mailtrap requires MAILTRAP_TOKEN");
+            }
+            this.client = new MailtrapClient({ token });
+        }
+        return this.client;
+    }
+
+    async send({ from, to, subject, html, text, category }) {
+        return this.getClient().send({ from, to, subject, html, text, category });
+    }
+}
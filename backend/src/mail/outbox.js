@@ -0,0 +1,166 @@
+// ------------------------------------------------------------------------------------
+// 📬 Email outbox
+// ------------------------------------------------------------------------------------
+//
+// Requests never talk to the mail transport directly. `queueMail` stores the email in
+// the EmailOutbox collection (inside the caller's transaction when given a session, so
+// the email exists exactly when the change it belongs to was saved) and a background
+// worker delivers it:
+//
+//   pending → sent     bodies removed, record deleted after EMAIL_OUTBOX_RETENTION_DAYS
+//   pending → pending  send failed: retried after 30 s, 1 min, 2 min, … (doubling,
+//                      EMAIL_OUTBOX_RETRY_BASE_SECONDS, at most 1 hour apart)
+//   pending → failed   EMAIL_OUTBOX_MAX_ATTEMPTS failures: dead letter, kept until an
+//                      admin replays it (back to pending)
+
+import { EmailOutbox } from "../models/emailOutbox.model.js";
+import { getMailTransport, getSender } from "./index.js";
+
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // 1 hour
+const SENDING_LOCK_MS = 60 * 1000; // A crashed worker's email is picked up again after this
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+export const getOutboxPolicy = () => ({
+    maxAttempts: readNumber("EMAIL_OUTBOX_MAX_ATTEMPTS", 8),
+    retryBaseMs: readNumber("EMAIL_OUTBOX_RETRY_BASE_SECONDS", 30) * 1000,
+    retentionMs: readNumber("EMAIL_OUTBOX_RETENTION_DAYS", 7) * 24 * 60 * 60 * 1000,
+});
+
+// Wait before the next attempt after `attempts` failures: base, 2×base, 4×base, …
+export const getRetryDelayMs = (attempts) =>
+    Math.min(getOutboxPolicy().retryBaseMs * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+// Start a delivery round soon, without waiting for it
+const kickOutbox = () => {
+    setImmediate(() => processOutbox().catch((error) => {
+        console.error("❌ Email outbox error:", error.message);
+    }));
+};
+
+// Store an email for delivery. Without a session it is sent right away (in the background);
+// inside a transaction it waits for the worker's next round, after the commit.
+export const queueMail = async (message, { session = null } = {}) => {
+    const [email] = await EmailOutbox.create([{ from: getSender(), ...message }], { session });
+
+    if (!session) {
+        kickOutbox();
+    }
+
+    return email;
+};
+
+// Take the next due email (or one abandoned by a crashed worker) for this worker
+const claimNextEmail = () => {
+    const now = new Date();
+
+    return EmailOutbox.findOneAndUpdate(
+        {
+            $or: [
+                { status: "pending", nextAttemptAt: { $lte: now } },
+                { status: "sending", lockedUntil: { $lt: now } },
+            ],
+        },
+        { status: "sending", lockedUntil: new Date(now.getTime() + SENDING_LOCK_MS) },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+const deliver = async (email) => {
+    const { maxAttempts, retentionMs } = getOutboxPolicy();
+    const attempts = email.attempts + 1;
+
+    try {
+        await getMailTransport().send({
+            from: email.from,
+            to: email.to,
+            subject: email.subject,
+            html: email.html,
+            text: email.text,
+            category: email.category,
+        });
+    } catch (error) {
+        const deadLetter = attempts >= maxAttempts;
+        console.error(
+            `❌ Email ${email._id} (${email.category}) failed, attempt ${attempts}/${maxAttempts}:`,
+            error.message
+        );
+
+        await EmailOutbox.updateOne(
+            { _id: email._id },
+            {
+                $set: {
+                    status: deadLetter ? "failed" : "pending",
+                    attempts,
+                    lastError: String(error.message).slice(0, 1000),
+                    nextAttemptAt: new Date(Date.now() + getRetryDelayMs(attempts)),
+                    ...(deadLetter && { failedAt: new Date() }),
+                },
+                $unset: { lockedUntil: "" },
+            }
+        );
+        return false;
+    }
+
+    await EmailOutbox.updateOne(
+        { _id: email._id },
+        {
+            $set: {
+                status: "sent",
+                attempts,
+                sentAt: new Date(),
+                deleteAt: new Date(Date.now() + retentionMs),
+            },
+            $unset: { html: "", text: "", lockedUntil: "", lastError: "" },
+        }
+    );
+    return true;
+};
+
+// Deliver every due email; returns how many were sent. Only one round runs at a time
+// per process (a call during a round makes it look again at the end), and emails are
+// claimed atomically so several servers can share the outbox.
+let processing = null;
+let runAgain = false;
+
+export const processOutbox = () => {
+    if (processing) {
+        runAgain = true;
+        return processing;
+    }
+
+    processing = (async () => {
+        let sent = 0;
+        do {
+            runAgain = false;
+            let email;
+            while ((email = await claimNextEmail())) {
+                if (await deliver(email)) sent++;
+            }
+        } while (runAgain);
+        return sent;
+    })().finally(() => {
+        processing = null;
+    });
+    return processing;
+};
+
+// Put dead-lettered emails back in the queue (all of them, or those matching `filter`)
+export const replayFailedEmails = async (filter = {}) => {
+    const { modifiedCount } = await EmailOutbox.updateMany(
+        { ...filter, status: "failed" },
+        {
+            $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+            $unset: { failedAt: "" },
+        }
+    );
+
+    if (modifiedCount > 0) {
+        kickOutbox();
+    }
+
+    return modifiedCount;
+};
@@ -0,0 +1,121 @@
+// ------------------------------------------------------------------------------------
+// 🌐 Localized email rendering
+// ------------------------------------------------------------------------------------
+//
+// Templates live in EMAIL_TEMPLATES_DIR (default src/mail/templates):
+//
+//   layouts/main.html            page around every email ({{{content}}} is the body)
+//   partials/<name>.html         snippets used as {{> name …}} (button, code)
+//   <locale>/locale.json         text direction and the layout's strings
+//   <locale>/<template>.html     body of one email, with its subject and heading in
+//                                front matter ("---\nsubject: …\nheading: …\n---")
+//
+// The recipient's locale picks the folder: "ar-EG" tries "ar-EG", then "ar", then
+// English. A locale without a translation of some email falls back to English for
+// that email only. Files are read once and cached.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { renderTemplate } from "./templateEngine.js";
+import { htmlToText } from "./htmlToText.js";
+
+const DEFAULT_DIR = fileURLToPath(new URL("./templates", import.meta.url));
+const FALLBACK_LOCALE = "en";
+
+const getTemplatesDir = () => path.resolve(process.env.EMAIL_TEMPLATES_DIR || DEFAULT_DIR);
+
+// File path -> contents (null when the file doesn't exist)
+const cache = new Map();
+
+const readTemplateFile = async (...segments) => {
+    const filePath = path.join(getTemplatesDir(), ...segments);
+
+    if (!cache.has(filePath)) {
+        const contents = await fs.readFile(filePath, "utf8").catch((error) => {
+            if (error.code !== "ENOENT") throw error;
+            return null;
+        });
+        cache.set(filePath, contents);
+    }
+
+    return cache.get(filePath);
+};
+
+// "---\nsubject: …\n---\n<body>" -> { attributes: { subject }, body }
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+const parseFrontMatter = (source) => {
+    const match = FRONT_MATTER.exec(source);
+    if (!match) return { attributes: {}, body: source };
+
+    const attributes = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const separator = line.indexOf(":");
+        if (separator > 0) attributes[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    return { attributes, body: source.slice(match[0].length) };
+};
+
+// "ar-EG" -> ["ar-EG", "ar", "en"] (invalid tags just get English)
+const getLocaleCandidates = (locale) => {
+    const candidates = [];
+
+    try {
+        const [tag] = locale ? Intl.getCanonicalLocales(locale) : [];
+        if (tag) candidates.push(tag, new Intl.Locale(tag).language);
+    } catch {
+        // Not a language tag
+    }
+
+    return [...new Set([...candidates, FALLBACK_LOCALE])];
+};
+
+const loadPartials = async () => {
+    const names = await fs.readdir(path.join(getTemplatesDir(), "partials")).catch(() => []);
+    const partials = {};
+
+    for (const file of names.filter((name) => name.endsWith(".html"))) {
+        partials[path.basename(file, ".html")] = (await readTemplateFile("partials", file)).trim();
+    }
+    return partials;
+};
+
+/**
+ * Renders the email `name` (e.g. "password-reset") in the recipient's language.
+ * Returns { subject, html, text, locale } or throws if no locale has the template.
+ */
+export const renderEmail = async (name, data = {}, { locale } = {}) => {
+    // 1. First locale that has both the template and its locale.json
+    let code, source, settings;
+    for (const candidate of getLocaleCandidates(locale)) {
+        source = await readTemplateFile(candidate, `${name}.html`);
+        settings = source !== null && (await readTemplateFile(candidate, "locale.json"));
+        if (settings) {
+            code = candidate;
+            break;
+        }
+    }
+    if (!code) throw new Error(`Email template "${name}" not found in ${getTemplatesDir()}`);
+
+    const { dir = "ltr", strings = {} } = JSON.parse(settings);
+    const values = {
+        ...data,
+        locale: { code, dir, align: dir === "rtl" ? "right" : "left", rtl: dir === "rtl", strings },
+    };
+    const partials = await loadPartials();
+
+    // 2. Subject (plain text) and heading from the front matter, then the body
+    const { attributes, body } = parseFrontMatter(source);
+    const subject = renderTemplate(attributes.subject || "", values, { escape: false });
+    const heading = renderTemplate(attributes.heading || subject, values, { escape: false });
+    const content = renderTemplate(body.trimEnd(), values, { partials });
+
+    // 3. Layout, and the plain-text alternative of the result
+    const layout = await readTemplateFile("layouts", "main.html");
+    const html = layout === null
+        ? content
+        : renderTemplate(layout, { ...values, subject, heading, content }, { partials });
+
+    return { subject, html, text: htmlToText(html), locale: code };
+};
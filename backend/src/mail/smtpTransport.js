@@ -0,0 +1,46 @@
+// ------------------------------------------------------------------------------------
+// ✉️ SMTP transport (EMAIL_SERVICE=smtp)
+// ------------------------------------------------------------------------------------
+//
+// Needs SMTP_HOST. SMTP_PORT (default 587), SMTP_SECURE=true for implicit TLS (port 465),
+// SMTP_USER / SMTP_PASS when the server requires authentication.
+
+import nodemailer from "nodemailer";
+
+export class SmtpTransport {
+    constructor() {
+        this.transporter = null;
+    }
+
+    // Created on first use so a missing SMTP_HOST only fails the emails, not the server start
+    getTransporter() {
+        if (!this.transporter) {
+            if (!process.env.SMTP_HOST) {
+                throw new Error("EMAIL_SERVICE=smtp requires SMTP_HOST");
+            }
+
+            this.transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === "true",
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined,
+            });
+        }
+        return this.transporter;
+    }
+
+    async send({ from, to, subject, html, text, category }) {
+        const transporter = this.getTransporter();
+
+        return transporter.sendMail({
+            from: { name: from.name, address: from.email },
+            to: to.map(({ email, name }) => (name ? { name, address: email } : email)),
+            subject,
+            html,
+            text,
+            headers: category ? { "X-Category": category } : undefined,
+        });
+    }
+}
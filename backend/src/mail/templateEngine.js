@@ -0,0 +1,92 @@
+// ------------------------------------------------------------------------------------
+// 🧩 Template engine (a small Mustache-style subset)
+// ------------------------------------------------------------------------------------
+//
+//   {{name}}                    value, HTML-escaped (dotted paths work: {{locale.dir}})
+//   {{{name}}}                  value as-is (only for trusted HTML, e.g. rendered content)
+//   {{#name}}…{{/name}}         shown when the value is truthy
+//   {{^name}}…{{/name}}         shown when the value is falsy
+//   {{> partial key=path …}}    another template, with extra values taken from `path`
+//                               or given literally: label="Reset Password"
+//
+// Values are never parsed as template syntax, so user input can't inject tags.
+
+const TAG = /\{\{(\{)?\s*([#^/>]?)\s*(.*?)\s*\}?\}\}/g;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const lookup = (data, path) =>
+    path === "." ? data : path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+// `key=path key2="literal"` -> { key: <value of path>, key2: "literal" }
+const PARTIAL_ARG = /(\w+)=(?:"([^"]*)"|([\w.]+))/g;
+
+const readPartialArgs = (args, data) => {
+    const values = {};
+    for (const [, key, literal, path] of args.matchAll(PARTIAL_ARG)) {
+        values[key] = literal !== undefined ? literal : lookup(data, path);
+    }
+    return values;
+};
+
+// Template source -> tree of text, variable, section and partial nodes
+const parse = (source) => {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+
+    for (const match of source.matchAll(TAG)) {
+        const [tag, triple, type, content] = match;
+        const parent = stack[stack.length - 1];
+
+        if (match.index > last) parent.children.push(source.slice(last, match.index));
+        last = match.index + tag.length;
+
+        if (type === "#" || type === "^") {
+            const section = { section: content, inverted: type === "^", children: [] };
+            parent.children.push(section);
+            stack.push(section);
+        } else if (type === "/") {
+            if (stack.length === 1 || parent.section !== content) {
+                throw new Error(`Unexpected {{/${content}}} in template`);
+            }
+            stack.pop();
+        } else if (type === ">") {
+            const [name, ...args] = content.split(/\s+/);
+            parent.children.push({ partial: name, args: args.join(" ") });
+        } else {
+            parent.children.push({ variable: content, raw: Boolean(triple) });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${stack[stack.length - 1].section}}} in template`);
+    }
+    if (last < source.length) root.children.push(source.slice(last));
+    return root.children;
+};
+
+const renderNodes = (nodes, data, options) =>
+    nodes.map((node) => {
+        if (typeof node === "string") return node;
+
+        if (node.section !== undefined) {
+            const shown = Boolean(lookup(data, node.section)) !== node.inverted;
+            return shown ? renderNodes(node.children, data, options) : "";
+        }
+
+        if (node.partial !== undefined) {
+            const partial = options.partials?.[node.partial];
+            if (partial === undefined) throw new Error(`Unknown partial "${node.partial}"`);
+            return renderTemplate(partial, { ...data, ...readPartialArgs(node.args, data) }, options);
+        }
+
+        const value = lookup(data, node.variable);
+        if (value == null) return "";
+        return node.raw || options.escape === false ? String(value) : escapeHtml(value);
+    }).join("");
+
+// Render `source` with `data`. Options: partials ({ name: source }), escape (false for plain text)
+export const renderTemplate = (source, data = {}, options = {}) => renderNodes(parse(source), data, options);
@@ -1,100 +1,219 @@
-import { mailtrapClient, sender } from "./mailtrap.config.js";
-import {
-    VERIFICATION_EMAIL_TEMPLATE,
-    PASSWORD_RESET_REQUEST_TEMPLATE,
-    PASSWORD_RESET_SUCCESS_TEMPLATE
-} from "./emailTemplates.js";
+// Emails are rendered from the localized templates in src/mail/templates (HTML plus a
+// plain-text part) and queued in the outbox, where a background worker delivers them with
+// retries (see src/mail/outbox.js). Every function takes `options.locale` (the recipient's
+// stored locale, English when missing) and `options.session` to queue the email inside
+// the caller's transaction.
+import { queueMail } from "../mail/outbox.js";
+import { renderEmail } from "../mail/renderEmail.js";
+
+// Render `template` in the recipient's language and queue it
+const queueTemplatedMail = async (email, template, data, category, { locale, session } = {}) => {
+    const { subject, html, text } = await renderEmail(template, data, { locale });
+
+    return queueMail({ to: [{ email }], subject, html, text, category }, { session });
+};
+
+// Date in the recipient's language and time zone (`options.timeZone`, UTC by default)
+const formatDate = (date, { locale, timeZone } = {}) => {
+    const format = { dateStyle: "full", timeStyle: "long", timeZone: timeZone || "UTC" };
+    try {
+        return new Intl.DateTimeFormat(locale || "en", format).format(date);
+    } catch {
+        return new Intl.DateTimeFormat("en", { ...format, timeZone: "UTC" }).format(date);
+    }
+};
 
 // ------------------------------------------------------------------------------------
 // 📧 Send Verification Email
 // ------------------------------------------------------------------------------------
-export const sendVerificationEmail = async (email, verificationToken) => {
-    const recipient = [{ email }];
-
+export const sendVerificationEmail = async (email, verificationToken, options = {}) => {
     try {
-        // Send email using Mailtrap with an HTML template
-        const response = await mailtrapClient.send({
-            from: sender,
-            to: recipient,
-            subject: "Verify Your Email",
-            html: VERIFICATION_EMAIL_TEMPLATE.replace("{verificationCode}", verificationToken),
-            category: "Email Verification"
-        });
-
-        console.log("✅ Verification email sent successfully");
+        // Send the verification code
+        await queueTemplatedMail(email, "verification", { verificationCode: verificationToken }, "Email Verification", options);
+
+        console.log("📬 Verification email queued");
     } catch (error) {
-        console.error("❌ Error sending verification email:", error);
-        throw new Error("Failed to send verification email");
+        console.error("❌ Error queuing verification email:", error);
+        throw new Error("Failed to queue verification email");
     }
 };
 
 // ------------------------------------------------------------------------------------
 // 🎉 Send Welcome Email After Successful Verification
 // ------------------------------------------------------------------------------------
-export const sendWelcomeEmail = async (email, name) => {
-    const recipient = [{ email }];
-
+export const sendWelcomeEmail = async (email, name, options = {}) => {
     try {
-        // Send templated welcome email using Mailtrap's template UUID
-        await mailtrapClient.send({
-            from: sender,
-            to: recipient,
-            template_uuid: "f57e4007-667c-4d6d-b2a5-732f390e8b39", // Replace with your actual template UUID
-            template_variables: {
-                company_info_name: "My Company Name", // Customize company name here
-                name: name,
-            },
-        });
-
-        console.log("✅ Welcome email sent successfully");
+        // Send welcome email
+        await queueTemplatedMail(email, "welcome", { name, companyName: process.env.APP_NAME || "Auth App" }, "Welcome", options);
+
+        console.log("📬 Welcome email queued");
     } catch (error) {
-        console.error("❌ Error sending welcome email:", error);
-        throw new Error("Failed to send welcome email");
+        console.error("❌ Error queuing welcome email:", error);
+        throw new Error("Failed to queue welcome email");
     }
 };
 
 // ------------------------------------------------------------------------------------
 // 🔑 Send Password Reset Email
 // ------------------------------------------------------------------------------------
-export const sendPasswordResetEmail = async (email, resetURL) => {
-    const recipient = [{ email }];
-
+export const sendPasswordResetEmail = async (email, resetURL, options = {}) => {
     try {
-        // Send password reset email using HTML template
-        const response = await mailtrapClient.send({
-            from: sender,
-            to: recipient,
-            subject: "Reset Your Password",
-            html: PASSWORD_RESET_REQUEST_TEMPLATE.replace("{resetURL}", resetURL),
-            category: "Password Reset"
-        });
-
-        console.log("✅ Password reset email sent successfully", response);
+        // Send password reset link
+        await queueTemplatedMail(email, "password-reset", { resetURL }, "Password Reset", options);
+
+        console.log("📬 Password reset email queued");
     } catch (error) {
-        console.error("❌ Error sending password reset email:", error);
-        throw new Error("Failed to send password reset email");
+        console.error("❌ Error queuing password reset email:", error);
+        throw new Error("Failed to queue password reset email");
     }
 };
 
 // ------------------------------------------------------------------------------------
 // ✅ Send Password Reset Success Email
 // ------------------------------------------------------------------------------------
-export const sendPasswordResetSuccessEmail = async (email, name) => {
-    const recipient = [{ email }];
-
+export const sendPasswordResetSuccessEmail = async (email, name, options = {}) => {
     try {
         // Send confirmation email after successful password reset
-        await mailtrapClient.send({
-            from: sender,
-            to: recipient,
-            subject: "Password Reset Success",
-            html: PASSWORD_RESET_SUCCESS_TEMPLATE,
-            category: "Password Reset"
-        });
-
-        console.log("✅ Password reset success email sent successfully");
+        await queueTemplatedMail(email, "password-reset-success", {}, "Password Reset", options);
+
+        console.log("📬 Password reset success email queued");
+    } catch (error) {
+        console.error("❌ Error queuing password reset success email:", error);
+        throw new Error("Failed to queue password reset success email");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// 🪄 Send Passwordless Sign-In Link
+// ------------------------------------------------------------------------------------
+export const sendMagicLinkEmail = async (email, loginURL, options = {}) => {
+    try {
+        // Send single-use sign-in link
+        await queueTemplatedMail(email, "magic-link", { loginURL }, "Passwordless Login", options);
+
+        console.log("📬 Magic link email queued");
+    } catch (error) {
+        console.error("❌ Error queuing magic link email:", error);
+        throw new Error("Failed to queue magic link email");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// 🔢 Send Passwordless Sign-In Code
+// ------------------------------------------------------------------------------------
+export const sendLoginCodeEmail = async (email, loginCode, options = {}) => {
+    try {
+        // Send one-time sign-in code
+        await queueTemplatedMail(email, "login-code", { loginCode }, "Passwordless Login", options);
+
+        console.log("📬 Login code email queued");
+    } catch (error) {
+        console.error("❌ Error queuing login code email:", error);
+        throw new Error("Failed to queue login code email");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// 🔒 Send Account Locked Email
+// ------------------------------------------------------------------------------------
+export const sendAccountLockedEmail = async (email, unlockURL, lockMinutes, options = {}) => {
+    try {
+        // Notify the owner and include a link to unlock the account
+        await queueTemplatedMail(email, "account-locked", { unlockURL, lockMinutes }, "Account Locked", options);
+
+        console.log("📬 Account locked email queued");
+    } catch (error) {
+        console.error("❌ Error queuing account locked email:", error);
+        throw new Error("Failed to queue account locked email");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// ✉️ Send Email Change Confirmation (to the new address)
+// ------------------------------------------------------------------------------------
+export const sendEmailChangeConfirmationEmail = async (newEmail, confirmURL, options = {}) => {
+    try {
+        // Ask the new address to prove it belongs to the user
+        await queueTemplatedMail(newEmail, "email-change-confirm", { confirmURL }, "Email Change", options);
+
+        console.log("📬 Email change confirmation queued");
+    } catch (error) {
+        console.error("❌ Error queuing email change confirmation:", error);
+        throw new Error("Failed to queue email change confirmation");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// ⚠️ Send Email Change Notice (to the old address)
+// ------------------------------------------------------------------------------------
+export const sendEmailChangeNoticeEmail = async (email, newEmail, revertURL, options = {}) => {
+    try {
+        // Warn the current address and offer a "this wasn't me" link
+        await queueTemplatedMail(email, "email-change-notice", { newEmail, revertURL }, "Email Change", options);
+
+        console.log("📬 Email change notice queued");
+    } catch (error) {
+        console.error("❌ Error queuing email change notice:", error);
+        throw new Error("Failed to queue email change notice");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// ⏳ Send Account Deletion Scheduled Email
+// ------------------------------------------------------------------------------------
+export const sendAccountDeletionScheduledEmail = async (email, deletionDate, loginURL, options = {}) => {
+    try {
+        // Tell the owner when the account goes away and how to stop it
+        await queueTemplatedMail(email, "account-deletion-scheduled", { deletionDate: formatDate(deletionDate, options), loginURL }, "Account Deletion", options);
+
+        console.log("📬 Account deletion scheduled email queued");
+    } catch (error) {
+        console.error("❌ Error queuing account deletion scheduled email:", error);
+        throw new Error("Failed to queue account deletion scheduled email");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// 👋 Send Account Deleted Email (final email)
+// ------------------------------------------------------------------------------------
+export const sendAccountDeletedEmail = async (email, name, options = {}) => {
+    try {
+        // Confirm that the account and its data are gone
+        await queueTemplatedMail(email, "account-deleted", { name }, "Account Deletion", options);
+
+        console.log("📬 Account deleted email queued");
+    } catch (error) {
+        console.error("❌ Error queuing account deleted email:", error);
+        throw new Error("Failed to queue account deleted email");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// 🔑 Send Passkey Added Email
+// ------------------------------------------------------------------------------------
+export const sendPasskeyAddedEmail = async (email, passkeyName, addedAt, loginURL, options = {}) => {
+    try {
+        // A new passkey signs in without password or 2FA, so the owner must hear about it
+        await queueTemplatedMail(email, "passkey-added", { passkeyName, addedAt: formatDate(addedAt, options), loginURL }, "Passkey", options);
+
+        console.log("📬 Passkey added email queued");
+    } catch (error) {
+        console.error("❌ Error queuing passkey added email:", error);
+        throw new Error("Failed to queue passkey added email");
+    }
+};
+
+// ------------------------------------------------------------------------------------
+// 🕶️ Send Sign-Up Attempt Email (someone signed up with an address that has an account)
+// ------------------------------------------------------------------------------------
+export const sendSignupAttemptEmail = async (email, loginURL, resetURL, options = {}) => {
+    try {
+        // Tell the real owner instead of telling the person signing up
+        await queueTemplatedMail(email, "signup-attempt", { loginURL, resetURL }, "Signup Attempt", options);
+
+        console.log("📬 Signup attempt email queued");
     } catch (error) {
-        console.error("❌ Error sending password reset success email:", error);
-        throw new Error("Failed to send password reset success email");
+        console.error("❌ Error queuing signup attempt email:", error);
+        throw new Error("Failed to queue signup attempt email");
     }
 };
@@ -1,16 +0,0 @@
-import { MailtrapClient } from "mailtrap";
-import dotenv from "dotenv";
-dotenv.config();
-
-
-const TOKEN = process.env.MAILTRAP_TOKEN;
-
-export const mailtrapClient = new MailtrapClient({
-    token: TOKEN,
-});
-
-export const sender = {
-    email: "hello@demomailtrap.co",
-    name: "Aly Elbana",
-};
-
@@ -0,0 +1,41 @@
+import multer from "multer";
+import { AVATAR_MIME_TYPES, getAvatarMaxBytes } from "../utils/avatar.js";
+
+// ------------------------------------------------------------------------------------
+// 📤 Avatar upload (multipart/form-data, field "avatar")
+// ------------------------------------------------------------------------------------
+//
+// Keeps the file in memory (it's small and gets resized right away) and
+// answers with JSON instead of multer's default error pages.
+export const avatarUpload = (req, res, next) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: getAvatarMaxBytes(), files: 1 },
+        fileFilter: (req, file, cb) => cb(null, AVATAR_MIME_TYPES.includes(file.mimetype)),
+    }).single("avatar");
+
+    upload(req, res, (error) => {
+        if (error?.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({
+                success: false,
+                message: `Avatar must be smaller than ${Math.round(getAvatarMaxBytes() / 1024)} KB.`,
+            });
+        }
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid upload. Send a single image in the \"avatar\" field.",
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "Please choose a JPEG, PNG, WebP or GIF image.",
+            });
+        }
+
+        next();
+    });
+};
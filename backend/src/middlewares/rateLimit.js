@@ -1,38 +1,182 @@
-import rateLimit from "express-rate-limit";
-
-// 🛡️ Login Limiter
-export const loginLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 3, // Limit each IP to 3 login requests per 15 minutes
-    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-    legacyHeaders: false,  // Disable the `X-RateLimit-*` headers (legacy)
-    message: {
-        success: false,
+import rateLimit, { ipKeyGenerator } from "express-rate-limit";
+import dotenv from "dotenv";
+import { MongoStore } from "../rateLimit/mongoStore.js";
+import { RedisStore } from "../rateLimit/redisStore.js";
+dotenv.config();
+
+// ------------------------------------------------------------------------------------
+// ⚙️ Limiter definitions
+// ------------------------------------------------------------------------------------
+//
+// One entry per limited route. `key` decides who is counted together:
+//   "ip"        – every request from the same IP
+//   "ip+email"  – the same IP targeting the same account (req.body.email)
+// `windowMs` and `max` can be overridden per limiter from the environment,
+// e.g. RATE_LIMIT_LOGIN_MAX=20 or RATE_LIMIT_FORGOT_PASSWORD_WINDOW_MS=3600000.
+// When the store is unreachable requests are refused (fail closed), unless the
+// definition sets `passOnStoreError: true`; only do that where no password, code or
+// email is at stake.
+export const RATE_LIMITS = {
+    // 🛡️ Login (wrong passwords are also throttled per account, see utils/accountLockout.js)
+    login: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10,
+        key: "ip+email",
         message: "Too many login attempts. Please try again later.",
     },
-});
-
-// 🧱 Signup Limiter
-export const signupLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 3, // Limit each IP to 3 signups per hour
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: {
-        success: false,
+    // 🧱 Signup (counted per IP: the point is to stop mass account creation)
+    signup: {
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 3,
+        key: "ip",
         message: "Too many accounts created from this IP. Please try again later.",
     },
-});
+    // Forgot password (each request sends an email)
+    forgotPassword: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 3,
+        key: "ip+email",
+        message: "Too many password reset requests. Please try again after 15 minutes.",
+    },
+    // 📨 Resend verification code (each request sends an email; there is also a
+    // per-account cooldown, see VERIFICATION_RESEND_COOLDOWN_SECONDS)
+    resendVerification: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 5,
+        key: "ip",
+        message: "Too many verification emails requested. Please try again later.",
+    },
+    // ✅ Email verification (guessing emailed 6-digit codes)
+    verifyEmail: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10,
+        key: "ip+email",
+        message: "Too many verification attempts. Please try again later.",
+    },
+    // 🔢 Two-factor (second step of login; codes are only 6 digits)
+    twoFactor: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 5,
+        key: "ip",
+        message: "Too many verification attempts. Please try again later.",
+    },
+    // 🪄 Passwordless (each request sends an email)
+    passwordless: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 3,
+        key: "ip+email",
+        message: "Too many sign-in requests. Please try again after 15 minutes.",
+    },
+    // Passwordless verify (guessing emailed 6-digit codes)
+    passwordlessVerify: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10,
+        key: "ip+email",
+        message: "Too many sign-in attempts. Please try again later.",
+    },
+    // 🔑 Change password (guessing the current password from a stolen session)
+    changePassword: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 5,
+        key: "ip",
+        message: "Too many password change attempts. Please try again later.",
+    },
+    // ✉️ Email change (each request sends two emails)
+    changeEmail: {
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 5,
+        key: "ip",
+        message: "Too many email change requests. Please try again later.",
+    },
+    // 🕵️ Breached password check (called while typing, so allow a fair number)
+    passwordCheck: {
+        windowMs: 60 * 1000, // 1 minute
+        max: 30,
+        key: "ip",
+        message: "Too many password checks. Please slow down.",
+        passOnStoreError: true, // Only a convenience while typing
+    },
+    // 🖼️ Avatar upload (every upload is decoded and resized)
+    avatarUpload: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10,
+        key: "ip",
+        message: "Too many avatar uploads. Please try again later.",
+        passOnStoreError: true, // Uploads are size-limited and need a session anyway
+    },
+};
 
+// "forgotPassword" -> "FORGOT_PASSWORD"
+const toEnvName = (name) => name.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
 
-// Forgot Password Rate Limiter (e.g. max 3 tries per 15 mins)
-export const forgotPasswordLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 3, // Limit each IP to 3 requests per windowMs
-    message: {
-        success: false,
-        message: "Too many password reset requests. Please try again after 15 minutes.",
+const readNumber = (name) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? undefined : value;
+};
+
+// ------------------------------------------------------------------------------------
+// 🗄️ Store selection
+// ------------------------------------------------------------------------------------
+//
+// RATE_LIMIT_STORE = "mongo" (default) | "redis" | "memory"
+// "memory" keeps counters in this process only (lost on restart, not shared).
+const createStore = (name) => {
+    const store = process.env.RATE_LIMIT_STORE || "mongo";
+
+    if (store === "memory") return undefined; // express-rate-limit's built-in MemoryStore
+    if (store === "redis") return new RedisStore(name);
+    if (store === "mongo") return new MongoStore(name);
+
+    throw new Error(`Unknown RATE_LIMIT_STORE "${store}" (use mongo, redis or memory)`);
+};
+
+// ------------------------------------------------------------------------------------
+// 🔑 Client keys
+// ------------------------------------------------------------------------------------
+const keyGenerators = {
+    ip: (req) => ipKeyGenerator(req.ip),
+    "ip+email": (req) => {
+        const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
+        return `${ipKeyGenerator(req.ip)}|${email}`;
     },
-    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-    legacyHeaders: false,  // Disable the `X-RateLimit-*` headers
-});
+};
+
+// ------------------------------------------------------------------------------------
+// 🏭 Limiter factory
+// ------------------------------------------------------------------------------------
+export const createLimiter = (name) => {
+    const definition = RATE_LIMITS[name];
+    if (!definition) {
+        throw new Error(`No rate limit defined for "${name}"`);
+    }
+
+    const envName = toEnvName(name);
+
+    return rateLimit({
+        windowMs: readNumber(`RATE_LIMIT_${envName}_WINDOW_MS`) ?? definition.windowMs,
+        max: readNumber(`RATE_LIMIT_${envName}_MAX`) ?? definition.max,
+        keyGenerator: keyGenerators[definition.key],
+        store: createStore(name),
+        passOnStoreError: definition.passOnStoreError ?? false,
+        standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+        legacyHeaders: false,  // Disable the `X-RateLimit-*` headers (legacy)
+        message: {
+            success: false,
+            message: definition.message,
+        },
+    });
+};
+
+// Limiters used by the routes
+export const loginLimiter = createLimiter("login");
+export const signupLimiter = createLimiter("signup");
+export const forgotPasswordLimiter = createLimiter("forgotPassword");
+export const resendVerificationLimiter = createLimiter("resendVerification");
+export const verifyEmailLimiter = createLimiter("verifyEmail");
+export const twoFactorLimiter = createLimiter("twoFactor");
+export const passwordlessLimiter = createLimiter("passwordless");
+export const passwordlessVerifyLimiter = createLimiter("passwordlessVerify");
+export const changePasswordLimiter = createLimiter("changePassword");
+export const changeEmailLimiter = createLimiter("changeEmail");
+export const avatarUploadLimiter = createLimiter("avatarUpload");
+export const passwordCheckLimiter = createLimiter("passwordCheck");
@@ -0,0 +1,38 @@
+import { User } from "../models/user.model.js";
+import { hasPermission } from "../utils/permissions.js";
+
+// Middleware factory: allow the request only if the user has every listed permission.
+// Use after `verifyToken`, e.g. `router.get("/", verifyToken, requirePermission("users:read"), handler)`.
+export const requirePermission = (...required) => {
+    return async (req, res, next) => {
+        try {
+            const user = await User.findById(req.userId);
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: "Unauthorized. Please login to continue.",
+                });
+            }
+
+            const granted = user.getPermissions();
+            const missing = required.filter((permission) => !hasPermission(granted, permission));
+
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Forbidden. You don't have permission to perform this action.",
+                });
+            }
+
+            // Make the permissions available to later middleware and controllers
+            req.permissions = granted;
+            next();
+        } catch (error) {
+            console.error("❌ Permission check error:", error.message);
+            return res.status(500).json({
+                success: false,
+                message: "Server error while checking permissions.",
+            });
+        }
+    };
+};
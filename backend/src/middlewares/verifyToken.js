@@ -1,34 +1,81 @@
 import jwt from "jsonwebtoken";
+import { Session } from "../models/session.model.js";
+
+// Only write `lastSeenAt` once per minute per session to avoid a DB write on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
 
 // Middleware to verify JWT from cookies
-export const verifyToken = (req, res, next) => {
+export const verifyToken = async (req, res, next) => {
     // Extract token from cookies
     const token = req.cookies?.token;
 
     // If token is missing, user is not authenticated
     if (!token) {
+        // A refresh token can still restore the session without a new login
+        if (req.cookies?.refreshToken) {
+            return res.status(401).json({
+                success: false,
+                code: "token_expired",
+                message: "Access token expired. Please refresh your session.",
+            });
+        }
+
         return res.status(401).json({
             success: false,
             message: "Unauthorized. Please login to continue.",
         });
     }
 
+    let decoded;
     try {
         // Verify the token using the secret key
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Store user ID in the request object for later use
-        req.userId = decoded.userId;
-
-        // Continue to the next middleware or route handler
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
+        // Expired access tokens are expected; the client should call /refresh
+        if (error instanceof jwt.TokenExpiredError) {
+            return res.status(401).json({
+                success: false,
+                code: "token_expired",
+                message: "Access token expired. Please refresh your session.",
+            });
+        }
+
         console.error("❌ Token verification error:", error.message);
 
-        // If token is invalid or expired
+        // If token is invalid
         return res.status(401).json({
             success: false,
             message: "Invalid or expired token. Please login again.",
         });
     }
+
+    try {
+        // Reject tokens whose session has been revoked (logout, "sign out other devices")
+        const session = await Session.findById(decoded.sessionId);
+        if (!session || session.revokedAt || session.user.toString() !== decoded.userId.toString()) {
+            return res.status(401).json({
+                success: false,
+                message: "Session has been revoked. Please login again.",
+            });
+        }
+
+        // Keep the session's last-seen timestamp roughly up to date
+        if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+            session.lastSeenAt = Date.now();
+            await session.save();
+        }
+
+        // Store user and session IDs in the request object for later use
+        req.userId = decoded.userId;
+        req.sessionId = decoded.sessionId;
+    } catch (error) {
+        console.error("❌ Session lookup error:", error.message);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while verifying session.",
+        });
+    }
+
+    // Continue to the next middleware or route handler
+    next();
 };
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Append-only security audit trail. Every entry stores the hash of the previous
+// one, so editing or deleting an entry breaks the chain (see utils/audit.js).
+const auditEventSchema = new mongoose.Schema({
+    // Position in the chain: 1, 2, 3, … (unique, so two writers can't both claim a slot)
+    seq: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },                  // e.g. "auth.login", "admin.user.delete"
+    outcome: {
+        type: String,
+        enum: ["success", "failure"],
+        required: true
+    },
+    reason: String,     // Why it failed (or extra detail), e.g. "invalid_password"
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        index: true
+    },                  // Who did it (empty for anonymous requests)
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        index: true
+    },                  // Whose account it concerned
+    ip: String,
+    userAgent: String,
+    metadata: mongoose.Schema.Types.Mixed,
+    createdAt: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    prevHash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    },
+}, { minimize: false }) // Keep empty objects in metadata so hashes stay reproducible
+
+export const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
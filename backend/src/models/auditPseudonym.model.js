@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Personal data referenced from the audit log (see utils/audit.js). Entries store the
+// pseudonym ("pseudonym:<_id>") instead of the value, so erasing a user deletes these
+// documents while every audit hash stays valid.
+const auditPseudonymSchema = new mongoose.Schema({
+    value: {
+        type: String,
+        required: true
+    },
+    // Accounts the value was recorded for; erasing any of them removes it
+    users: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }],
+    // The same users as a sorted, comma-separated key, so each combination of value
+    // and users gets exactly one pseudonym
+    scope: {
+        type: String,
+        default: ""
+    },
+
+}, { timestamps: true })
+
+auditPseudonymSchema.index({ scope: 1, value: 1 }, { unique: true });
+auditPseudonymSchema.index({ users: 1 });
+
+export const AuditPseudonym = mongoose.model("AuditPseudonym", auditPseudonymSchema);
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Authorization codes issued by /authorize and redeemed once at /token
+const authorizationCodeSchema = new mongoose.Schema({
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    clientId: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    redirectUri: {
+        type: String,
+        required: true
+    },
+    scope: {
+        type: String,
+        required: true
+    },
+    nonce: String,
+    codeChallenge: {
+        type: String,
+        required: true
+    },
+    authTime: Date,
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 } // MongoDB TTL: remove the document once it expires
+    },
+    usedAt: Date,
+
+}, { timestamps: true })
+
+export const AuthorizationCode = mongoose.model("AuthorizationCode", authorizationCodeSchema);
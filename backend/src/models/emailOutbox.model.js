@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const recipientSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true
+    },
+    name: String,
+}, { _id: false });
+
+// Emails waiting to be sent, sent, or given up on (see mail/outbox.js)
+const emailOutboxSchema = new mongoose.Schema({
+    from: {
+        email: String,
+        name: String
+    },
+    to: [recipientSchema],
+    subject: String,
+    // Bodies are dropped once the email is sent (they may hold codes and links)
+    html: String,
+    text: String,
+    category: String,
+    status: {
+        type: String,
+        enum: ["pending", "sending", "sent", "failed"],
+        default: "pending"
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // A worker owns a "sending" email until then; afterwards another one may pick it up
+    lockedUntil: Date,
+    lastError: String,
+    sentAt: Date,
+    failedAt: Date,     // When it was dead-lettered
+    // Sent emails are removed after EMAIL_OUTBOX_RETENTION_DAYS
+    deleteAt: {
+        type: Date,
+        index: { expires: 0 } // MongoDB TTL: remove the document at this time
+    },
+
+}, { timestamps: true })
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+export const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema);
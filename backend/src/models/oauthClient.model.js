@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Applications allowed to sign users in through this service (OpenID Connect clients)
+const oauthClientSchema = new mongoose.Schema({
+    clientId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // SHA-256 hash of the client secret; absent for public clients (SPAs, mobile apps),
+    // which must rely on PKCE alone
+    clientSecretHash: {
+        type: String,
+        select: false
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // Exact-match allow list of callback URLs
+    redirectUris: {
+        type: [String],
+        required: true
+    },
+    allowedScopes: {
+        type: [String],
+        default: ["openid", "profile", "email"]
+    },
+
+}, { timestamps: true })
+
+export const OAuthClient = mongoose.model("OAuthClient", oauthClientSchema);
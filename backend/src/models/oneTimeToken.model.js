@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Single-use tokens for email verification, password reset, ... (see utils/oneTimeToken.js)
+const oneTimeTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    purpose: {
+        type: String,
+        required: true
+    },
+    // Only a keyed hash of the token is stored, never the raw value
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // Wrong guesses against this token (codes only)
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    usedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 } // MongoDB TTL: remove the document once it expires
+    },
+
+}, { timestamps: true })
+
+oneTimeTokenSchema.index({ user: 1, purpose: 1 });
+oneTimeTokenSchema.index({ purpose: 1, tokenHash: 1 });
+
+export const OneTimeToken = mongoose.model("OneTimeToken", oneTimeTokenSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const passkeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    // Base64URL credential ID reported by the authenticator
+    credentialId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    publicKey: {
+        type: Buffer,
+        required: true
+    },
+    // Signature counter, used to detect cloned authenticators
+    counter: {
+        type: Number,
+        default: 0
+    },
+    transports: [String],
+    deviceType: String, // "singleDevice" or "multiDevice"
+    backedUp: Boolean,
+    name: {
+        type: String,
+        default: "Passkey"
+    },
+    lastUsedAt: Date,
+
+}, { timestamps: true })
+
+export const Passkey = mongoose.model("Passkey", passkeySchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// One hit counter per rate-limit key (limiter prefix + client key)
+const rateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    hits: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 } // MongoDB TTL: remove the counter once its window is over
+    },
+})
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    // Only the SHA-256 hash of the token is stored, never the raw value
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Every token issued by rotating the same login shares a family id
+    // (the id of its Session), so a replayed token can revoke the whole chain at once
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 } // MongoDB TTL: remove the document once it expires
+    },
+    usedAt: Date,
+    revokedAt: Date,
+
+}, { timestamps: true })
+
+export const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
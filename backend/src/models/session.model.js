@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    device: String,     // Human-readable summary, e.g. "Chrome on Windows"
+    userAgent: String,
+    ip: String,
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: Date,
+
+}, { timestamps: true })
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const signingKeySchema = new mongoose.Schema({
+    kid: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    algorithm: {
+        type: String,
+        default: "RS256"
+    },
+    publicJwk: {
+        type: Object,
+        required: true
+    },
+    // PEM private key, encrypted with ENCRYPTION_KEY
+    privateKey: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+}, { timestamps: true })
+
+export const SigningKey = mongoose.model("SigningKey", signingKeySchema);
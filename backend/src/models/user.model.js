@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ROLES, getUserPermissions } from "../utils/permissions.js";
 
 const userSchema = new mongoose.Schema({
     email: {
@@ -11,6 +12,12 @@ const userSchema = new mongoose.Schema({
         required: true,
         minlength: [8, "Password must be at least 8 characters long"]
     },
+    // Previous password hashes, newest first (see utils/passwordPolicy.js)
+    passwordHistory: {
+        type: [String],
+        select: false
+    },
+    passwordChangedAt: Date,
     name: {
         type: String,
         required: true
@@ -23,11 +30,104 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    resetPasswordToken: String,
-    resetPasswordExpiresAt: Date,
-    verificationToken: String,
-    verificationTokenExpiresAt: Date,
+    // Authorization: roles map to permission sets (see utils/permissions.js);
+    // `permissions` holds extra grants on top of the roles
+    roles: {
+        type: [{ type: String, enum: ROLES }],
+        default: ["user"]
+    },
+    permissions: [String],
+    // Profile
+    displayName: String,
+    timezone: String, // IANA name, e.g. "Africa/Cairo"
+    locale: String,   // BCP 47 tag, e.g. "en" or "ar-EG"
+    // Resized copies in file storage (see utils/avatar.js)
+    avatar: {
+        id: String,
+        urls: {
+            small: String,
+            medium: String,
+            large: String
+        },
+        updatedAt: Date
+    },
+    // Email change in progress: `email` only changes once the new address is confirmed.
+    // Until then `pendingEmail` is reserved (no signup, no other change can take it) but
+    // can't be used to log in. After the swap, `previousEmail` stays reserved for as long
+    // as the "this wasn't me" link sent to it works (the links are one-time tokens, see
+    // utils/oneTimeToken.js).
+    pendingEmail: {
+        type: String,
+        index: { unique: true, sparse: true }
+    },
+    previousEmail: String,
+    previousEmailExpiresAt: Date,
+    // Self-service deletion: the account is removed once this date has passed
+    deletionScheduledAt: {
+        type: Date,
+        index: { sparse: true }
+    },
+    // Failed password logins; used for back-off and temporary locks (see utils/accountLockout.js)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
+    // External identities (OAuth2/OIDC "Continue with ...") linked to this account
+    oauthAccounts: [{
+        _id: false,
+        provider: String,
+        subject: String
+    }],
+    // TOTP two-factor authentication. Secrets are stored encrypted and
+    // recovery codes hashed; none of them are loaded unless explicitly selected.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+    },
 
 }, { timestamps: true })
 
+userSchema.index({ "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 });
+
+userSchema.index({ previousEmail: 1 }, { sparse: true });
+
+// Whether an address belongs to, or is reserved by, any account (other than `exceptUserId`)
+userSchema.statics.isEmailTaken = async function (email, exceptUserId) {
+    const filter = {
+        $or: [
+            { email },
+            { pendingEmail: email },
+            { previousEmail: email, previousEmailExpiresAt: { $gt: Date.now() } },
+        ],
+    };
+    if (exceptUserId) filter._id = { $ne: exceptUserId };
+
+    return Boolean(await this.exists(filter));
+};
+
+// Effective permissions from roles and direct grants
+userSchema.methods.getPermissions = function () {
+    return getUserPermissions(this);
+};
+
 export const User = mongoose.model("User", userSchema);
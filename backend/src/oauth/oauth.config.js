@@ -0,0 +1,90 @@
+// ------------------------------------------------------------------------------------
+// 🌐 OAuth2 / OpenID Connect provider registry
+// ------------------------------------------------------------------------------------
+//
+// Providers are enabled with OAUTH_PROVIDERS (comma-separated ids) and configured with
+// OAUTH_<ID>_CLIENT_ID, OAUTH_<ID>_CLIENT_SECRET and optionally OAUTH_<ID>_ISSUER,
+// OAUTH_<ID>_SCOPES (space-separated) and OAUTH_<ID>_NAME.
+//
+// OIDC providers only need an issuer (endpoints come from discovery). Plain OAuth2
+// providers such as GitHub list their endpoints explicitly instead.
+
+const PRESETS = {
+    google: {
+        name: "Google",
+        issuer: "https://accounts.google.com",
+        scopes: ["openid", "email", "profile"],
+    },
+    microsoft: {
+        name: "Microsoft",
+        // Multi-tenant issuer; the real issuer contains the user's tenant id
+        issuer: "https://login.microsoftonline.com/common/v2.0",
+        scopes: ["openid", "email", "profile"],
+        // Microsoft does not send `email_verified`; enable the `xms_edov` optional claim
+        // in the app registration so only domain-verified emails are trusted
+        emailVerifiedClaim: "xms_edov",
+    },
+    github: {
+        name: "GitHub",
+        authorizationEndpoint: "https://github.com/login/oauth/authorize",
+        tokenEndpoint: "https://github.com/login/oauth/access_token",
+        userinfoEndpoint: "https://api.github.com/user",
+        // GitHub's profile email may be unverified; read the verified primary email instead
+        emailsEndpoint: "https://api.github.com/user/emails",
+        scopes: ["read:user", "user:email"],
+    },
+};
+
+let providers = null;
+
+// Build the registry from the environment (lazily, so .env has been loaded)
+const loadProviders = () => {
+    const ids = (process.env.OAUTH_PROVIDERS || "")
+        .split(",")
+        .map((id) => id.trim().toLowerCase())
+        .filter(Boolean);
+
+    const registry = new Map();
+
+    for (const id of ids) {
+        const prefix = `OAUTH_${id.toUpperCase()}_`;
+        const preset = PRESETS[id] || {};
+        const env = (key) => process.env[prefix + key];
+
+        const provider = {
+            ...preset,
+            id,
+            name: env("NAME") || preset.name || id,
+            issuer: env("ISSUER") || preset.issuer,
+            clientId: env("CLIENT_ID"),
+            clientSecret: env("CLIENT_SECRET"),
+            scopes: env("SCOPES") ? env("SCOPES").split(/\s+/) : preset.scopes || ["openid", "email", "profile"],
+        };
+
+        if (!provider.clientId || !provider.clientSecret) {
+            console.warn(`⚠️ OAuth provider "${id}" is missing ${prefix}CLIENT_ID or ${prefix}CLIENT_SECRET; skipping`);
+            continue;
+        }
+
+        if (!provider.issuer && !provider.authorizationEndpoint) {
+            console.warn(`⚠️ OAuth provider "${id}" needs ${prefix}ISSUER; skipping`);
+            continue;
+        }
+
+        registry.set(id, provider);
+    }
+
+    return registry;
+};
+
+// All configured providers
+export const getOAuthProviders = () => {
+    if (!providers) providers = loadProviders();
+    return [...providers.values()];
+};
+
+// A single provider by id, or undefined if it is not configured
+export const getOAuthProvider = (id) => {
+    if (!providers) providers = loadProviders();
+    return providers.get(String(id).toLowerCase());
+};
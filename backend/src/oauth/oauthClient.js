@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Discovery documents and JWKS are cached per provider for an hour
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Signing algorithms accepted for ID tokens (never "none" or HMAC)
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: { Accept: "application/json", ...options.headers },
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const detail = body?.error_description || body?.error || response.statusText;
+        throw new Error(`Request to ${url} failed (${response.status}): ${detail}`);
+    }
+
+    return body;
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// Random state/nonce values that bind the callback to the request that started it
+export const generateRandomValue = () => base64url(crypto.randomBytes(32));
+
+// PKCE (RFC 7636) verifier and its S256 challenge
+export const createPkcePair = () => {
+    const codeVerifier = generateRandomValue();
+    const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+    return { codeVerifier, codeChallenge };
+};
+
+// Resolve a provider's endpoints: from OIDC discovery, or from its explicit configuration
+export const getProviderMetadata = async (provider) => {
+    if (provider.authorizationEndpoint) {
+        return {
+            authorization_endpoint: provider.authorizationEndpoint,
+            token_endpoint: provider.tokenEndpoint,
+            userinfo_endpoint: provider.userinfoEndpoint,
+            jwks_uri: provider.jwksUri,
+            issuer: provider.issuer,
+        };
+    }
+
+    const cached = discoveryCache.get(provider.id);
+    if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+    const issuer = provider.issuer.replace(/\/$/, "");
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(provider.id, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return metadata;
+};
+
+// Build the URL the browser is redirected to for the authorization-code flow
+export const buildAuthorizationUrl = async (provider, { redirectUri, state, nonce, codeChallenge }) => {
+    const metadata = await getProviderMetadata(provider);
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: redirectUri,
+        scope: provider.scopes.join(" "),
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+    }).toString();
+
+    return url.toString();
+};
+
+// Exchange the authorization code (plus PKCE verifier) for tokens
+export const exchangeCode = async (provider, { code, codeVerifier, redirectUri }) => {
+    const metadata = await getProviderMetadata(provider);
+
+    return fetchJson(metadata.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri,
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret,
+            code_verifier: codeVerifier,
+        }),
+    });
+};
+
+// Find the public key that signed an ID token, refreshing the JWKS once for unknown key ids
+const getSigningKey = async (provider, metadata, kid) => {
+    const load = async () => {
+        const jwks = await fetchJson(metadata.jwks_uri);
+        jwksCache.set(provider.id, { keys: jwks.keys, expiresAt: Date.now() + CACHE_TTL_MS });
+        return jwks.keys;
+    };
+
+    const cached = jwksCache.get(provider.id);
+    let keys = cached && cached.expiresAt > Date.now() ? cached.keys : await load();
+    let jwk = keys.find((key) => key.kid === kid);
+
+    if (!jwk && cached) {
+        keys = await load();
+        jwk = keys.find((key) => key.kid === kid);
+    }
+
+    if (!jwk) {
+        throw new Error("ID token signed with an unknown key");
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+// Verify an ID token's signature, issuer, audience, expiry and nonce; returns its claims
+export const verifyIdToken = async (provider, idToken, nonce) => {
+    const metadata = await getProviderMetadata(provider);
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error("Malformed ID token");
+    }
+
+    const key = await getSigningKey(provider, metadata, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        audience: provider.clientId,
+    });
+
+    // Multi-tenant issuers (Microsoft) publish a "{tenantid}" template
+    const expectedIssuer = metadata.issuer.replace("{tenantid}", claims.tid);
+    if (claims.iss !== expectedIssuer) {
+        throw new Error("ID token issuer mismatch");
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new Error("ID token nonce mismatch");
+    }
+
+    return claims;
+};
+
+/**
+ * Turn a token response into a normalized profile:
+ * { subject, email, emailVerified, name }.
+ * OIDC providers are read from the verified ID token (and userinfo for missing claims);
+ * plain OAuth2 providers from their userinfo and emails endpoints.
+ */
+export const getProfile = async (provider, tokens, nonce) => {
+    const metadata = await getProviderMetadata(provider);
+    const authHeaders = { Authorization: `Bearer ${tokens.access_token}` };
+
+    let claims = {};
+    if (tokens.id_token) {
+        claims = await verifyIdToken(provider, tokens.id_token, nonce);
+    } else if (provider.scopes.includes("openid")) {
+        throw new Error("Provider did not return an ID token");
+    }
+
+    if ((!claims.email || !claims.sub) && metadata.userinfo_endpoint) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, { headers: authHeaders });
+
+        // The userinfo subject must match the ID token's
+        if (claims.sub && userinfo.sub && userinfo.sub !== claims.sub) {
+            throw new Error("Userinfo subject mismatch");
+        }
+        claims = { ...userinfo, ...claims };
+    }
+
+    const verifiedClaim = provider.emailVerifiedClaim || "email_verified";
+    let email = claims.email;
+    let emailVerified = claims[verifiedClaim] === true || claims[verifiedClaim] === "true";
+
+    if (provider.emailsEndpoint) {
+        const emails = await fetchJson(provider.emailsEndpoint, { headers: authHeaders });
+        const primary = emails.find((entry) => entry.primary && entry.verified);
+        email = primary?.email;
+        emailVerified = Boolean(primary);
+    }
+
+    return {
+        subject: String(claims.sub ?? claims.id),
+        email,
+        emailVerified,
+        name: claims.name || claims.login || email,
+    };
+};
@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import { SigningKey } from "../models/signingKey.model.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+
+// The active key is cached in memory; other instances load the same key from MongoDB
+let activeKey = null;
+
+// Create and store a new RSA key pair (private key encrypted at rest)
+const createSigningKey = async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString("hex");
+
+    await SigningKey.create({
+        kid,
+        publicJwk: { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" },
+        privateKey: encrypt(privateKey.export({ format: "pem", type: "pkcs8" })),
+    });
+    console.log("🔑 Created OIDC signing key:", kid);
+
+    return SigningKey.findOne({ kid }).select("+privateKey");
+};
+
+// The key used to sign ID and access tokens, created on first use
+export const getActiveSigningKey = async () => {
+    if (activeKey) return activeKey;
+
+    let key = await SigningKey.findOne({ active: true }).sort({ createdAt: -1 }).select("+privateKey");
+    if (!key) {
+        key = await createSigningKey();
+    }
+
+    activeKey = {
+        kid: key.kid,
+        privateKey: crypto.createPrivateKey(decrypt(key.privateKey)),
+        publicKey: crypto.createPublicKey({ key: key.publicJwk, format: "jwk" }),
+    };
+
+    return activeKey;
+};
+
+// Public keys published at the JWKS endpoint (inactive keys stay listed so
+// tokens signed before a rotation can still be verified)
+export const getJwks = async () => {
+    await getActiveSigningKey();
+    const keys = await SigningKey.find().sort({ createdAt: -1 });
+
+    return { keys: keys.map((key) => key.publicJwk) };
+};
+
+// Find the public key for a token's `kid`
+export const getPublicKey = async (kid) => {
+    const key = await SigningKey.findOne({ kid });
+    return key ? crypto.createPublicKey({ key: key.publicJwk, format: "jwk" }) : null;
+};
@@ -0,0 +1,72 @@
+// ------------------------------------------------------------------------------------
+// 🍃 MongoDB store for express-rate-limit
+// ------------------------------------------------------------------------------------
+//
+// Counters live in the `ratelimits` collection, so limits survive restarts and are
+// shared by every instance connected to the same database. Expired windows are
+// restarted on the next hit and cleaned up by a TTL index.
+
+import { RateLimit } from "../models/rateLimit.model.js";
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+export class MongoStore {
+    localKeys = false;
+
+    constructor(prefix) {
+        this.prefix = prefix;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    prefixKey(key) {
+        return `${this.prefix}:${key}`;
+    }
+
+    async get(key) {
+        const counter = await RateLimit.findOne({ key: this.prefixKey(key), resetAt: { $gt: new Date() } });
+        return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+    }
+
+    async increment(key) {
+        const now = new Date();
+        const windowOpen = { $gt: ["$resetAt", now] };
+
+        // Atomically add a hit, or start a new window if the old one is over
+        const update = () => RateLimit.collection.findOneAndUpdate(
+            { key: this.prefixKey(key) },
+            [{
+                $set: {
+                    hits: { $cond: [windowOpen, { $add: ["$hits", 1] }, 1] },
+                    resetAt: { $cond: [windowOpen, "$resetAt", new Date(now.getTime() + this.windowMs)] },
+                },
+            }],
+            { upsert: true, returnDocument: "after" }
+        );
+
+        let counter;
+        try {
+            counter = await update();
+        } catch (error) {
+            // Two first hits raced to create the same counter; the loser just retries
+            if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+            counter = await update();
+        }
+
+        return { totalHits: counter.hits, resetTime: counter.resetAt };
+    }
+
+    async decrement(key) {
+        await RateLimit.updateOne({ key: this.prefixKey(key), hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+    }
+
+    async resetKey(key) {
+        await RateLimit.deleteOne({ key: this.prefixKey(key) });
+    }
+
+    async resetAll() {
+        await RateLimit.deleteMany({ key: { $regex: `^${this.prefix}:` } });
+    }
+}
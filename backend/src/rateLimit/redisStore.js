@@ -0,0 +1,94 @@
+// ------------------------------------------------------------------------------------
+// 🟥 Redis store for express-rate-limit (optional)
+// ------------------------------------------------------------------------------------
+//
+// Needs the `redis` package (`npm install redis`) and RATE_LIMIT_REDIS_URL.
+// All limiters share one client, created on first use.
+
+// Add a hit and start the window on the first one; returns [hits, ms until reset]
+const INCREMENT_SCRIPT = `
+local hits = redis.call("INCR", KEYS[1])
+if hits == 1 then
+    redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return { hits, redis.call("PTTL", KEYS[1]) }
+`;
+
+// Take back a hit, but never resurrect an expired counter
+const DECREMENT_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 1 then
+    redis.call("DECR", KEYS[1])
+end
+`;
+
+let clientPromise = null;
+
+const getClient = () => {
+    if (!clientPromise) {
+        clientPromise = import("redis")
+            .catch(() => {
+                throw new Error("RATE_LIMIT_STORE=redis requires the \"redis\" package (npm install redis)");
+            })
+            .then(async ({ createClient }) => {
+                const client = createClient({ url: process.env.RATE_LIMIT_REDIS_URL });
+                client.on("error", (error) => console.error("❌ Redis rate-limit store error:", error.message));
+                await client.connect();
+                console.log("✅ Redis rate-limit store connected");
+                return client;
+            })
+            .catch((error) => {
+                // Let the next request try again
+                clientPromise = null;
+                throw error;
+            });
+    }
+
+    return clientPromise;
+};
+
+export class RedisStore {
+    localKeys = false;
+
+    constructor(prefix) {
+        this.prefix = prefix;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    prefixKey(key) {
+        return `rl:${this.prefix}:${key}`;
+    }
+
+    async get(key) {
+        const client = await getClient();
+        const [hits, ttl] = await Promise.all([
+            client.get(this.prefixKey(key)),
+            client.pTTL(this.prefixKey(key)),
+        ]);
+
+        if (hits === null) return undefined;
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+    }
+
+    async increment(key) {
+        const client = await getClient();
+        const [hits, ttl] = await client.eval(INCREMENT_SCRIPT, {
+            keys: [this.prefixKey(key)],
+            arguments: [String(this.windowMs)],
+        });
+
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(Number(ttl), 0)) };
+    }
+
+    async decrement(key) {
+        const client = await getClient();
+        await client.eval(DECREMENT_SCRIPT, { keys: [this.prefixKey(key)] });
+    }
+
+    async resetKey(key) {
+        const client = await getClient();
+        await client.del(this.prefixKey(key));
+    }
+}
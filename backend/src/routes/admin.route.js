@@ -0,0 +1,77 @@
+import express from "express";
+
+// Controllers – user management for administrators
+import {
+  listUsers,
+  getUser,
+  updateUser,
+  verifyUser,
+  unlockUser,
+  forcePasswordReset,
+  deleteUser,
+  listAuditEvents,
+  exportAuditEvents,
+  verifyAuditLog,
+} from "../controllers/admin.controller.js";
+import {
+  listOutboxEmails,
+  replayOutboxEmail,
+  replayAllFailedEmails,
+} from "../controllers/emailOutbox.controller.js";
+
+import { verifyToken } from "../middlewares/verifyToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+// Create a new router instance
+const router = express.Router();
+
+// Every admin route requires a logged-in user
+router.use(verifyToken);
+
+
+/* 
+  👥 Browse Users
+  Paginated list with search, filters and sorting; single user details
+*/
+router.get("/users", requirePermission("users:read"), listUsers);
+router.get("/users/:id", requirePermission("users:read"), getUser);
+
+
+/* 
+  ✏️ Manage Users
+  Edit profile/roles, verify manually, clear a lockout, force a password reset
+*/
+router.patch("/users/:id", requirePermission("users:write"), updateUser);
+router.post("/users/:id/verify", requirePermission("users:write"), verifyUser);
+router.post("/users/:id/unlock", requirePermission("users:write"), unlockUser);
+router.post("/users/:id/force-password-reset", requirePermission("users:write"), forcePasswordReset);
+
+
+/* 
+  🗑️ Delete User
+  Removes the account and its sessions, tokens and passkeys
+*/
+router.delete("/users/:id", requirePermission("users:delete"), deleteUser);
+
+
+/* 
+  📜 Audit Log
+  Query and export (JSON/CSV) security events; verify the hash chain
+*/
+router.get("/audit-events", requirePermission("audit:read"), listAuditEvents);
+router.get("/audit-events/export", requirePermission("audit:read"), exportAuditEvents);
+router.get("/audit-events/verify", requirePermission("audit:read"), verifyAuditLog);
+
+
+
+/* 
+  📬 Email Outbox
+  Inspect queued/sent/failed emails (without their bodies) and replay failed ones
+*/
+router.get("/emails", requirePermission("emails:read"), listOutboxEmails);
+router.post("/emails/replay-failed", requirePermission("emails:write"), replayAllFailedEmails);
+router.post("/emails/:id/replay", requirePermission("emails:write"), replayOutboxEmail);
+
+
+// Export the router to be used in main app
+export default router;
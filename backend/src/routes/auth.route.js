@@ -5,20 +5,79 @@ import {
   signup,
   login,
   logout,
-  getAllUsers,
+  refresh,
   verifyEmail,
+  resendVerification,
   forgotPassword,
   resetPassword,
+  changePassword,
+  changeExpiredPassword,
+  checkPasswordBreach,
+  unlockAccount,
   checkAuth,
 } from "../controllers/auth.controller.js";
+import {
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+} from "../controllers/emailChange.controller.js";
+import {
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from "../controllers/account.controller.js";
+import {
+  updateProfile,
+  uploadAvatar,
+  removeAvatar,
+} from "../controllers/profile.controller.js";
+import {
+  getSessions,
+  revokeOneSession,
+  revokeOtherSessions,
+} from "../controllers/session.controller.js";
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} from "../controllers/twoFactor.controller.js";
+import {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  getPasskeys,
+  deletePasskey,
+} from "../controllers/webauthn.controller.js";
+import {
+  startPasswordless,
+  completePasswordless,
+} from "../controllers/passwordless.controller.js";
+import {
+  listOAuthProviders,
+  startOAuth,
+  oauthCallback,
+} from "../controllers/oauth.controller.js";
 
 // Middlewares – for security and request limiting
 import {
   loginLimiter,
   signupLimiter,
   forgotPasswordLimiter,
+  resendVerificationLimiter,
+  verifyEmailLimiter,
+  twoFactorLimiter,
+  passwordlessLimiter,
+  passwordlessVerifyLimiter,
+  changePasswordLimiter,
+  changeEmailLimiter,
+  avatarUploadLimiter,
+  passwordCheckLimiter,
 } from "../middlewares/rateLimit.js";
 import { verifyToken } from "../middlewares/verifyToken.js";
+import { avatarUpload } from "../middlewares/avatarUpload.js";
 
 // Create a new router instance
 const router = express.Router();
@@ -30,15 +89,6 @@ const router = express.Router();
 router.get("/check-auth", verifyToken, checkAuth);
 
 
-/* 
-  🚨 Get All Users
-  TEMPORARY: Only for testing. Remove this in production!
-*/
-if (process.env.NODE_ENV !== "production") {
-  router.get("/", getAllUsers);
-}
-
-
 /* 
   📝 User Registration
   Rate limited to prevent abuse
@@ -53,6 +103,40 @@ router.post("/signup", signupLimiter, signup);
 router.post("/login", loginLimiter, login);
 
 
+/* 
+  🔢 Two-Factor Login
+  Second login step when 2FA is enabled – accepts a TOTP or recovery code
+*/
+router.post("/login/2fa", twoFactorLimiter, verifyTwoFactorLogin);
+
+
+/* 
+  ⏳ Expired Password Login
+  Login step when the password is older than PASSWORD_MAX_AGE_DAYS –
+  sets a new password, then creates the session
+*/
+router.post("/login/expired-password", changePasswordLimiter, changeExpiredPassword);
+
+
+/* 
+  🪄 Passwordless Login
+  Emails a single-use sign-in link or 6-digit code (rate limited),
+  then logs the user in with it
+*/
+router.post("/passwordless/start", passwordlessLimiter, startPasswordless);
+router.post("/passwordless/complete", passwordlessVerifyLimiter, completePasswordless);
+
+
+/* 
+  🌐 Social Login (OAuth2 / OpenID Connect)
+  Lists configured providers, redirects to a provider,
+  and handles its redirect back (authorization code + PKCE)
+*/
+router.get("/oauth/providers", listOAuthProviders);
+router.get("/oauth/:provider", startOAuth);
+router.get("/oauth/:provider/callback", oauthCallback);
+
+
 /* 
   🚪 Logout
   Clears the token (cookie/session)
@@ -60,11 +144,25 @@ router.post("/login", loginLimiter, login);
 router.post("/logout", logout);
 
 
+/* 
+  ♻️ Refresh Session
+  Rotates the refresh token cookie and issues a new access token
+*/
+router.post("/refresh", refresh);
+
+
 /* 
   ✅ Email Verification
-  Verifies user's email address via token
+  Verifies user's email address via the emailed code (rate limited per IP and email)
+*/
+router.post("/verify-email", verifyEmailLimiter, verifyEmail);
+
+
+/* 
+  📨 Resend Verification Code
+  Emails a new verification code (rate limited, with a per-account cooldown)
 */
-router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", resendVerificationLimiter, resendVerification);
 
 
 /* 
@@ -81,5 +179,91 @@ router.post("/forgot-password", forgotPasswordLimiter, forgotPassword);
 router.post("/reset-password/:token", resetPassword);
 
 
+/* 
+  🕵️ Breached Password Check
+  Answers whether a password appears in the breached-password corpus (yes/no only)
+*/
+router.post("/password/breach-check", passwordCheckLimiter, checkPasswordBreach);
+
+
+/* 
+  🔑 Change Password
+  Protected route – requires the current password; signs out other devices
+*/
+router.post("/change-password", verifyToken, changePasswordLimiter, changePassword);
+
+
+/* 
+  ✉️ Change Email
+  Request (protected, needs the password), then confirm from the new address
+  or revert ("this wasn't me") from the old one
+*/
+router.post("/change-email", verifyToken, changeEmailLimiter, requestEmailChange);
+router.post("/change-email/confirm/:token", confirmEmailChange);
+router.post("/change-email/revert/:token", revertEmailChange);
+
+
+/* 
+  🔓 Unlock Account
+  Lifts a failed-login lockout using the link from the "account locked" email
+*/
+router.post("/unlock-account/:token", unlockAccount);
+
+
+/* 
+  👤 Profile
+  Protected routes – edit name, display name, timezone and locale;
+  upload (resized server-side) or remove the avatar
+*/
+router.patch("/me", verifyToken, updateProfile);
+router.put("/me/avatar", verifyToken, avatarUploadLimiter, avatarUpload, uploadAvatar);
+router.delete("/me/avatar", verifyToken, removeAvatar);
+
+
+/* 
+  📦 My Data & Account Deletion
+  Protected routes – download everything stored about the user (JSON),
+  schedule deletion (needs the password) and cancel it during the grace period
+*/
+router.get("/me/export", verifyToken, exportMyData);
+router.delete("/me", verifyToken, requestAccountDeletion);
+router.post("/me/cancel-deletion", verifyToken, cancelAccountDeletion);
+
+
+/* 
+  🖥️ Sessions
+  Protected routes – list the user's active sessions (devices),
+  revoke one, or revoke every session except the current one
+*/
+router.get("/sessions", verifyToken, getSessions);
+router.delete("/sessions", verifyToken, revokeOtherSessions);
+router.delete("/sessions/:id", verifyToken, revokeOneSession);
+
+
+/* 
+  🔐 Two-Factor Authentication (TOTP)
+  Protected routes – enroll (setup + enable with a first code),
+  disable, and regenerate recovery codes
+*/
+router.post("/2fa/setup", verifyToken, setupTwoFactor);
+router.post("/2fa/enable", verifyToken, enableTwoFactor);
+router.post("/2fa/disable", verifyToken, disableTwoFactor);
+router.post("/2fa/recovery-codes", verifyToken, regenerateRecoveryCodes);
+
+
+/* 
+  🔑 Passkeys (WebAuthn)
+  Registration ceremony and passkey management require a logged-in user
+  (registration also the current password, and a 2FA code when enabled);
+  the login ceremony signs the user in without a password
+*/
+router.post("/webauthn/register/options", verifyToken, registrationOptions);
+router.post("/webauthn/register/verify", verifyToken, verifyRegistration);
+router.post("/webauthn/login/options", authenticationOptions);
+router.post("/webauthn/login/verify", verifyAuthentication);
+router.get("/webauthn/credentials", verifyToken, getPasskeys);
+router.delete("/webauthn/credentials/:id", verifyToken, deletePasskey);
+
+
 // Export the router to be used in main app
 export default router;
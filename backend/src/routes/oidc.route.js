@@ -0,0 +1,52 @@
+import express from "express";
+
+// Controllers – OpenID Connect identity provider for other applications
+import {
+  openidConfiguration,
+  jwks,
+  authorize,
+  getConsentDetails,
+  submitConsent,
+  token,
+  userinfo,
+} from "../controllers/oidc.controller.js";
+
+import { verifyToken } from "../middlewares/verifyToken.js";
+
+// Create a new router instance
+const router = express.Router();
+
+/* 
+  📄 Discovery & Keys
+  Public metadata and signing keys used by client applications
+*/
+router.get("/.well-known/openid-configuration", openidConfiguration);
+router.get("/jwks", jwks);
+
+
+/* 
+  🚪 Authorization Endpoint
+  Validates the client request and sends the browser to the consent screen
+*/
+router.get("/authorize", authorize);
+
+
+/* 
+  ✅ Consent
+  Protected routes used by the frontend consent screen
+*/
+router.get("/api/v1/oidc/consent", verifyToken, getConsentDetails);
+router.post("/api/v1/oidc/consent", verifyToken, submitConsent);
+
+
+/* 
+  🎟️ Token & UserInfo Endpoints
+  Called by client applications (server-to-server or with a Bearer token)
+*/
+router.post("/token", token);
+router.get("/userinfo", userinfo);
+router.post("/userinfo", userinfo);
+
+
+// Export the router to be used in main app
+export default router;
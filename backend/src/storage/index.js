@@ -0,0 +1,27 @@
+// ------------------------------------------------------------------------------------
+// 🗄️ File storage selection
+// ------------------------------------------------------------------------------------
+//
+// FILE_STORAGE = "local" (default). Every adapter implements:
+//   put(key, data)   – store a Buffer under `key`
+//   delete(key)      – remove it (no error if it doesn't exist)
+//   getUrl(key)      – public URL the browser can load it from
+// and optionally middleware() – an Express handler serving the files from /uploads
+
+import dotenv from "dotenv";
+import { LocalDiskStorage } from "./localDiskStorage.js";
+dotenv.config();
+
+let storage;
+
+export const getStorage = () => {
+    if (storage) return storage;
+
+    const type = process.env.FILE_STORAGE || "local";
+    if (type === "local") {
+        storage = new LocalDiskStorage();
+        return storage;
+    }
+
+    throw new Error(`Unknown FILE_STORAGE "${type}" (use local)`);
+};
@@ -0,0 +1,59 @@
+// ------------------------------------------------------------------------------------
+// 💾 Local disk storage adapter
+// ------------------------------------------------------------------------------------
+//
+// Files are written under UPLOADS_DIR (default backend/uploads) and served by the
+// app itself at /uploads (see app.js). Fine for a single server; for several
+// instances, add an adapter for shared storage with the same put/delete/getUrl methods.
+
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_ROOT = fileURLToPath(new URL("../../uploads", import.meta.url));
+
+export class LocalDiskStorage {
+    constructor({ root = process.env.UPLOADS_DIR || DEFAULT_ROOT, baseUrl } = {}) {
+        this.root = path.resolve(root);
+        this.baseUrl = baseUrl
+            || `${process.env.SERVER_URL || `http://localhost:${process.env.PORT || 1502}`}/uploads`;
+    }
+
+    // Keys are generated by us ("avatars/<id>/128.webp"); refuse anything that escapes the root
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return filePath;
+    }
+
+    async put(key, data) {
+        const filePath = this.resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, data);
+    }
+
+    async delete(key) {
+        const filePath = this.resolve(key);
+        await fs.rm(filePath, { force: true });
+
+        // Drop the folder once it's empty (fails harmlessly while other files remain)
+        await fs.rmdir(path.dirname(filePath)).catch(() => {});
+    }
+
+    getUrl(key) {
+        return `${this.baseUrl}/${key}`;
+    }
+
+    // Every upload gets a new key, so files can be cached forever
+    middleware() {
+        return express.static(this.root, {
+            immutable: true,
+            maxAge: "1y",
+            index: false,
+            setHeaders: (res) => res.setHeader("X-Content-Type-Options", "nosniff"),
+        });
+    }
+}
@@ -0,0 +1,60 @@
+// ------------------------------------------------------------------------------------
+// 🗑️ Account deletion
+// ------------------------------------------------------------------------------------
+//
+// Self-service deletions are scheduled first (ACCOUNT_DELETION_GRACE_DAYS, default 14)
+// so the owner can change their mind; a background job removes them afterwards.
+// The audit log keeps its entries so the chain stays intact; the personal data in them is
+// only stored as pseudonyms, which are erased here (see utils/audit.js).
+
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { RefreshToken } from "../models/refreshToken.model.js";
+import { Passkey } from "../models/passkey.model.js";
+import { AuthorizationCode } from "../models/authorizationCode.model.js";
+import { OneTimeToken } from "../models/oneTimeToken.model.js";
+import { EmailOutbox } from "../models/emailOutbox.model.js";
+import { sendAccountDeletedEmail } from "../mailtrap/emails.js";
+import { deleteAvatar } from "./avatar.js";
+import { eraseAuditPseudonyms, recordAuditEvent } from "./audit.js";
+
+export const getDeletionGracePeriodMs = () =>
+    (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14) * 24 * 60 * 60 * 1000;
+
+// Remove a user together with everything that references it
+export const deleteUserAccount = async (user) => {
+    const addresses = [user.email, user.pendingEmail, user.previousEmail].filter(Boolean);
+
+    await Promise.all([
+        Session.deleteMany({ user: user._id }),
+        RefreshToken.deleteMany({ user: user._id }),
+        Passkey.deleteMany({ user: user._id }),
+        AuthorizationCode.deleteMany({ user: user._id }),
+        OneTimeToken.deleteMany({ user: user._id }),
+        // Queued and sent emails hold the address and rendered personal content
+        EmailOutbox.deleteMany({ "to.email": { $in: addresses } }),
+        eraseAuditPseudonyms(user._id, addresses),
+        deleteAvatar(user.avatar?.id),
+    ]);
+    await user.deleteOne();
+};
+
+// Delete every account whose grace period is over and send the final email
+export const purgeScheduledDeletions = async () => {
+    const users = await User.find({ deletionScheduledAt: { $lte: new Date() } });
+
+    for (const user of users) {
+        await deleteUserAccount(user);
+        await recordAuditEvent(null, { action: "account.delete", actor: user._id });
+
+        // Queued after the erasure on purpose; like any sent email it leaves the outbox after the retention period
+        try {
+            await sendAccountDeletedEmail(user.email, user.name, { locale: user.locale });
+        } catch (error) {
+            // The account is gone either way; don't retry the deletion because of the email
+            console.error("❌ Final deletion email failed:", error.message);
+        }
+    }
+
+    return users.length;
+};
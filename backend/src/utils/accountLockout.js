@@ -0,0 +1,87 @@
+// ------------------------------------------------------------------------------------
+// 🔒 Per-account lockout after failed logins
+// ------------------------------------------------------------------------------------
+//
+// The first few wrong passwords are free. After that every failure doubles the wait
+// before the next attempt is accepted, and after LOCKOUT_MAX_ATTEMPTS failures the
+// account is locked for LOCKOUT_DURATION_MINUTES (or until the owner follows the
+// unlock link we email, or an admin clears the lock).
+
+import { User } from "../models/user.model.js";
+import { issueOneTimeToken, revokeOneTimeTokens } from "./oneTimeToken.js";
+
+const FREE_ATTEMPTS = 3;
+const MAX_BACKOFF_MS = 15 * 60 * 1000; // 15 minutes
+
+const getMaxAttempts = () => parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10) || 10;
+export const getLockDurationMs = () => (parseInt(process.env.LOCKOUT_DURATION_MINUTES, 10) || 30) * 60 * 1000;
+
+// Wait required after `failures` consecutive failed attempts: 0, …, 1s, 2s, 4s, … capped
+const getBackoffMs = (failures) => {
+    if (failures < FREE_ATTEMPTS) return 0;
+    return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_BACKOFF_MS);
+};
+
+// Whether a login attempt may be checked right now.
+// Returns { locked, retryAfterMs } — `locked` is true for a full lock, otherwise
+// a non-zero `retryAfterMs` means the user has to back off a little longer.
+export const getLockoutState = (user, now = Date.now()) => {
+    if (user.lockUntil && user.lockUntil.getTime() > now) {
+        return { locked: true, retryAfterMs: user.lockUntil.getTime() - now };
+    }
+
+    // An expired lock no longer slows anyone down; the counter restarts on the next failure
+    if (user.lockUntil || !user.lastFailedLoginAt) {
+        return { locked: false, retryAfterMs: 0 };
+    }
+
+    const waitUntil = user.lastFailedLoginAt.getTime() + getBackoffMs(user.failedLoginAttempts);
+    return { locked: false, retryAfterMs: Math.max(waitUntil - now, 0) };
+};
+
+// Record a wrong password. Returns the unlock token if this failure locked the account
+// (so the caller can email it), otherwise null. Every step is a single atomic update, so
+// a burst of parallel wrong passwords counts every attempt and locks the account once.
+export const recordFailedLogin = async (user) => {
+    const now = new Date();
+
+    // 1. Start counting again once a previous lock has run out
+    const expired = await User.updateOne(
+        { _id: user._id, lockUntil: { $lte: now } },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+    if (expired.modifiedCount > 0) {
+        await revokeOneTimeTokens(user._id, "account_unlock");
+    }
+
+    // 2. Count this failure
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+        { new: true }
+    ).select("failedLoginAttempts");
+
+    if (!updated || updated.failedLoginAttempts < getMaxAttempts()) {
+        return null;
+    }
+
+    // 3. Lock the account, unless a parallel failure already did
+    const { modifiedCount } = await User.updateOne(
+        { _id: user._id, lockUntil: { $exists: false } },
+        { $set: { lockUntil: new Date(now.getTime() + getLockDurationMs()) } }
+    );
+    if (modifiedCount === 0) {
+        return null;
+    }
+
+    return issueOneTimeToken(user._id, "account_unlock");
+};
+
+// Clear counters and any lock (successful login, unlock link, admin action, password reset)
+export const clearFailedLogins = async (userId) => {
+    await User.updateOne({ _id: userId }, {
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lastFailedLoginAt: 1, lockUntil: 1 },
+    });
+    await revokeOneTimeTokens(userId, "account_unlock");
+};
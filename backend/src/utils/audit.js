@@ -0,0 +1,213 @@
+// ------------------------------------------------------------------------------------
+// 📜 Security audit log
+// ------------------------------------------------------------------------------------
+//
+// Every entry is hashed together with the hash of the entry before it:
+//   hash(n) = SHA-256(prevHash + fields of entry n)
+// Changing or deleting any entry changes every hash after it, which
+// `verifyAuditChain` detects by replaying the chain from the start.
+//
+// Personal data (IP address, user agent, and email addresses and names in metadata) is
+// stored as a pseudonym that points into the AuditPseudonym collection, outside the chain.
+// Erasing a user deletes their pseudonyms: the entries then read "[erased]" and the
+// chain still verifies.
+
+import crypto from "crypto";
+import { AuditEvent } from "../models/auditEvent.model.js";
+import { AuditPseudonym } from "../models/auditPseudonym.model.js";
+
+const GENESIS_HASH = "0".repeat(64);
+const DUPLICATE_KEY_ERROR = 11000;
+const MAX_APPEND_ATTEMPTS = 5;
+
+const PSEUDONYM_PREFIX = "pseudonym:";
+const ERASED = "[erased]";
+
+// Metadata keys holding personal data; any other string that looks like an address counts too
+const PERSONAL_KEYS = new Set(["email", "name"]);
+const EMAIL_LIKE = /^[^\s@]+@[^\s@]+$/;
+
+// The pseudonym of a value recorded for these users, created on first use
+const getPseudonym = async (value, userIds) => {
+    const users = [...new Set(userIds)].sort();
+    const filter = { scope: users.join(","), value };
+
+    let record;
+    try {
+        record = await AuditPseudonym.findOneAndUpdate(filter, { $setOnInsert: { users } }, { upsert: true, new: true });
+    } catch (error) {
+        // Two requests created the same pseudonym at once; the other one won
+        if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+        record = await AuditPseudonym.findOne(filter);
+    }
+
+    return `${PSEUDONYM_PREFIX}${record._id}`;
+};
+
+// Copy of `metadata` with personal strings replaced by pseudonyms
+const pseudonymize = async (metadata, userIds, key = null) => {
+    if (typeof metadata === "string") {
+        return PERSONAL_KEYS.has(key) || EMAIL_LIKE.test(metadata) ? getPseudonym(metadata, userIds) : metadata;
+    }
+    if (Array.isArray(metadata)) {
+        return Promise.all(metadata.map((item) => pseudonymize(item, userIds, key)));
+    }
+    if (metadata && typeof metadata === "object") {
+        const entries = await Promise.all(
+            Object.entries(metadata).map(async ([name, value]) => [name, await pseudonymize(value, userIds, name)])
+        );
+        return Object.fromEntries(entries);
+    }
+    return metadata;
+};
+
+// Deterministic hash of the fields that make up an entry
+export const computeAuditHash = (event) => {
+    const payload = JSON.stringify([
+        event.seq,
+        event.prevHash,
+        new Date(event.createdAt).toISOString(),
+        event.action,
+        event.outcome,
+        event.reason ?? null,
+        event.actor ? String(event.actor) : null,
+        event.target ? String(event.target) : null,
+        event.ip ?? null,
+        event.userAgent ?? null,
+        event.metadata ?? null,
+    ]);
+
+    return crypto.createHash("sha256").update(payload).digest("hex");
+};
+
+// Append one entry to the chain. Concurrent writers race for the next `seq`;
+// the unique index lets only one win and the others retry on top of it.
+const appendAuditEvent = async (fields) => {
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+        const last = await AuditEvent.findOne().sort({ seq: -1 }).select("seq hash");
+
+        const event = {
+            ...fields,
+            seq: last ? last.seq + 1 : 1,
+            prevHash: last ? last.hash : GENESIS_HASH,
+            createdAt: new Date(),
+        };
+        event.hash = computeAuditHash(event);
+
+        try {
+            return await AuditEvent.create(event);
+        } catch (error) {
+            if (error.code !== DUPLICATE_KEY_ERROR || attempt === MAX_APPEND_ATTEMPTS) throw error;
+        }
+    }
+};
+
+/**
+ * Record a security-relevant event. Never throws: a failure to write the
+ * audit log is reported on the console but doesn't break the request.
+ *
+ * @param {import("express").Request|null} req - Request (for IP and user agent); null for background jobs
+ * @param {object} event
+ * @param {string} event.action - What happened, e.g. "auth.login"
+ * @param {"success"|"failure"} [event.outcome] - Defaults to "success"
+ * @param {string} [event.reason] - Why it failed, e.g. "invalid_password"
+ * @param {string} [event.actor] - User who performed the action (defaults to req.userId)
+ * @param {string} [event.target] - User the action concerned (defaults to the actor)
+ * @param {object} [event.metadata] - Extra details (never secrets)
+ */
+export const recordAuditEvent = async (req, { action, outcome = "success", reason, actor, target, metadata }) => {
+    const actorId = actor ?? req?.userId;
+    const targetId = target ?? actorId;
+    // The details describe the target; the request (IP, device) concerns both users
+    const subjects = [targetId].filter(Boolean).map(String);
+    const participants = [actorId, targetId].filter(Boolean).map(String);
+    const ip = req?.ip;
+    const userAgent = req?.get("user-agent");
+
+    try {
+        await appendAuditEvent({
+            action,
+            outcome,
+            reason,
+            actor: actorId || undefined,
+            target: targetId || undefined,
+            ip: ip ? await getPseudonym(ip, participants) : undefined,
+            userAgent: userAgent ? await getPseudonym(userAgent, participants) : undefined,
+            // Plain JSON only, so the stored copy hashes exactly like this one
+            metadata: metadata
+                ? await pseudonymize(JSON.parse(JSON.stringify(metadata)), subjects)
+                : undefined,
+        });
+    } catch (error) {
+        console.error(`❌ Failed to write audit event "${action}":`, error.message);
+    }
+};
+
+/**
+ * Replay the whole chain and check every link.
+ *
+ * `lastHash` is the hash of the newest entry; keeping a copy of it elsewhere
+ * also makes deleting entries from the end of the chain detectable.
+ *
+ * @returns {Promise<{valid: boolean, checked: number, lastHash?: string, brokenAt?: number, problem?: string}>}
+ */
+export const verifyAuditChain = async () => {
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+
+    for await (const event of AuditEvent.find().sort({ seq: 1 }).lean().cursor()) {
+        if (event.seq !== expectedSeq) {
+            return { valid: false, checked: expectedSeq - 1, brokenAt: expectedSeq, problem: "missing_entry" };
+        }
+        if (event.prevHash !== prevHash) {
+            return { valid: false, checked: expectedSeq - 1, brokenAt: event.seq, problem: "broken_link" };
+        }
+        if (computeAuditHash(event) !== event.hash) {
+            return { valid: false, checked: expectedSeq - 1, brokenAt: event.seq, problem: "modified_entry" };
+        }
+
+        prevHash = event.hash;
+        expectedSeq++;
+    }
+
+    return { valid: true, checked: expectedSeq - 1, lastHash: prevHash };
+};
+
+// Replace pseudonyms in events (plain objects) by the values they stand for, for display.
+// Values of erased users show as "[erased]".
+export const revealAuditPseudonyms = async (events) => {
+    const ids = new Set();
+    const collect = (value) => {
+        if (typeof value === "string" && value.startsWith(PSEUDONYM_PREFIX)) ids.add(value.slice(PSEUDONYM_PREFIX.length));
+        else if (value && typeof value === "object") Object.values(value).forEach(collect);
+    };
+    events.forEach((event) => collect([event.ip, event.userAgent, event.metadata]));
+    if (ids.size === 0) return events;
+
+    const records = await AuditPseudonym.find({ _id: { $in: [...ids].filter((id) => /^[0-9a-f]{24}$/.test(id)) } }).lean();
+    const values = new Map(records.map((record) => [String(record._id), record.value]));
+
+    const reveal = (value) => {
+        if (typeof value === "string" && value.startsWith(PSEUDONYM_PREFIX)) {
+            return values.get(value.slice(PSEUDONYM_PREFIX.length)) ?? ERASED;
+        }
+        if (Array.isArray(value)) return value.map(reveal);
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reveal(item)]));
+        }
+        return value;
+    };
+
+    return events.map((event) => ({
+        ...event,
+        ip: reveal(event.ip),
+        userAgent: reveal(event.userAgent),
+        metadata: reveal(event.metadata),
+    }));
+};
+
+// Forget the personal data a user left in the audit log (account erasure): every value
+// recorded for them, plus their addresses wherever they were recorded
+export const eraseAuditPseudonyms = async (userId, values = []) => {
+    await AuditPseudonym.deleteMany({ $or: [{ users: userId }, { value: { $in: values } }] });
+};
@@ -0,0 +1,66 @@
+// ------------------------------------------------------------------------------------
+// 🖼️ Avatar images
+// ------------------------------------------------------------------------------------
+//
+// Uploads are decoded and re-encoded by sharp, so only real images get through and
+// anything embedded in the original (EXIF, GPS, scripts in SVG...) is dropped.
+// Each upload is stored as square WebP files in AVATAR_SIZES under a fresh id.
+
+import crypto from "crypto";
+import sharp from "sharp";
+import { getStorage } from "../storage/index.js";
+
+export const AVATAR_SIZES = { small: 64, medium: 128, large: 256 };
+
+export const AVATAR_MIME_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const AVATAR_FORMATS = ["jpeg", "png", "webp", "gif"];
+
+export const getAvatarMaxBytes = () =>
+    (parseInt(process.env.AVATAR_MAX_SIZE_KB, 10) || 2048) * 1024;
+
+// Refuse decompression bombs: a small file can still declare a gigantic canvas
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Resize and store an uploaded image.
+// Returns { avatar } (what goes into `user.avatar`) or { error } for unusable files.
+export const saveAvatar = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch {
+        return { error: "The file is not a valid image." };
+    }
+
+    // The declared mime type is only a hint; trust the decoded format
+    if (!AVATAR_FORMATS.includes(metadata.format)) {
+        return { error: "Please upload a JPEG, PNG, WebP or GIF image." };
+    }
+
+    const storage = getStorage();
+    const id = crypto.randomBytes(12).toString("hex");
+    const urls = {};
+
+    for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+        const image = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+            .rotate() // Apply the EXIF orientation before it is stripped
+            .resize(size, size, { fit: "cover" })
+            .webp({ quality: 85 })
+            .toBuffer();
+
+        const key = `avatars/${id}/${size}.webp`;
+        await storage.put(key, image);
+        urls[name] = storage.getUrl(key);
+    }
+
+    return { avatar: { id, urls, updatedAt: new Date() } };
+};
+
+// Remove every stored size of an avatar
+export const deleteAvatar = async (avatarId) => {
+    if (!avatarId) return;
+
+    const storage = getStorage();
+    await Promise.all(
+        Object.values(AVATAR_SIZES).map((size) => storage.delete(`avatars/${avatarId}/${size}.webp`))
+    );
+};
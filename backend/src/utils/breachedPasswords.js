@@ -0,0 +1,63 @@
+// ------------------------------------------------------------------------------------
+// 🕵️ Breached password check (offline, Have I Been Pwned range format)
+// ------------------------------------------------------------------------------------
+//
+// The corpus is a folder of range files named after the first 5 hex characters of
+// a password's SHA-1 (e.g. "5BAA6.txt"), each holding the remaining 35 characters
+// and a breach count per line, exactly like https://api.pwnedpasswords.com/range/5BAA6:
+//
+//   1E4C9B93F3F0682250B6CF8331B7EE68FD8:10437277
+//
+// The official downloader produces this layout (`haveibeenpwned-downloader -s false`),
+// or build it from a hash list / wordlist with `npm run passwords:import-breached`.
+// Only one small file is read per check and the password never leaves the server.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_DIR = fileURLToPath(new URL("../../breached-passwords", import.meta.url));
+
+export const getBreachedPasswordsDir = () => path.resolve(process.env.BREACHED_PASSWORDS_DIR || DEFAULT_DIR);
+
+// Passwords seen fewer times than this are accepted (default: any appearance rejects)
+const getMinBreachCount = () => parseInt(process.env.BREACHED_PASSWORD_MIN_COUNT, 10) || 1;
+
+let warnedMissingCorpus = false;
+
+// "password1" -> { prefix: "E38AD", suffix: "214943DAAD1D64C102FAEC29DE4AFE9DA3D" }
+export const toRange = (password) => {
+    const hash = crypto.createHash("sha1").update(String(password)).digest("hex").toUpperCase();
+    return { prefix: hash.slice(0, 5), suffix: hash.slice(5) };
+};
+
+// How many times a password appears in the corpus (0 if it doesn't)
+export const getBreachCount = async (password) => {
+    const { prefix, suffix } = toRange(password);
+
+    let contents;
+    try {
+        contents = await fs.readFile(path.join(getBreachedPasswordsDir(), `${prefix}.txt`), "utf8");
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+
+        // No corpus installed at all: the check is off (warn once so it isn't silently missed)
+        if (!warnedMissingCorpus && !(await fs.stat(getBreachedPasswordsDir()).catch(() => null))) {
+            warnedMissingCorpus = true;
+            console.warn(`⚠️ No breached password corpus at ${getBreachedPasswordsDir()}; breached passwords are not rejected`);
+        }
+        return 0;
+    }
+
+    for (const line of contents.split("\n")) {
+        if (line.startsWith(suffix)) {
+            return parseInt(line.slice(suffix.length + 1), 10) || 1;
+        }
+    }
+
+    return 0;
+};
+
+export const isPasswordBreached = async (password) =>
+    (await getBreachCount(password)) >= getMinBreachCount();
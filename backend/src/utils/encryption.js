@@ -0,0 +1,33 @@
+import crypto from "crypto";
+
+// AES-256-GCM gives confidentiality and detects tampering of stored values
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+
+// Derive a 32-byte key from the configured secret
+const getKey = () => {
+    const secret = process.env.ENCRYPTION_KEY;
+    if (!secret) {
+        throw new Error("ENCRYPTION_KEY is not configured");
+    }
+
+    return crypto.createHash("sha256").update(secret).digest();
+};
+
+// Encrypt a string; the result is "iv:authTag:ciphertext" in base64
+export const encrypt = (plaintext) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64")).join(":");
+};
+
+// Decrypt a value produced by `encrypt`
+export const decrypt = (payload) => {
+    const [iv, authTag, ciphertext] = payload.split(":").map((part) => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
@@ -0,0 +1,22 @@
+// ------------------------------------------------------------------------------------
+// 🕶️ Enumeration-safe mode
+// ------------------------------------------------------------------------------------
+//
+// Off by default. With ENUMERATION_SAFE_MODE=true, signup, login and forgot password
+// answer the same whether or not an account exists for the email:
+//   - login checks unknown emails against a dummy hash, and locked accounts get the
+//     usual "Invalid email or password." (the owner already has the lock email)
+//   - signup with a taken address looks like a new signup; the owner is emailed instead
+//   - signup never logs in directly: the session starts once the emailed code is entered
+//   - forgot password and resend verification always report that an email was sent
+// Tokens are issued and emails queued in the background in this mode, so that doing
+// so (or not) doesn't show in the response time.
+
+export const isEnumerationSafeMode = () => process.env.ENUMERATION_SAFE_MODE === "true";
+
+// Run `send` (e.g. issue a token and queue its email) without waiting; failures are only logged
+export const sendInBackground = (label, send) => {
+    Promise.resolve()
+        .then(send)
+        .catch((error) => console.error(`❌ ${label} failed:`, error.message));
+};
@@ -1,23 +1,172 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { RefreshToken } from "../models/refreshToken.model.js";
+import { Session } from "../models/session.model.js";
+import { parseUserAgent } from "./parseUserAgent.js";
 
-// Generate and set JWT token as cookie
-export const generateTokenAndSetCookie = (res, userId) => {
-    // 1. Generate JWT token containing user ID as payload
+// Access tokens are short-lived; refresh tokens rotate on every use
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Time allowed between a correct password and the second factor
+export const MFA_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Time allowed between a correct (but expired) password and choosing a new one
+export const PASSWORD_EXPIRED_CHALLENGE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Built per call (not at import time) so NODE_ENV from .env is already loaded
+const getCookieOptions = () => ({
+    httpOnly: true, // Prevents client-side JS from accessing the cookie
+    secure: process.env.NODE_ENV === "production", // Ensures cookies are sent only over HTTPS in production
+    sameSite: "strict", // Prevents CSRF by restricting cross-site cookie sending
+});
+
+// The refresh cookie is scoped to the API so it is not sent with page requests
+const getRefreshCookieOptions = () => ({
+    ...getCookieOptions(),
+    path: "/api/v1",
+});
+
+// Hash an opaque token before storing or looking it up
+export const hashToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Record a new login session for the device making the current request
+export const createSession = async (req, userId) => {
+    const userAgent = req.get("user-agent") || "";
+
+    return Session.create({
+        user: userId,
+        device: parseUserAgent(userAgent),
+        userAgent,
+        ip: req.ip,
+    });
+};
+
+// Generate an access token and a new refresh token, and set both as cookies.
+// Without a `sessionId` a new session is recorded for the request (a fresh login);
+// pass the session of the refresh token being rotated to keep it on the same session.
+export const generateTokenAndSetCookie = async (res, userId, sessionId) => {
+    // 1. Every login belongs to a session; its id is also the refresh token family
+    if (!sessionId) {
+        const session = await createSession(res.req, userId);
+        sessionId = session._id.toString();
+    }
+
+    // 2. Generate a short-lived JWT containing the user and session IDs as payload
     const token = jwt.sign(
-        { userId },
+        { userId, sessionId },
         process.env.JWT_SECRET,
         {
-            expiresIn: "7d", // Token expires in 7 days
+            expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
         }
     );
 
-    // 2. Set the token as a secure HTTP-only cookie
+    // 3. Generate an opaque refresh token and store only its hash
+    const refreshToken = crypto.randomBytes(40).toString("hex");
+    await RefreshToken.create({
+        user: userId,
+        tokenHash: hashToken(refreshToken),
+        family: sessionId,
+        expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+    });
+
+    // 4. Set both tokens as secure HTTP-only cookies.
+    // The access cookie outlives its JWT so `verifyToken` can tell "expired" from "logged out".
     res.cookie("token", token, {
-        httpOnly: true, // Prevents client-side JS from accessing the cookie
-        secure: process.env.NODE_ENV === "production", // Ensures cookies are sent only over HTTPS in production
-        maxAge: 7 * 24 * 60 * 60 * 1000, // Cookie expiration: 7 days
-        sameSite: "strict", // Prevents CSRF by restricting cross-site cookie sending
+        ...getCookieOptions(),
+        maxAge: REFRESH_TOKEN_TTL_MS,
+    });
+    res.cookie("refreshToken", refreshToken, {
+        ...getRefreshCookieOptions(),
+        maxAge: REFRESH_TOKEN_TTL_MS,
     });
 
     return token;
 };
+
+// Revoke a session and every refresh token issued for it
+export const revokeSession = async (sessionId) => {
+    const now = new Date();
+
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: now });
+    await RefreshToken.updateMany({ family: sessionId.toString(), revokedAt: null }, { revokedAt: now });
+};
+
+// After a correct password, remember (for a few minutes) which user still owes a second factor.
+// `passwordExpired` carries the "must set a new password" state past the 2FA step.
+export const setMfaChallengeCookie = (res, userId, { passwordExpired = false } = {}) => {
+    const token = jwt.sign(
+        { userId, purpose: "mfa", passwordExpired },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: Math.floor(MFA_CHALLENGE_TTL_MS / 1000),
+        }
+    );
+
+    res.cookie("mfaToken", token, {
+        ...getCookieOptions(),
+        path: "/api/v1/auth",
+        maxAge: MFA_CHALLENGE_TTL_MS,
+    });
+};
+
+// Return { userId, passwordExpired } of a pending two-factor challenge, or null if missing/expired
+export const readMfaChallengeCookie = (req) => {
+    const token = req.cookies?.mfaToken;
+    if (!token) return null;
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === "mfa"
+            ? { userId: decoded.userId, passwordExpired: Boolean(decoded.passwordExpired) }
+            : null;
+    } catch {
+        return null;
+    }
+};
+
+export const clearMfaChallengeCookie = (res) => {
+    res.clearCookie("mfaToken", { ...getCookieOptions(), path: "/api/v1/auth" });
+};
+
+// After a correct but expired password, remember which user must set a new one
+export const setPasswordExpiredChallengeCookie = (res, userId) => {
+    const token = jwt.sign(
+        { userId, purpose: "password_expired" },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: Math.floor(PASSWORD_EXPIRED_CHALLENGE_TTL_MS / 1000),
+        }
+    );
+
+    res.cookie("passwordExpiredToken", token, {
+        ...getCookieOptions(),
+        path: "/api/v1/auth",
+        maxAge: PASSWORD_EXPIRED_CHALLENGE_TTL_MS,
+    });
+};
+
+// Return the user ID of a pending expired-password change, or null if missing/expired
+export const readPasswordExpiredChallengeCookie = (req) => {
+    const token = req.cookies?.passwordExpiredToken;
+    if (!token) return null;
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === "password_expired" ? decoded.userId : null;
+    } catch {
+        return null;
+    }
+};
+
+export const clearPasswordExpiredChallengeCookie = (res) => {
+    res.clearCookie("passwordExpiredToken", { ...getCookieOptions(), path: "/api/v1/auth" });
+};
+
+// Clear both authentication cookies (logout, revoked or reused refresh token)
+export const clearAuthCookies = (res) => {
+    res.clearCookie("token", getCookieOptions());
+    res.clearCookie("refreshToken", getRefreshCookieOptions());
+};
@@ -1,3 +0,0 @@
-export const generateVerificationToken = () => {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-}
\ No newline at end of file
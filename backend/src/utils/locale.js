@@ -0,0 +1,8 @@
+// BCP 47 language tag in its canonical form ("ar-eg" -> "ar-EG"), or null if invalid
+export const canonicalLocale = (locale) => {
+    try {
+        return Intl.getCanonicalLocales(locale)[0];
+    } catch {
+        return null;
+    }
+};
@@ -0,0 +1,164 @@
+// ------------------------------------------------------------------------------------
+// 🎟️ One-time tokens
+// ------------------------------------------------------------------------------------
+//
+// Every emailed code or link goes through here. A token belongs to one user and one
+// purpose, is cryptographically random, stored only as an HMAC, expires, works once,
+// and (for short codes) is invalidated after too many wrong guesses.
+//
+//   "code"  – 6 digits typed by the user; always checked together with the user it
+//             was sent to, so two users holding the same code can't collide
+//   "link"  – 256-bit random value put in a URL; looked up by its hash
+//
+// Issuing a token replaces any earlier token of the same user and purpose.
+
+import crypto from "crypto";
+import { OneTimeToken } from "../models/oneTimeToken.model.js";
+
+export const TOKEN_PURPOSES = {
+    email_verification: {
+        format: "code",
+        ttlMs: 24 * 60 * 60 * 1000, // 24 hours
+        maxAttempts: 5,
+    },
+    password_reset: {
+        format: "link",
+        ttlMs: 60 * 60 * 1000, // 1 hour
+    },
+    passwordless_link: {
+        format: "link",
+        ttlMs: 15 * 60 * 1000, // 15 minutes
+    },
+    passwordless_code: {
+        format: "code",
+        ttlMs: 15 * 60 * 1000, // 15 minutes
+        maxAttempts: 5,
+    },
+    account_unlock: {
+        format: "link",
+        ttlMs: 24 * 60 * 60 * 1000, // 24 hours
+    },
+    email_change_confirm: {
+        format: "link",
+        ttlMs: 24 * 60 * 60 * 1000, // 24 hours to confirm the new address
+    },
+    email_change_revert: {
+        format: "link",
+        ttlMs: 7 * 24 * 60 * 60 * 1000, // 7 days to say "this wasn't me"
+    },
+};
+
+const getPurpose = (purpose) => {
+    const definition = TOKEN_PURPOSES[purpose];
+    if (!definition) {
+        throw new Error(`Unknown one-time token purpose "${purpose}"`);
+    }
+    return definition;
+};
+
+// Keyed so that a leaked database alone isn't enough to brute-force 6-digit codes
+const hashOneTimeToken = (token) => {
+    const secret = process.env.TOKEN_HASH_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac("sha256", secret).update(String(token)).digest("hex");
+};
+
+const hashesMatch = (a, b) => {
+    const bufferA = Buffer.from(a, "hex");
+    const bufferB = Buffer.from(b, "hex");
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const generateToken = (format) => {
+    if (format === "code") {
+        return crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+    }
+    return crypto.randomBytes(32).toString("hex");
+};
+
+// Create a token for `userId` and return the raw value (to be emailed, never stored).
+// Pass `session` to save it inside a transaction (see utils/transaction.js).
+export const issueOneTimeToken = async (userId, purpose, { session = null } = {}) => {
+    const definition = getPurpose(purpose);
+    const token = generateToken(definition.format);
+
+    await OneTimeToken.deleteMany({ user: userId, purpose }, { session });
+    await OneTimeToken.create([{
+        user: userId,
+        purpose,
+        tokenHash: hashOneTimeToken(token),
+        expiresAt: new Date(Date.now() + definition.ttlMs),
+    }], { session });
+
+    return token;
+};
+
+// Check a token and use it up.
+// Codes need the user they were sent to: consumeOneTimeToken("email_verification", code, { userId }).
+// Returns { userId } on success or { error: "invalid" | "too_many_attempts" }.
+export const consumeOneTimeToken = async (purpose, token, { userId } = {}) => {
+    const definition = getPurpose(purpose);
+    if (typeof token !== "string" || !token) return { error: "invalid" };
+
+    const tokenHash = hashOneTimeToken(token);
+    const active = { purpose, usedAt: null, expiresAt: { $gt: new Date() } };
+
+    let record;
+    if (definition.format === "code") {
+        if (!userId) return { error: "invalid" };
+        record = await OneTimeToken.findOne({ ...active, user: userId });
+    } else {
+        record = await OneTimeToken.findOne({ ...active, tokenHash });
+    }
+
+    if (!record) return { error: "invalid" };
+
+    // Count the attempt before comparing, so parallel guesses can't exceed the limit
+    if (definition.maxAttempts) {
+        record = await OneTimeToken.findOneAndUpdate(
+            { _id: record._id, attempts: { $lt: definition.maxAttempts } },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+        if (!record) return { error: "too_many_attempts" };
+    }
+
+    if (!hashesMatch(record.tokenHash, tokenHash)) {
+        const exhausted = definition.maxAttempts && record.attempts >= definition.maxAttempts;
+        return { error: exhausted ? "too_many_attempts" : "invalid" };
+    }
+
+    // Mark as used atomically so two concurrent requests can't both succeed
+    const used = await OneTimeToken.findOneAndUpdate(
+        { _id: record._id, usedAt: null },
+        { usedAt: new Date() }
+    );
+    if (!used) return { error: "invalid" };
+
+    return { userId: record.user };
+};
+
+// Look up the user of a valid link token without using it up (e.g. to validate a form
+// first). Returns the user id or null. Not available for codes, which must count attempts.
+export const findOneTimeTokenUser = async (purpose, token) => {
+    if (getPurpose(purpose).format !== "link" || typeof token !== "string" || !token) return null;
+
+    const record = await OneTimeToken.findOne({
+        purpose,
+        tokenHash: hashOneTimeToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+    return record ? record.user : null;
+};
+
+// When the user's current token for a purpose was sent (null if there is none), e.g. to
+// enforce a cooldown on "send me a new code"
+export const getOneTimeTokenIssuedAt = async (userId, purpose) => {
+    const record = await OneTimeToken.findOne({ user: userId, purpose }).sort({ createdAt: -1 });
+    return record ? record.createdAt : null;
+};
+
+// Drop every outstanding token of a user for a purpose (e.g. verified by an admin)
+export const revokeOneTimeTokens = async (userId, purpose, { session = null } = {}) => {
+    await OneTimeToken.deleteMany({ user: userId, purpose }, { session });
+};
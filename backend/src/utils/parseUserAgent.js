@@ -0,0 +1,26 @@
+// Order matters: Edge and Opera also advertise "Chrome", and Chrome advertises "Safari"
+const BROWSERS = [
+    ["Edge", /Edg(e|A|iOS)?\//],
+    ["Opera", /OPR\/|Opera/],
+    ["Firefox", /Firefox\/|FxiOS\//],
+    ["Chrome", /Chrome\/|CriOS\//],
+    ["Safari", /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+];
+
+const match = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+// Build a short device label (e.g. "Firefox on Linux") from a User-Agent header
+export const parseUserAgent = (userAgent = "") => {
+    const browser = match(BROWSERS, userAgent) || "Unknown browser";
+    const os = match(OPERATING_SYSTEMS, userAgent) || "unknown OS";
+
+    return `${browser} on ${os}`;
+};
@@ -0,0 +1,98 @@
+// ------------------------------------------------------------------------------------
+// 🔐 Password hashing
+// ------------------------------------------------------------------------------------
+//
+// New hashes use the configured policy (PASSWORD_HASH_ALGORITHM, default argon2id).
+// Stored hashes are recognised by their prefix, so accounts created under an older
+// policy (e.g. bcrypt cost 12) keep working and are upgraded the next time the user
+// logs in (see `needsRehash`).
+//
+//   argon2id: $argon2id$v=19$m=19456,t=2,p=1$...
+//   bcrypt:   $2a$12$... / $2b$12$... / $2y$12$...
+
+import argon2 from "argon2";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+
+export const PASSWORD_ALGORITHMS = ["argon2id", "bcrypt"];
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Current policy; defaults follow the OWASP password storage recommendations
+export const getPasswordPolicy = () => {
+    const algorithm = process.env.PASSWORD_HASH_ALGORITHM || "argon2id";
+    if (!PASSWORD_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unknown PASSWORD_HASH_ALGORITHM "${algorithm}" (use argon2id or bcrypt)`);
+    }
+
+    return {
+        algorithm,
+        argon2: {
+            memoryCost: readNumber("ARGON2_MEMORY_COST", 19456), // KiB (19 MiB)
+            timeCost: readNumber("ARGON2_TIME_COST", 2),
+            parallelism: readNumber("ARGON2_PARALLELISM", 1),
+        },
+        bcryptCost: readNumber("BCRYPT_COST", 12),
+    };
+};
+
+// Which algorithm produced a stored hash (null if unrecognised)
+export const identifyHash = (hash) => {
+    if (typeof hash !== "string") return null;
+    if (hash.startsWith("$argon2id$")) return "argon2id";
+    if (/^\$2[aby]\$\d{2}\$/.test(hash)) return "bcrypt";
+    return null;
+};
+
+// Hash a password with the current policy
+export const hashPassword = async (password) => {
+    const policy = getPasswordPolicy();
+
+    if (policy.algorithm === "bcrypt") {
+        return bcrypt.hash(String(password), policy.bcryptCost);
+    }
+
+    return argon2.hash(String(password), { type: argon2.argon2id, ...policy.argon2 });
+};
+
+// Check a password against a stored hash of any supported algorithm
+export const verifyPassword = async (password, hash) => {
+    const algorithm = identifyHash(hash);
+
+    if (algorithm === "argon2id") return argon2.verify(hash, String(password));
+    if (algorithm === "bcrypt") return bcrypt.compare(String(password), hash);
+
+    console.error("❌ Unrecognised password hash format");
+    return false;
+};
+
+// Whether a stored hash was made with a different algorithm or parameters than the current policy
+export const needsRehash = (hash) => {
+    const policy = getPasswordPolicy();
+    const algorithm = identifyHash(hash);
+
+    if (algorithm !== policy.algorithm) return true;
+    if (algorithm === "bcrypt") return bcrypt.getRounds(hash) !== policy.bcryptCost;
+
+    return argon2.needsRehash(hash, policy.argon2);
+};
+
+// Hash of a random password, remade whenever the policy changes (see verifyDummyPassword)
+let dummyHash = null;
+let dummyHashPolicy = null;
+
+// Spend the time of a real password check when there is no account to check against,
+// so response times don't reveal which emails are registered. Always false.
+export const verifyDummyPassword = async (password) => {
+    const policy = JSON.stringify(getPasswordPolicy());
+    if (dummyHashPolicy !== policy) {
+        dummyHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+        dummyHashPolicy = policy;
+    }
+
+    await verifyPassword(password, dummyHash);
+    return false;
+};
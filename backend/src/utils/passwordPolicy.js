@@ -0,0 +1,74 @@
+// ------------------------------------------------------------------------------------
+// 📜 Password policy: breached passwords, reuse and maximum age
+// ------------------------------------------------------------------------------------
+//
+// PASSWORD_HISTORY_SIZE (default 5): how many previous hashes are kept per user.
+//   A new password may match neither the current one nor any of them (0 = current only).
+// PASSWORD_MAX_AGE_DAYS (default 0 = never): after this long a password login stops at
+//   a "password_expired" step until a new password is set.
+//
+// Functions that look at the history expect the user loaded with "+passwordHistory".
+
+import { verifyPassword } from "./password.js";
+import { isPasswordBreached } from "./breachedPasswords.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getPasswordHistorySize = () => {
+    const value = parseInt(process.env.PASSWORD_HISTORY_SIZE, 10);
+    return Number.isNaN(value) ? 5 : Math.max(value, 0);
+};
+
+export const getPasswordMaxAgeMs = () => (parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10) || 0) * DAY_MS;
+
+// Whether `password` is the current password or one of the remembered ones
+export const isPasswordReused = async (user, password) => {
+    const hashes = [user.password, ...(user.passwordHistory || []).slice(0, getPasswordHistorySize())];
+
+    for (const hash of hashes) {
+        if (hash && (await verifyPassword(password, hash))) return true;
+    }
+    return false;
+};
+
+// Check a new password against the policy. Returns null if it's acceptable,
+// otherwise { code, message } for a 400 response. `user` is omitted at signup.
+export const checkNewPassword = async (password, user) => {
+    if (await isPasswordBreached(password)) {
+        return {
+            code: "password_breached",
+            message: "This password has appeared in a data breach and can't be used. Please choose a different one.",
+        };
+    }
+
+    if (user && (await isPasswordReused(user, password))) {
+        const size = getPasswordHistorySize();
+        return {
+            code: "password_reused",
+            message: size > 0
+                ? `You can't reuse your current password or any of your last ${size} passwords.`
+                : "New password must be different from the current password.",
+        };
+    }
+
+    return null;
+};
+
+// Replace the password hash, remembering the old one
+export const setNewPasswordHash = (user, hash) => {
+    const size = getPasswordHistorySize();
+
+    user.passwordHistory = size > 0 ? [user.password, ...(user.passwordHistory || [])].slice(0, size) : [];
+    user.password = hash;
+    user.passwordChangedAt = new Date();
+};
+
+// Whether the password is older than PASSWORD_MAX_AGE_DAYS
+// (accounts from before this was tracked count from their creation)
+export const isPasswordExpired = (user) => {
+    const maxAge = getPasswordMaxAgeMs();
+    if (!maxAge) return false;
+
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return Boolean(changedAt) && Date.now() - new Date(changedAt).getTime() > maxAge;
+};
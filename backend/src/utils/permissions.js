@@ -0,0 +1,37 @@
+// ------------------------------------------------------------------------------------
+// 🛡️ Roles and permissions
+// ------------------------------------------------------------------------------------
+//
+// Permissions are "<resource>:<action>" strings. A role is a named set of permissions;
+// users get the union of their roles' permissions plus any permissions granted directly.
+// "<resource>:*" grants every action on a resource and "*" grants everything.
+
+export const ROLE_PERMISSIONS = {
+    user: [],
+    admin: ["users:*", "audit:read", "emails:*"],
+    superadmin: ["*"],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// All permissions of a user: from roles and from direct grants
+export const getUserPermissions = (user) => {
+    const permissions = new Set(user.permissions || []);
+
+    for (const role of user.roles || []) {
+        for (const permission of ROLE_PERMISSIONS[role] || []) {
+            permissions.add(permission);
+        }
+    }
+
+    return [...permissions];
+};
+
+// Whether a list of granted permissions (which may contain wildcards) covers `required`
+export const hasPermission = (granted, required) => {
+    const [resource] = required.split(":");
+
+    return granted.includes("*")
+        || granted.includes(`${resource}:*`)
+        || granted.includes(required);
+};
@@ -0,0 +1,38 @@
+// Second-factor checks shared by the 2FA flows and other actions that ask the user
+// to prove who they are (e.g. adding a passkey)
+
+import { verifyTotp } from "./totp.js";
+import { decrypt } from "./encryption.js";
+import { hashToken } from "./generateTokenAndSetCookie.js";
+
+// Fields excluded from queries by default that the 2FA flows need
+export const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// Recovery codes are compared case-insensitively and without separators
+export const normalizeRecoveryCode = (code) => String(code ?? "").replace(/[\s-]/g, "").toLowerCase();
+
+/**
+ * Check a TOTP code or, failing that, a one-time recovery code against the user.
+ * Consumes what it accepts (the TOTP step or the recovery code), so the caller
+ * must save the user afterwards.
+ */
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyTotp(decrypt(user.twoFactor.secret), code, user.twoFactor.lastUsedStep ?? -1);
+        if (step === null) return false;
+
+        user.twoFactor.lastUsedStep = step;
+        return true;
+    }
+
+    if (recoveryCode) {
+        const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+        const index = user.twoFactor.recoveryCodes.indexOf(hash);
+        if (index === -1) return false;
+
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+};
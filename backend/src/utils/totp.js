@@ -0,0 +1,118 @@
+import crypto from "crypto";
+
+// RFC 6238 defaults understood by every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ALGORITHM = "sha1";
+
+// Accept codes from one step before/after the current one to tolerate clock drift
+const ALLOWED_DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Encode bytes as unpadded RFC 4648 base32 (the format authenticator apps expect)
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+// Decode an RFC 4648 base32 string (padding and case are ignored)
+const base32Decode = (input) => {
+    const cleaned = input.replace(/=+$/, "").toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character in TOTP secret");
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a given counter
+const hotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(ALGORITHM, base32Decode(secret)).update(counterBuffer).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+// Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+export const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+// Build the otpauth:// URI that authenticator apps import (usually via QR code)
+export const buildOtpauthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: ALGORITHM.toUpperCase(),
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verify a TOTP code against a secret.
+ * Returns the matched time step (use it to reject replays of the same code),
+ * or null if the code is invalid. Steps at or before `lastUsedStep` never match.
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1, now = Date.now()) => {
+    const normalized = String(code ?? "").replace(/\s+/g, "");
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const currentStep = Math.floor(now / 1000 / STEP_SECONDS);
+
+    for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+        const step = currentStep + drift;
+        if (step <= lastUsedStep) continue;
+
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
@@ -0,0 +1,34 @@
+// ------------------------------------------------------------------------------------
+// 🔗 Transactions
+// ------------------------------------------------------------------------------------
+//
+// `withTransaction(fn)` runs fn(session) in a MongoDB transaction, so that e.g. a new
+// user, their verification code and the queued email are saved together or not at all.
+// Transactions need a replica set (or a sharded cluster). On a standalone server fn runs
+// with `session = null` and the writes happen one after another, as before.
+//
+// fn may be run again if the transaction hits a transient error, so it must only write
+// through `session` and must not have other side effects.
+
+import mongoose from "mongoose";
+
+let transactionsSupported = null;
+
+const supportsTransactions = async () => {
+    if (transactionsSupported === null) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        transactionsSupported = Boolean(hello.setName) || hello.msg === "isdbgrid";
+
+        if (!transactionsSupported) {
+            console.warn("⚠️ MongoDB is a standalone server; related writes are not made atomic (use a replica set for transactions)");
+        }
+    }
+    return transactionsSupported;
+};
+
+export const withTransaction = async (fn) => {
+    if (!(await supportsTransactions())) {
+        return fn(null);
+    }
+    return mongoose.connection.transaction((session) => fn(session));
+};
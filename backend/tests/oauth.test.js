@@ -0,0 +1,201 @@
+// ------------------------------------------------------------------------------------
+// 🧪 "Continue with ..." login against the local mock OpenID Connect provider
+// ------------------------------------------------------------------------------------
+//
+// Drives /oauth/:provider → mock /authorize → /oauth/:provider/callback like a browser.
+// The rejections (PKCE, state, nonce, unverified email) are decided before the database
+// is touched and always run. The successful login needs MongoDB: set MONGODB_TEST_URI
+// (a database the test may write to), otherwise that test is skipped.
+//
+// Run with: npm test
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+import { startMockOidcProvider } from "../scripts/mockOidcProvider.js";
+
+const CLIENT_URL = "http://client.test";
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+let provider;
+let server;
+let appUrl;
+
+before(async () => {
+    provider = await startMockOidcProvider();
+
+    Object.assign(process.env, {
+        JWT_SECRET: "test-jwt-secret",
+        CLIENT_URL,
+        RATE_LIMIT_STORE: "memory",
+        EMAIL_SERVICE: "json",
+        OAUTH_PROVIDERS: "mock",
+        OAUTH_MOCK_ISSUER: provider.issuer,
+        OAUTH_MOCK_CLIENT_ID: "mock-client",
+        OAUTH_MOCK_CLIENT_SECRET: "mock-secret",
+    });
+
+    if (MONGODB_TEST_URI) {
+        await mongoose.connect(MONGODB_TEST_URI);
+    } else {
+        // Without a database, writes (e.g. audit events) fail right away instead of waiting
+        mongoose.set("bufferCommands", false);
+    }
+
+    const { default: app } = await import("../src/app.js");
+    server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    appUrl = `http://localhost:${server.address().port}`;
+    process.env.SERVER_URL = appUrl;
+});
+
+after(async () => {
+    server?.closeAllConnections();
+    await new Promise((resolve) => (server ? server.close(resolve) : resolve()));
+    await provider?.close();
+    await mongoose.disconnect();
+});
+
+// 1. Start the login: returns the flow cookie and the parameters sent to the provider
+const startFlow = async () => {
+    const response = await fetch(`${appUrl}/api/v1/auth/oauth/mock`, { redirect: "manual" });
+    assert.equal(response.status, 302);
+
+    const authorizeUrl = new URL(response.headers.get("location"));
+    assert.equal(authorizeUrl.origin, provider.issuer);
+
+    const cookie = response.headers.getSetCookie().find((value) => value.startsWith("oauthFlow="));
+    assert.ok(cookie, "the flow cookie is set");
+
+    return {
+        cookie: cookie.split(";")[0],
+        params: Object.fromEntries(authorizeUrl.searchParams),
+    };
+};
+
+// 2. Submit the consent form; returns the callback URL the provider redirects to
+const consent = async (params, overrides = {}) => {
+    const response = await fetch(`${provider.issuer}/authorize`, {
+        method: "POST",
+        body: new URLSearchParams({
+            ...params,
+            email: `oauth-${crypto.randomBytes(6).toString("hex")}@example.com`,
+            name: "OAuth Test",
+            email_verified: "on",
+            decision: "allow",
+            ...overrides,
+        }),
+        redirect: "manual",
+    });
+    assert.equal(response.status, 302);
+
+    return new URL(response.headers.get("location"));
+};
+
+// 3. Follow the redirect back to the app with the flow cookie
+const callback = async (callbackUrl, cookie) => {
+    const response = await fetch(callbackUrl, {
+        headers: cookie ? { cookie } : {},
+        redirect: "manual",
+    });
+    assert.equal(response.status, 302);
+
+    const location = new URL(response.headers.get("location"));
+    return { response, location, error: location.searchParams.get("error") };
+};
+
+test("start binds the flow to the browser with PKCE (S256), state and nonce", async () => {
+    const { cookie, params } = await startFlow();
+    const flow = jwt.verify(decodeURIComponent(cookie.slice("oauthFlow=".length)), process.env.JWT_SECRET);
+
+    assert.equal(params.response_type, "code");
+    assert.equal(params.redirect_uri, `${appUrl}/api/v1/auth/oauth/mock/callback`);
+    assert.equal(params.code_challenge_method, "S256");
+    assert.equal(
+        params.code_challenge,
+        crypto.createHash("sha256").update(flow.codeVerifier).digest("base64url")
+    );
+    assert.equal(params.state, flow.state);
+    assert.equal(params.nonce, flow.nonce);
+});
+
+test("a code issued for another flow fails PKCE at the provider", async () => {
+    const victim = await startFlow();
+    const attacker = await startFlow();
+
+    // The code is bound to the victim's code_challenge but arrives with the attacker's
+    // cookie and state, so the app sends the attacker's verifier with it
+    const callbackUrl = await consent({ ...victim.params, state: attacker.params.state });
+    const { error } = await callback(callbackUrl, attacker.cookie);
+
+    assert.equal(error, "oauth_failed");
+});
+
+test("a callback whose state doesn't match the cookie is rejected", async () => {
+    const { cookie, params } = await startFlow();
+    const callbackUrl = await consent(params);
+    callbackUrl.searchParams.set("state", "forged-state");
+
+    const { error } = await callback(callbackUrl, cookie);
+    assert.equal(error, "oauth_failed");
+});
+
+test("a callback without the flow cookie is rejected", async () => {
+    const { params } = await startFlow();
+    const callbackUrl = await consent(params);
+
+    const { error } = await callback(callbackUrl, null);
+    assert.equal(error, "oauth_expired");
+});
+
+test("an ID token with another nonce is rejected", async () => {
+    const { cookie, params } = await startFlow();
+    const callbackUrl = await consent({ ...params, nonce: "replayed-nonce" });
+
+    const { error } = await callback(callbackUrl, cookie);
+    assert.equal(error, "oauth_failed");
+});
+
+test("an email the provider hasn't verified is rejected", async () => {
+    const { cookie, params } = await startFlow();
+    const callbackUrl = await consent(params, { email_verified: "off" });
+
+    const { error } = await callback(callbackUrl, cookie);
+    assert.equal(error, "oauth_email_unverified");
+});
+
+test("declining consent returns to the login page", async () => {
+    const { cookie, params } = await startFlow();
+    const callbackUrl = await consent(params, { decision: "deny" });
+
+    const { error } = await callback(callbackUrl, cookie);
+    assert.equal(error, "oauth_cancelled");
+});
+
+test("a verified email signs in and creates the account", { skip: !MONGODB_TEST_URI && "MONGODB_TEST_URI is not set" }, async () => {
+    const { User } = await import("../src/models/user.model.js");
+    const { deleteUserAccount } = await import("../src/utils/accountDeletion.js");
+
+    const email = `oauth-${crypto.randomBytes(6).toString("hex")}@example.com`;
+    const { cookie, params } = await startFlow();
+    const callbackUrl = await consent(params, { email });
+    const { response, location, error } = await callback(callbackUrl, cookie);
+
+    assert.equal(error, null);
+    assert.equal(location.origin, CLIENT_URL);
+
+    const cookies = response.headers.getSetCookie().map((value) => value.split("=")[0]);
+    assert.ok(cookies.includes("token"), "access token cookie is set");
+    assert.ok(cookies.includes("refreshToken"), "refresh token cookie is set");
+
+    const user = await User.findOne({ email });
+    assert.ok(user, "the account exists");
+    assert.equal(user.isVerified, true);
+    assert.equal(user.oauthAccounts[0].provider, "mock");
+
+    await deleteUserAccount(user);
+});
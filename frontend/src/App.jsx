@@ -3,7 +3,7 @@
 // -------------------- Import Section --------------------
 
 // React Router: for routing and navigation
-import { Route, Routes, Navigate } from "react-router-dom";
+import { Route, Routes, Navigate, useLocation } from "react-router-dom";
 
 // Toast notifications for user feedback
 import { Toaster } from "react-hot-toast";
@@ -21,6 +21,11 @@ import EmailVerificationPage from "./pages/EmailVerificationPage";
 import HomePage from "./pages/HomePage";
 import ForgotPasswordPage from "./pages/ForgotPasswordPage";
 import ResetPasswordPage from "./pages/ResetPasswordPage";
+import ExpiredPasswordPage from "./pages/ExpiredPasswordPage";
+import PasswordlessLoginPage from "./pages/PasswordlessLoginPage";
+import ConsentPage from "./pages/ConsentPage";
+import UnlockAccountPage from "./pages/UnlockAccountPage";
+import EmailChangePage from "./pages/EmailChangePage";
 
 // Auth state management (Zustand store)
 import { useAuthStore } from "./store/auth.store";
@@ -38,6 +43,9 @@ const ProtectedRoute = ({ children }) => {
   // Destructure authentication state from the auth store
   const { isAuthenticated, user, isCheckingAuth } = useAuthStore();
 
+  // Remember where the user was going so login can send them back
+  const location = useLocation();
+
   // Show loading spinner while checking authentication status
   if (isCheckingAuth) {
     return <LoadingSpinner />;
@@ -45,7 +53,7 @@ const ProtectedRoute = ({ children }) => {
 
   // If the user is not authenticated, redirect to login page
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to="/login" replace state={{ from: location }} />;
   }
 
   // If the user is authenticated but not verified, redirect to email verification page
@@ -65,9 +73,13 @@ const RedirectAuthenticatedUser = ({ children }) => {
   // Destructure authentication state from the auth store
   const { isAuthenticated, user } = useAuthStore();
 
-  // If the user is already logged in and verified, redirect to home page
+  // Page the user was on before being sent to login (see ProtectedRoute)
+  const location = useLocation();
+  const from = location.state?.from;
+
+  // If the user is already logged in and verified, redirect to that page or home
   if (isAuthenticated && user?.isVerified) {
-    return <Navigate to="/" replace />;
+    return <Navigate to={from ? `${from.pathname}${from.search}` : "/"} replace />;
   }
 
   // Otherwise, render the intended public page
@@ -150,6 +162,16 @@ function App() {
           }
         />
 
+        {/* OpenID Connect consent: another app asks to sign the user in */}
+        <Route
+          path="/consent"
+          element={
+            <ProtectedRoute>
+              <ConsentPage />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Sign up page: redirect verified users to home */}
         <Route
           path="/signup"
@@ -199,6 +221,54 @@ function App() {
             </RedirectAuthenticatedUser>
           }
         />
+
+        {/* Expired password: the login continues here until a new password is set */}
+        <Route
+          path="/password-expired"
+          element={
+            <RedirectAuthenticatedUser>
+              <ExpiredPasswordPage />
+            </RedirectAuthenticatedUser>
+          }
+        />
+
+        {/* Unlock account: opened from the "account locked" email */}
+        <Route
+          path="/unlock-account/:token"
+          element={
+            <RedirectAuthenticatedUser>
+              <UnlockAccountPage />
+            </RedirectAuthenticatedUser>
+          }
+        />
+
+        {/* Email change links: confirm from the new address, revert from the old one */}
+        <Route
+          path="/confirm-email-change/:token"
+          element={<EmailChangePage mode="confirm" />}
+        />
+        <Route
+          path="/revert-email-change/:token"
+          element={<EmailChangePage mode="revert" />}
+        />
+
+        {/* Passwordless sign-in: request a link/code, or complete via emailed link */}
+        <Route
+          path="/passwordless"
+          element={
+            <RedirectAuthenticatedUser>
+              <PasswordlessLoginPage />
+            </RedirectAuthenticatedUser>
+          }
+        />
+        <Route
+          path="/passwordless/:token"
+          element={
+            <RedirectAuthenticatedUser>
+              <PasswordlessLoginPage />
+            </RedirectAuthenticatedUser>
+          }
+        />
       </Routes>
 
       {/* Global toast notifications for success/error messages */}
@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { Lock } from "lucide-react";
+import Input from "./Input";
+import { useAuthStore } from "../store/auth.store";
+import { formatDate } from "../utils/date";
+
+/**
+ * Dashboard section to download the account's data and to delete the account.
+ * Deletion is scheduled (and can be cancelled) until the grace period is over.
+ */
+const AccountDataSettings = () => {
+  const {
+    user,
+    isLoading,
+    exportMyData,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+  } = useAuthStore();
+
+  const [password, setPassword] = useState("");
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+
+    await requestAccountDeletion(password);
+    setPassword("");
+  };
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold text-green-400 mb-3">
+        Your Data
+      </h3>
+      <button
+        onClick={exportMyData}
+        disabled={isLoading}
+        className="text-sm text-green-400 hover:underline"
+      >
+        Download my data (JSON)
+      </button>
+
+      <h3 className="text-xl font-semibold text-red-400 mt-5 mb-3">
+        Delete Account
+      </h3>
+      {user?.deletionScheduledAt ? (
+        <>
+          <p className="text-sm text-gray-300 mb-3">
+            Your account will be deleted on{" "}
+            <span className="text-red-300">
+              {formatDate(user.deletionScheduledAt)}
+            </span>
+            .
+          </p>
+          <button
+            onClick={cancelAccountDeletion}
+            disabled={isLoading}
+            className="text-sm text-green-400 hover:underline"
+          >
+            Cancel deletion
+          </button>
+        </>
+      ) : (
+        <form onSubmit={handleDelete}>
+          <p className="text-sm text-gray-300 mb-3">
+            Your account and its data will be removed after a grace period,
+            during which you can still cancel.
+          </p>
+          <Input
+            icon={Lock}
+            type="password"
+            autoComplete="current-password"
+            placeholder="Current Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={isLoading}
+            showPasswordIcon={true}
+            required
+          />
+          <button
+            type="submit"
+            disabled={isLoading || !password}
+            className="text-sm text-red-400 hover:underline"
+          >
+            Delete my account
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AccountDataSettings;
@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { Lock, Mail } from "lucide-react";
+import Input from "./Input";
+import { useAuthStore } from "../store/auth.store";
+
+/**
+ * Dashboard section to change the account's email address.
+ * The address only changes after the link sent to the new address is confirmed.
+ */
+const ChangeEmailForm = () => {
+  const { user, isLoading, requestEmailChange } = useAuthStore();
+
+  const [newEmail, setNewEmail] = useState("");
+  const [password, setPassword] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const isSuccess = await requestEmailChange(newEmail, password);
+    if (isSuccess) {
+      setNewEmail("");
+    }
+    setPassword("");
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h3 className="text-xl font-semibold text-green-400 mb-3">
+        Change Email
+      </h3>
+      {user?.pendingEmail && (
+        <p className="text-sm text-gray-300 mb-3">
+          Waiting for confirmation of{" "}
+          <span className="text-green-300">{user.pendingEmail}</span>. Check
+          that inbox for the link.
+        </p>
+      )}
+      <Input
+        icon={Mail}
+        type="email"
+        placeholder="New Email Address"
+        value={newEmail}
+        onChange={(e) => setNewEmail(e.target.value)}
+        disabled={isLoading}
+        required
+      />
+      <Input
+        icon={Lock}
+        type="password"
+        autoComplete="current-password"
+        placeholder="Current Password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        disabled={isLoading}
+        showPasswordIcon={true}
+        required
+      />
+      <button
+        type="submit"
+        disabled={isLoading || !newEmail || !password}
+        className="text-sm text-green-400 hover:underline"
+      >
+        Send confirmation link
+      </button>
+    </form>
+  );
+};
+
+export default ChangeEmailForm;
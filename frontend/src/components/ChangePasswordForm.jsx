@@ -0,0 +1,88 @@
+import { useState } from "react";
+import { Lock } from "lucide-react";
+import Input from "./Input";
+import PasswordStrengthMeter from "./PasswordStrengthMeter";
+import { useAuthStore } from "../store/auth.store";
+
+/**
+ * Dashboard section to change the password while logged in.
+ * Requires the current password; other devices are signed out on success.
+ */
+const ChangePasswordForm = () => {
+  const { isLoading, changePassword, getSessions } = useAuthStore();
+
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
+  const passwordsMatch = newPassword === confirmPassword;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passwordsMatch) return;
+
+    const isSuccess = await changePassword(currentPassword, newPassword);
+    if (isSuccess) {
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+
+      // Other sessions were revoked by the backend
+      getSessions();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h3 className="text-xl font-semibold text-green-400 mb-3">
+        Change Password
+      </h3>
+      <Input
+        icon={Lock}
+        type="password"
+        autoComplete="current-password"
+        placeholder="Current Password"
+        value={currentPassword}
+        onChange={(e) => setCurrentPassword(e.target.value)}
+        disabled={isLoading}
+        showPasswordIcon={true}
+        required
+      />
+      <Input
+        icon={Lock}
+        type="password"
+        autoComplete="new-password"
+        placeholder="New Password"
+        value={newPassword}
+        onChange={(e) => setNewPassword(e.target.value)}
+        disabled={isLoading}
+        showPasswordIcon={true}
+        required
+      />
+      <Input
+        icon={Lock}
+        type="password"
+        autoComplete="new-password"
+        placeholder="Confirm New Password"
+        value={confirmPassword}
+        onChange={(e) => setConfirmPassword(e.target.value)}
+        disabled={isLoading}
+        showPasswordIcon={true}
+        required
+      />
+      {!passwordsMatch && confirmPassword && (
+        <p className="text-red-500 text-sm -mt-4 mb-4">Passwords do not match</p>
+      )}
+      {newPassword && <PasswordStrengthMeter password={newPassword} />}
+      <button
+        type="submit"
+        disabled={isLoading || !currentPassword || newPassword.length < 8 || !passwordsMatch}
+        className="mt-4 text-sm text-green-400 hover:underline"
+      >
+        Change password
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
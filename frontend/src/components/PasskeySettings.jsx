@@ -0,0 +1,108 @@
+import { useEffect, useState } from "react";
+import { Fingerprint, KeyRound, Lock } from "lucide-react";
+import Input from "./Input";
+import { useAuthStore } from "../store/auth.store";
+import { formatDate } from "../utils/date";
+
+/**
+ * Dashboard section listing the user's passkeys, with options to add
+ * a passkey on this device or remove an existing one.
+ *
+ * Adding a passkey asks for the password (and an authentication code when 2FA is on).
+ */
+const PasskeySettings = () => {
+  const { user, passkeys, isLoading, getPasskeys, registerPasskey, deletePasskey } =
+    useAuthStore();
+
+  // Label for the next passkey (e.g. "Work laptop")
+  const [name, setName] = useState("");
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+
+  const needsCode = user?.twoFactor?.enabled;
+
+  // Load the user's passkeys when the section mounts
+  useEffect(() => {
+    getPasskeys();
+  }, [getPasskeys]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const isSuccess = await registerPasskey(name, password, code);
+    if (isSuccess) setName("");
+    setPassword("");
+    setCode("");
+  };
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold text-green-400 mb-3">Passkeys</h3>
+
+      <ul className="space-y-2 mb-4">
+        {passkeys.map((passkey) => (
+          <li
+            key={passkey._id}
+            className="flex justify-between items-center text-gray-300"
+          >
+            <div>
+              <p className="font-bold">{passkey.name}</p>
+              <p className="text-xs text-gray-400">
+                Added {formatDate(passkey.createdAt)}
+                {passkey.lastUsedAt &&
+                  ` · Last used ${formatDate(passkey.lastUsedAt)}`}
+              </p>
+            </div>
+            <button
+              onClick={() => deletePasskey(passkey._id)}
+              disabled={isLoading}
+              className="text-sm text-red-400 hover:underline"
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd}>
+        <Input
+          icon={Fingerprint}
+          type="text"
+          placeholder="Passkey name (optional)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          disabled={isLoading}
+        />
+        <Input
+          icon={Lock}
+          type="password"
+          placeholder="Current Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={isLoading}
+          showPasswordIcon={true}
+        />
+        {needsCode && (
+          <Input
+            icon={KeyRound}
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="Authentication Code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={isLoading}
+          />
+        )}
+        <button
+          type="submit"
+          disabled={isLoading || !password || (needsCode && !code)}
+          className="text-sm text-green-400 hover:underline"
+        >
+          Add a passkey on this device
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PasskeySettings;
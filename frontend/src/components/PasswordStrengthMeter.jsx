@@ -1,4 +1,9 @@
-import { Check, X } from "lucide-react"; // Importing check and X icons for visual feedback
+import { useEffect, useState } from "react";
+import { AlertTriangle, Check, X } from "lucide-react"; // Importing check and X icons for visual feedback
+import { useAuthStore } from "../store/auth.store";
+
+// Wait until the user pauses typing before asking the server
+const BREACH_CHECK_DELAY_MS = 500;
 /**
  * PasswordCriteria Component
  * Displays individual password rules and whether they're met, with icons.
@@ -46,6 +51,32 @@ const PasswordCriteria = ({ password }) => {
  * - password: the current password string to evaluate
  */
 const PasswordStrengthMeter = ({ password }) => {
+  const checkPasswordBreach = useAuthStore((state) => state.checkPasswordBreach);
+
+  // Result of the breached-password check for `checkedPassword` (null = unknown)
+  const [breach, setBreach] = useState({ checkedPassword: "", compromised: null });
+
+  /**
+   * Debounced breached-password check (only once the minimum length is reached)
+   */
+  useEffect(() => {
+    if (password.length < 8) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const compromised = await checkPasswordBreach(password);
+      // Ignore answers for a password the user has already changed
+      if (!cancelled) setBreach({ checkedPassword: password, compromised });
+    }, BREACH_CHECK_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [password, checkPasswordBreach]);
+
+  const isCompromised = breach.checkedPassword === password && breach.compromised === true;
+
   /**
    * Calculate password strength score (0 to 4)
    */
@@ -105,6 +136,16 @@ const PasswordStrengthMeter = ({ password }) => {
         ))}
       </div>
 
+      {/* Warning when the password is known from a data breach */}
+      {isCompromised && (
+        <div className="flex items-center text-xs mt-2">
+          <AlertTriangle className="size-4 text-red-500 mr-2" />
+          <span className="text-red-500">
+            This password has appeared in a data breach. Please choose another.
+          </span>
+        </div>
+      )}
+
       {/* Display criteria checklist */}
       <PasswordCriteria password={password} />
     </div>
@@ -0,0 +1,161 @@
+import { useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { User, UserCircle } from "lucide-react";
+import Input from "./Input";
+import { useAuthStore } from "../store/auth.store";
+
+const AVATAR_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024; // Keep in sync with AVATAR_MAX_SIZE_KB on the server
+
+const LOCALES = [
+  { value: "en", label: "English" },
+  { value: "ar", label: "العربية" },
+];
+
+const TIMEZONES = Intl.supportedValuesOf?.("timeZone") ?? [];
+
+const selectClassName =
+  "w-full mb-6 px-3 py-2 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700 focus:border-green-500 focus:ring-2 focus:ring-green-500 text-white transition duration-200";
+
+/**
+ * Dashboard section to edit the profile (name, display name, timezone, locale)
+ * and to upload or remove the avatar.
+ */
+const ProfileSettings = () => {
+  const { user, isLoading, updateProfile, uploadAvatar, removeAvatar } =
+    useAuthStore();
+
+  const [name, setName] = useState(user?.name || "");
+  const [displayName, setDisplayName] = useState(user?.displayName || "");
+  const [timezone, setTimezone] = useState(user?.timezone || "");
+  const [locale, setLocale] = useState(user?.locale || "");
+  const fileInputRef = useRef(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    await updateProfile({ name, displayName, timezone, locale });
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    // Quick checks before uploading; the server validates the image again
+    if (!AVATAR_TYPES.includes(file.type)) {
+      toast.error("Please choose a JPEG, PNG, WebP or GIF image.");
+      return;
+    }
+    if (file.size > AVATAR_MAX_BYTES) {
+      toast.error("Avatar must be smaller than 2 MB.");
+      return;
+    }
+
+    await uploadAvatar(file);
+  };
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold text-green-400 mb-3">
+        Edit Profile
+      </h3>
+
+      <div className="flex items-center gap-4 mb-6">
+        {user?.avatar?.urls?.medium ? (
+          <img
+            src={user.avatar.urls.medium}
+            alt="Avatar"
+            className="size-16 rounded-full object-cover border border-gray-700"
+          />
+        ) : (
+          <UserCircle className="size-16 text-gray-500" />
+        )}
+        <div className="flex flex-col items-start gap-1">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isLoading}
+            className="text-sm text-green-400 hover:underline"
+          >
+            Upload new photo
+          </button>
+          {user?.avatar && (
+            <button
+              type="button"
+              onClick={removeAvatar}
+              disabled={isLoading}
+              className="text-sm text-red-400 hover:underline"
+            >
+              Remove photo
+            </button>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={AVATAR_TYPES.join(",")}
+            onChange={handleAvatarChange}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <Input
+          icon={User}
+          type="text"
+          placeholder="Full Name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          disabled={isLoading}
+          maxLength={100}
+          required
+        />
+        <Input
+          icon={UserCircle}
+          type="text"
+          placeholder="Display Name (optional)"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          disabled={isLoading}
+          maxLength={50}
+        />
+        <select
+          value={timezone}
+          onChange={(e) => setTimezone(e.target.value)}
+          disabled={isLoading}
+          className={selectClassName}
+        >
+          <option value="">Timezone: not set</option>
+          {TIMEZONES.map((zone) => (
+            <option key={zone} value={zone}>
+              {zone}
+            </option>
+          ))}
+        </select>
+        <select
+          value={locale}
+          onChange={(e) => setLocale(e.target.value)}
+          disabled={isLoading}
+          className={selectClassName}
+        >
+          <option value="">Language: not set</option>
+          {LOCALES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={isLoading || !name.trim()}
+          className="text-sm text-green-400 hover:underline"
+        >
+          Save profile
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ProfileSettings;
@@ -0,0 +1,176 @@
+import { useState } from "react";
+import { KeyRound, Lock } from "lucide-react";
+import Input from "./Input";
+import { useAuthStore } from "../store/auth.store";
+
+/**
+ * Dashboard section to enable or disable TOTP two-factor authentication
+ * and to regenerate recovery codes.
+ *
+ * Flow when 2FA is off: "Enable" -> show secret -> confirm with first code -> show recovery codes.
+ * When 2FA is on: a code (and password for disabling) is needed for every change.
+ */
+const TwoFactorSettings = () => {
+  const {
+    user,
+    isLoading,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+  } = useAuthStore();
+
+  // Secret and URI returned by the setup step (null until enrollment starts)
+  const [setup, setSetup] = useState(null);
+
+  // Recovery codes are shown only once, right after they are generated
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+
+  const isEnabled = user?.twoFactor?.enabled;
+
+  const handleStart = async () => {
+    const result = await setupTwoFactor();
+    if (result) setSetup(result);
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const codes = await enableTwoFactor(code);
+    if (codes) {
+      setSetup(null);
+      setRecoveryCodes(codes);
+    }
+    setCode("");
+  };
+
+  const handleDisable = async () => {
+    const isSuccess = await disableTwoFactor(password, code);
+    if (isSuccess) setRecoveryCodes(null);
+    setCode("");
+    setPassword("");
+  };
+
+  const handleRegenerate = async () => {
+    const codes = await regenerateRecoveryCodes(code);
+    if (codes) setRecoveryCodes(codes);
+    setCode("");
+  };
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold text-green-400 mb-3">
+        Two-Factor Authentication
+      </h3>
+
+      {/* One-time display of recovery codes */}
+      {recoveryCodes && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-300 mb-2">
+            Save these recovery codes. Each can be used once if you lose your
+            authenticator app:
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-green-300">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!isEnabled && !setup && (
+        <>
+          <p className="text-gray-300 mb-3">Status: Disabled</p>
+          <button
+            onClick={handleStart}
+            disabled={isLoading}
+            className="text-sm text-green-400 hover:underline"
+          >
+            Enable two-factor authentication
+          </button>
+        </>
+      )}
+
+      {/* Enrollment: show the secret, then confirm with the first code */}
+      {!isEnabled && setup && (
+        <form onSubmit={handleEnable}>
+          <p className="text-sm text-gray-300 mb-2">
+            Add this key to your authenticator app, then enter the 6-digit code
+            it shows:
+          </p>
+          <p className="font-mono text-sm text-green-300 break-all mb-2">
+            {setup.secret}
+          </p>
+          <a
+            href={setup.otpauthUri}
+            className="block text-xs text-gray-400 hover:underline mb-4"
+          >
+            Open in authenticator app
+          </a>
+          <Input
+            icon={KeyRound}
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="Authentication Code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={isLoading}
+          />
+          <button
+            type="submit"
+            disabled={isLoading || !code}
+            className="text-sm text-green-400 hover:underline"
+          >
+            Confirm and enable
+          </button>
+        </form>
+      )}
+
+      {isEnabled && (
+        <>
+          <p className="text-gray-300 mb-3">Status: Enabled</p>
+          <Input
+            icon={KeyRound}
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="Authentication Code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={isLoading}
+          />
+          <Input
+            icon={Lock}
+            type="password"
+            placeholder="Password (required to disable)"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={isLoading}
+            showPasswordIcon={true}
+          />
+          <div className="flex justify-between">
+            <button
+              onClick={handleRegenerate}
+              disabled={isLoading || !code}
+              className="text-sm text-green-400 hover:underline"
+            >
+              New recovery codes
+            </button>
+            <button
+              onClick={handleDisable}
+              disabled={isLoading || !code || !password}
+              className="text-sm text-red-400 hover:underline"
+            >
+              Disable
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
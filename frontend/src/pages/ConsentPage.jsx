@@ -0,0 +1,107 @@
+import { motion } from "framer-motion";
+import { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
+import { Loader, ShieldCheck } from "lucide-react";
+import { useAuthStore } from "../store/auth.store";
+
+// Human-readable description of each OpenID Connect scope
+const SCOPE_DESCRIPTIONS = {
+  openid: "Confirm your identity",
+  profile: "See your name",
+  email: "See your email address and whether it is verified",
+};
+
+/**
+ * ConsentPage asks the logged-in user whether another application may
+ * sign them in with this account (OpenID Connect authorization request).
+ */
+const ConsentPage = () => {
+  const [searchParams] = useSearchParams();
+  const request = searchParams.get("request");
+  const [details, setDetails] = useState(null);
+  const { user, isLoading, error, getConsentDetails, submitConsent } =
+    useAuthStore();
+
+  // Load the requesting application and scopes
+  useEffect(() => {
+    const loadDetails = async () => {
+      setDetails(await getConsentDetails(request));
+    };
+
+    loadDetails();
+  }, [request, getConsentDetails]);
+
+  // Send the browser back to the application with a code (or an error)
+  const handleDecision = async (approve) => {
+    const redirectTo = await submitConsent(request, approve);
+    if (redirectTo) {
+      window.location.assign(redirectTo);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8">
+        <h2 className="text-3xl font-bold mb-6 text-center bg-gradient-to-r from-green-400 to-emerald-500 text-transparent bg-clip-text">
+          Sign In Request
+        </h2>
+
+        {!details ? (
+          <div className="text-center text-gray-300">
+            {isLoading ? (
+              <Loader className="size-8 animate-spin mx-auto" />
+            ) : (
+              <p>{error || "This sign-in request is invalid or has expired."}</p>
+            )}
+          </div>
+        ) : (
+          <>
+            <p className="text-gray-300 mb-4 text-center">
+              <span className="font-bold text-white">{details.client.name}</span>{" "}
+              wants to sign you in as{" "}
+              <span className="font-bold text-white">{user?.email}</span>.
+            </p>
+
+            <p className="text-gray-300 mb-2">It will be able to:</p>
+            <ul className="mb-6 space-y-2">
+              {details.scopes.map((scope) => (
+                <li key={scope} className="flex items-center text-gray-300">
+                  <ShieldCheck className="size-4 text-green-500 mr-2" />
+                  {SCOPE_DESCRIPTIONS[scope] || scope}
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex gap-4">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="w-full py-3 px-4 bg-gray-700 text-white font-bold rounded-lg shadow-lg hover:bg-gray-600 transition duration-200"
+                onClick={() => handleDecision(false)}
+                disabled={isLoading}
+              >
+                Deny
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="w-full py-3 px-4 bg-gradient-to-r from-green-500 to-emerald-600 text-white font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 transition duration-200"
+                onClick={() => handleDecision(true)}
+                disabled={isLoading}
+              >
+                Allow
+              </motion.button>
+            </div>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default ConsentPage;
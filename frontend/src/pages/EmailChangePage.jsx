@@ -0,0 +1,95 @@
+import { motion } from "framer-motion";
+import { useState, useEffect, useRef } from "react";
+import { useAuthStore } from "../store/auth.store";
+import { ArrowLeft, Loader, Mail, ShieldAlert } from "lucide-react";
+import { Link, useParams } from "react-router-dom";
+
+/**
+ * EmailChangePage handles both links of an email change:
+ * - mode "confirm": opened from the new address (`/confirm-email-change/:token`)
+ * - mode "revert": "this wasn't me", opened from the old address (`/revert-email-change/:token`)
+ */
+const EmailChangePage = ({ mode }) => {
+  const [isDone, setIsDone] = useState(false);
+  const { isLoading, isAuthenticated, confirmEmailChange, revertEmailChange } =
+    useAuthStore();
+  const { token } = useParams();
+
+  // Links are single-use: make sure React's dev double-effect doesn't send it twice
+  const hasUsedLink = useRef(false);
+
+  const isRevert = mode === "revert";
+
+  // -------------------- Effects --------------------
+
+  useEffect(() => {
+    if (hasUsedLink.current) return;
+    hasUsedLink.current = true;
+
+    const followLink = async () => {
+      const action = isRevert ? revertEmailChange : confirmEmailChange;
+      setIsDone(await action(token));
+    };
+
+    followLink();
+  }, [token, isRevert, confirmEmailChange, revertEmailChange]);
+
+  const Icon = isRevert ? ShieldAlert : Mail;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8">
+        <h2 className="text-3xl font-bold mb-6 text-center bg-gradient-to-r from-green-400 to-emerald-500 text-transparent bg-clip-text">
+          {isRevert ? "Cancel Email Change" : "Confirm New Email"}
+        </h2>
+
+        <div className="text-center text-gray-300">
+          {isLoading ? (
+            <Loader className="size-8 animate-spin mx-auto" />
+          ) : isDone ? (
+            <>
+              <motion.div
+                initial={{ scale: 0 }}
+                animate={{ scale: 1 }}
+                transition={{ type: "spring", stiffness: 500, damping: 30 }}
+                className="w-16 h-16 bg-green-500 rounded-full flex items-center justify-center mx-auto mb-4"
+              >
+                <Icon className="h-8 w-8 text-white" />
+              </motion.div>
+              {isRevert ? (
+                <p>
+                  The email change was cancelled and every device was signed
+                  out. We recommend{" "}
+                  <Link to="/forgot-password" className="text-green-400 hover:underline">
+                    resetting your password
+                  </Link>
+                  .
+                </p>
+              ) : (
+                <p>Your email address has been changed.</p>
+              )}
+            </>
+          ) : (
+            <p>This link is invalid or has expired.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
+        <Link
+          to={isAuthenticated ? "/" : "/login"}
+          className="text-sm text-green-400 hover:underline flex items-center"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" />{" "}
+          {isAuthenticated ? "Back to Dashboard" : "Back to Login"}
+        </Link>
+      </div>
+    </motion.div>
+  );
+};
+export default EmailChangePage;
@@ -3,7 +3,7 @@
 // -------------------- Import Section --------------------
 
 import { useState, useRef, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Navigate, useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import { useAuthStore } from "../store/auth.store";
 import toast from "react-hot-toast";
@@ -16,10 +16,30 @@ const EmailVerificationPage = () => {
   const inputRefs = useRef([]);
   const navigate = useNavigate();
   const [err, setErr] = useState(null);
-  const { verifyEmail, isLoading, error, success } = useAuthStore();
+  const { verifyEmail, resendVerification, pendingVerification, user, isLoading, error, success } =
+    useAuthStore();
 
   const lastAttemptedCode = useRef(""); // Prevent auto-resubmit for wrong code
 
+  // Account being verified: just signed up, or sent here by the login page
+  const email = pendingVerification?.email || user?.email;
+
+  // Seconds until "Resend code" can be used again (ticks down every second)
+  const resendAvailableAt = pendingVerification?.resendAvailableAt || 0;
+  const [now, setNow] = useState(Date.now());
+  const resendIn = Math.max(0, Math.ceil((resendAvailableAt - now) / 1000));
+
+  useEffect(() => {
+    setNow(Date.now());
+    if (resendAvailableAt <= Date.now()) return;
+
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= resendAvailableAt) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [resendAvailableAt]);
+
   // -------------------- Event Handlers --------------------
 
   const handleSubmit = async (e) => {
@@ -44,6 +64,17 @@ const EmailVerificationPage = () => {
     }
   };
 
+  const handleResend = async () => {
+    setErr(null);
+    const isSuccess = await resendVerification();
+    if (isSuccess) {
+      // A new code replaces the old one, so the same digits may be tried again
+      lastAttemptedCode.current = "";
+      setCode(["", "", "", "", "", ""]);
+      inputRefs.current[0]?.focus();
+    }
+  };
+
   const handleChange = (index, value) => {
     // Only allow digits
     if (!/^\d*$/.test(value)) return;
@@ -115,6 +146,11 @@ const EmailVerificationPage = () => {
 
   // -------------------- JSX Structure --------------------
 
+  // Nothing to verify without knowing the account (e.g. opened directly): log in first
+  if (!email) {
+    return <Navigate to="/login" replace />;
+  }
+
   return (
     <div className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden">
       <motion.div
@@ -128,7 +164,8 @@ const EmailVerificationPage = () => {
         </h2>
 
         <p className="text-center text-gray-300 mb-6">
-          Enter The 6-Digit Code Sent To Your Email
+          Enter The 6-Digit Code Sent To{" "}
+          <span className="text-green-400 font-semibold">{email}</span>
         </p>
 
         <form onSubmit={handleSubmit} className="space-y-6">
@@ -170,6 +207,22 @@ const EmailVerificationPage = () => {
             {isLoading ? "Verifying..." : "Verify Email"}
           </motion.button>
         </form>
+
+        <div className="mt-6 text-center text-sm text-gray-400">
+          Didn&apos;t get the code?{" "}
+          {resendIn > 0 ? (
+            <span>Resend in {resendIn}s</span>
+          ) : (
+            <button
+              type="button"
+              onClick={handleResend}
+              disabled={isLoading}
+              className="text-green-400 hover:underline disabled:opacity-50"
+            >
+              Resend code
+            </button>
+          )}
+        </div>
       </motion.div>
     </div>
   );
@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { ArrowLeft, Lock } from "lucide-react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import Input from "../components/Input";
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import { useAuthStore } from "../store/auth.store";
+
+/**
+ * ExpiredPasswordPage is where the login continues when the password is older
+ * than the maximum password age. Setting a new password finishes the login.
+ */
+const ExpiredPasswordPage = () => {
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const { changeExpiredPassword, isLoading } = useAuthStore();
+  const navigate = useNavigate();
+
+  // Page the user originally wanted (passed along from the login page); home by default
+  const location = useLocation();
+  const redirectTo = location.state?.from
+    ? `${location.state.from.pathname}${location.state.from.search}`
+    : "/";
+
+  const passwordsMatch = password === confirmPassword;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passwordsMatch) return;
+
+    const isSuccess = await changeExpiredPassword(password);
+    if (isSuccess) {
+      navigate(redirectTo);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8">
+        <h2 className="text-3xl font-bold mb-6 text-center bg-gradient-to-r from-green-400 to-emerald-500 text-transparent bg-clip-text">
+          Password Expired
+        </h2>
+        <p className="text-center text-gray-300 mb-6">
+          Your password has expired. Choose a new one to continue. It can't be
+          one you've used recently.
+        </p>
+
+        <form onSubmit={handleSubmit}>
+          <Input
+            icon={Lock}
+            type="password"
+            autoComplete="new-password"
+            placeholder="New Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+          {password && (
+            <div className="-mt-4 mb-6">
+              <PasswordStrengthMeter password={password} />
+            </div>
+          )}
+
+          <Input
+            icon={Lock}
+            type="password"
+            autoComplete="new-password"
+            placeholder="Confirm New Password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+          />
+          {!passwordsMatch && confirmPassword && (
+            <p className="text-red-500 text-sm -mt-4 mb-4">
+              Passwords do not match
+            </p>
+          )}
+
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            className="w-full py-3 px-4 bg-gradient-to-r from-green-500 to-emerald-600 text-white font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200"
+            type="submit"
+            disabled={isLoading || password.length < 8 || !passwordsMatch}
+          >
+            {isLoading ? "Saving..." : "Set New Password"}
+          </motion.button>
+        </form>
+      </div>
+
+      <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
+        <Link
+          to={"/login"}
+          className="text-sm text-green-400 hover:underline flex items-center"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" /> Back to Login
+        </Link>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ExpiredPasswordPage;
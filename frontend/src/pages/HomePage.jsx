@@ -1,12 +1,32 @@
-import React from "react";
+import React, { useEffect } from "react";
 import { useAuthStore } from "../store/auth.store";
 import { motion } from "framer-motion";
 import { formatDate } from "../utils/date";
 import { useNavigate } from "react-router-dom";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import PasskeySettings from "../components/PasskeySettings";
+import ProfileSettings from "../components/ProfileSettings";
+import ChangePasswordForm from "../components/ChangePasswordForm";
+import ChangeEmailForm from "../components/ChangeEmailForm";
+import AccountDataSettings from "../components/AccountDataSettings";
 
 const HomePage = () => {
   const navigate = useNavigate();
-  const { logout, isLoading, user } = useAuthStore();
+  const {
+    logout,
+    isLoading,
+    user,
+    sessions,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+  } = useAuthStore();
+
+  // Load the user's active sessions when the dashboard opens
+  useEffect(() => {
+    getSessions();
+  }, [getSessions]);
+
   const handleLogout = async () => {
     try {
       await logout();
@@ -37,8 +57,24 @@ const HomePage = () => {
           <h3 className="text-xl font-semibold text-green-400 mb-3">
             Profile Information
           </h3>
+          {user.avatar?.urls?.small && (
+            <img
+              src={user.avatar.urls.small}
+              alt="Avatar"
+              className="size-12 rounded-full object-cover mb-3"
+            />
+          )}
           <p className="text-gray-300">Name: {user.name}</p>
+          {user.displayName && (
+            <p className="text-gray-300">Display Name: {user.displayName}</p>
+          )}
           <p className="text-gray-300">Email: {user.email}</p>
+          {user.roles?.length > 0 && (
+            <p className="text-gray-300">Roles: {user.roles.join(", ")}</p>
+          )}
+          {user.timezone && (
+            <p className="text-gray-300">Timezone: {user.timezone}</p>
+          )}
         </motion.div>
         <motion.div
           className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
@@ -59,6 +95,104 @@ const HomePage = () => {
             {formatDate(user.lastLogin)}
           </p>
         </motion.div>
+        <motion.div
+          className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.5 }}
+        >
+          <ProfileSettings />
+        </motion.div>
+        <motion.div
+          className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.5 }}
+        >
+          <ChangePasswordForm />
+        </motion.div>
+        <motion.div
+          className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.5 }}
+        >
+          <ChangeEmailForm />
+        </motion.div>
+        <motion.div
+          className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.5 }}
+        >
+          <TwoFactorSettings />
+        </motion.div>
+        <motion.div
+          className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.5 }}
+        >
+          <PasskeySettings />
+        </motion.div>
+        <motion.div
+          className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.55 }}
+        >
+          <h3 className="text-xl font-semibold text-green-400 mb-3">
+            Active Sessions
+          </h3>
+          <ul className="space-y-2">
+            {sessions.map((session) => (
+              <li
+                key={session._id}
+                className="flex justify-between items-center text-gray-300"
+              >
+                <div>
+                  <p className="font-bold">
+                    {session.device}
+                    {session.current && (
+                      <span className="ml-2 text-xs text-green-400">
+                        (this device)
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {session.ip} · Last seen {formatDate(session.lastSeenAt)}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => revokeSession(session._id)}
+                    disabled={isLoading}
+                    className="text-sm text-red-400 hover:underline"
+                  >
+                    Sign out
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {sessions.length > 1 && (
+            <button
+              onClick={revokeOtherSessions}
+              disabled={isLoading}
+              className="mt-3 text-sm text-green-400 hover:underline"
+            >
+              Sign out all other devices
+            </button>
+          )}
+        </motion.div>
+        <motion.div
+          className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.55 }}
+        >
+          <AccountDataSettings />
+        </motion.div>
       </div>
 
       <motion.div
@@ -9,10 +9,10 @@ import { useState, useEffect } from "react";
 import { motion } from "framer-motion";
 
 // Icons used next to input fields and loading state
-import { Mail, Lock, Loader } from "lucide-react";
+import { Mail, Lock, Loader, KeyRound, Fingerprint } from "lucide-react";
 
 // React Router: for navigating programmatically and rendering links
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate, useSearchParams } from "react-router-dom";
 
 // Custom reusable input component with icon integration
 import Input from "../components/Input";
@@ -20,6 +20,17 @@ import Input from "../components/Input";
 // Custom auth store (Zustand) for authentication logic
 import { useAuthStore } from "../store/auth.store";
 
+// -------------------- Constants --------------------
+
+// Messages for the error codes a social login redirect can return with
+const OAUTH_ERRORS = {
+  oauth_failed: "Social login failed. Please try again.",
+  oauth_cancelled: "Social login was cancelled.",
+  oauth_expired: "Social login took too long. Please try again.",
+  oauth_email_unverified: "Your account with this provider has no verified email.",
+  oauth_email_taken: "This email address is already in use by another account.",
+};
+
 // -------------------- Component Definition --------------------
 
 /**
@@ -34,12 +45,40 @@ const LoginPage = () => {
 
   // Controlled input state for password
   const [password, setPassword] = useState("");
+
+  // Controlled input state for the two-factor (or recovery) code
+  const [code, setCode] = useState("");
+
+  // Whether the user is entering a recovery code instead of a TOTP code
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
   // Destructure authentication logic and state from the auth store
-  const { login, isLoading, error } = useAuthStore();
+  const {
+    login,
+    loginWithPasskey,
+    verifyTwoFactorLogin,
+    cancelTwoFactorLogin,
+    getOAuthProviders,
+    startOAuthLogin,
+    requireTwoFactorLogin,
+    oauthProviders,
+    mfaRequired,
+    isLoading,
+    error,
+  } = useAuthStore();
   const [err, setErr] = useState(null);
   // Used to navigate to another page programmatically after login
   const navigate = useNavigate();
 
+  // Social login redirects back here with ?error=... or ?mfa=required
+  const [searchParams] = useSearchParams();
+
+  // Page the user was sent here from (e.g. a consent screen); home by default
+  const location = useLocation();
+  const redirectTo = location.state?.from
+    ? `${location.state.from.pathname}${location.state.from.search}`
+    : "/";
+
   // -------------------- Effects --------------------
 
   // Update local error state when error from store changes
@@ -49,6 +88,22 @@ const LoginPage = () => {
     }
   }, [error]);
 
+  // Load the social login providers configured on the backend
+  useEffect(() => {
+    getOAuthProviders();
+  }, [getOAuthProviders]);
+
+  // Pick up the result of a social login redirect
+  useEffect(() => {
+    const oauthError = searchParams.get("error");
+    if (oauthError) {
+      setErr(OAUTH_ERRORS[oauthError] || OAUTH_ERRORS.oauth_failed);
+    }
+    if (searchParams.get("mfa") === "required") {
+      requireTwoFactorLogin();
+    }
+  }, [searchParams, requireTwoFactorLogin]);
+
   // -------------------- Event Handlers --------------------
 
   /**
@@ -67,8 +122,12 @@ const LoginPage = () => {
 
       // If login successful, redirect to home page
       if (isSuccess) {
-        navigate("/");
-      } else {
+        navigate(redirectTo);
+      } else if (useAuthStore.getState().passwordExpired) {
+        navigate("/password-expired", { state: location.state });
+      } else if (useAuthStore.getState().pendingVerification) {
+        navigate("/verify-email");
+      } else if (!useAuthStore.getState().mfaRequired) {
         setErr(error || "Invalid email or password");
       }
     } catch (error) {
@@ -78,6 +137,35 @@ const LoginPage = () => {
     }
   };
 
+  /**
+   * Handles "Sign in with a passkey" – no email or password needed.
+   */
+  const handlePasskeyLogin = async () => {
+    setErr(null);
+
+    const isSuccess = await loginWithPasskey();
+    if (isSuccess) {
+      navigate(redirectTo);
+    }
+  };
+
+  /**
+   * Handles the second login step when two-factor authentication is enabled.
+   */
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setErr(null);
+
+    const isSuccess = await verifyTwoFactorLogin(code, useRecoveryCode);
+    if (isSuccess) {
+      navigate(redirectTo);
+    } else if (useAuthStore.getState().passwordExpired) {
+      navigate("/password-expired", { state: location.state });
+    } else {
+      setCode("");
+    }
+  };
+
   // -------------------- JSX Structure --------------------
 
   return (
@@ -99,86 +187,191 @@ const LoginPage = () => {
           Welcome Back
         </h2>
 
-        {/* -------------------- Login Form -------------------- */}
-        <form onSubmit={handleLogin}>
-          {/* Input field for email */}
-          <Input
-            icon={Mail}
-            type="email"
-            placeholder="Email Address"
-            value={email}
-            onChange={(e) => {
-              setEmail(e.target.value);
-              if (err) setErr(null); // Clear error when user starts typing
-            }}
-            disabled={isLoading}
-          />
-
-          {/* Input field for password */}
-          <Input
-            icon={Lock}
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => {
-              setPassword(e.target.value);
-              if (err) setErr(null); // Clear error when user starts typing
-            }}
-            disabled={isLoading}
-            showPasswordIcon={true} // Show toggle for password visibility
-          />
-
-          {/* Forgot password link */}
-          <div className="flex items-center mb-6">
-            <Link
-              to="/forgot-password"
-              className="text-sm text-green-400 hover:underline"
+        {/* -------------------- Two-Factor Form -------------------- */}
+        {mfaRequired ? (
+          <form onSubmit={handleTwoFactor}>
+            <p className="text-center text-gray-300 mb-6">
+              {useRecoveryCode
+                ? "Enter one of your recovery codes"
+                : "Enter the 6-digit code from your authenticator app"}
+            </p>
+
+            <Input
+              icon={KeyRound}
+              type="text"
+              inputMode={useRecoveryCode ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              placeholder={useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+              value={code}
+              onChange={(e) => {
+                setCode(e.target.value);
+                if (err) setErr(null); // Clear error when user starts typing
+              }}
+              disabled={isLoading}
+            />
+
+            <div className="flex justify-between items-center mb-6">
+              <button
+                type="button"
+                className="text-sm text-green-400 hover:underline"
+                onClick={() => {
+                  setUseRecoveryCode((prev) => !prev);
+                  setCode("");
+                }}
+              >
+                {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+              </button>
+              <button
+                type="button"
+                className="text-sm text-gray-400 hover:underline"
+                onClick={() => {
+                  cancelTwoFactorLogin();
+                  setCode("");
+                }}
+              >
+                Back
+              </button>
+            </div>
+
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className="w-full py-3 px-4 bg-gradient-to-r from-green-500 to-emerald-600 
+                         text-white font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 
+                         focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 
+                         focus:ring-offset-gray-900 transition duration-200 disabled:opacity-50"
+              type="submit"
+              disabled={isLoading || !code}
             >
-              Forgot password?
-            </Link>
-          </div>
-
-          {/* Error message and verification link */}
-          <div className="flex justify-between items-center mb-6">
-            {err && (
-              <motion.p
-                className="text-red-500 text-sm mb-4"
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                transition={{ duration: 0.3 }}
+              {isLoading ? (
+                <Loader className="w-6 h-6 animate-spin mx-auto" />
+              ) : (
+                "Verify"
+              )}
+            </motion.button>
+          </form>
+        ) : (
+          /* -------------------- Login Form -------------------- */
+          <form onSubmit={handleLogin}>
+            {/* Input field for email */}
+            <Input
+              icon={Mail}
+              type="email"
+              placeholder="Email Address"
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                if (err) setErr(null); // Clear error when user starts typing
+              }}
+              disabled={isLoading}
+            />
+
+            {/* Input field for password */}
+            <Input
+              icon={Lock}
+              type="password"
+              placeholder="Password"
+              value={password}
+              onChange={(e) => {
+                setPassword(e.target.value);
+                if (err) setErr(null); // Clear error when user starts typing
+              }}
+              disabled={isLoading}
+              showPasswordIcon={true} // Show toggle for password visibility
+            />
+
+            {/* Forgot password and passwordless sign-in links */}
+            <div className="flex justify-between items-center mb-6">
+              <Link
+                to="/forgot-password"
+                className="text-sm text-green-400 hover:underline"
               >
-                {err}
-              </motion.p>
-            )}
-            {err === "Please verify your email before logging in." && (
+                Forgot password?
+              </Link>
               <Link
-                to="/verify-email"
-                className="text-sm text-green-400 hover:underline mb-4"
+                to="/passwordless"
+                className="text-sm text-green-400 hover:underline"
               >
-                Verify Email
+                Email me a sign-in link
               </Link>
-            )}
-          </div>
-
-          {/* Submit button with animated hover and tap effects */}
-          <motion.button
-            whileHover={{ scale: 1.02 }} // Slightly grow on hover
-            whileTap={{ scale: 0.98 }} // Slightly shrink on click
-            className="w-full py-3 px-4 bg-gradient-to-r from-green-500 to-emerald-600 
-                       text-white font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 
-                       focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 
-                       focus:ring-offset-gray-900 transition duration-200 disabled:opacity-50"
-            type="submit"
-            disabled={isLoading} // Prevent multiple submissions
-          >
-            {/* Spinner when loading, otherwise show button text */}
-            {isLoading ? (
-              <Loader className="w-6 h-6 animate-spin mx-auto" />
-            ) : (
-              "Login"
-            )}
-          </motion.button>
-        </form>
+            </div>
+
+            {/* Error message and verification link */}
+            <div className="flex justify-between items-center mb-6">
+              {err && (
+                <motion.p
+                  className="text-red-500 text-sm mb-4"
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  {err}
+                </motion.p>
+              )}
+              {err === "Please verify your email before logging in." && (
+                <Link
+                  to="/verify-email"
+                  className="text-sm text-green-400 hover:underline mb-4"
+                >
+                  Verify Email
+                </Link>
+              )}
+            </div>
+
+            {/* Submit button with animated hover and tap effects */}
+            <motion.button
+              whileHover={{ scale: 1.02 }} // Slightly grow on hover
+              whileTap={{ scale: 0.98 }} // Slightly shrink on click
+              className="w-full py-3 px-4 bg-gradient-to-r from-green-500 to-emerald-600 
+                         text-white font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 
+                         focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 
+                         focus:ring-offset-gray-900 transition duration-200 disabled:opacity-50"
+              type="submit"
+              disabled={isLoading} // Prevent multiple submissions
+            >
+              {/* Spinner when loading, otherwise show button text */}
+              {isLoading ? (
+                <Loader className="w-6 h-6 animate-spin mx-auto" />
+              ) : (
+                "Login"
+              )}
+            </motion.button>
+
+            {/* Passwordless alternative */}
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className="w-full mt-4 py-3 px-4 flex items-center justify-center gap-2 
+                         bg-gray-700 text-white font-bold rounded-lg shadow-lg hover:bg-gray-600 
+                         focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 
+                         focus:ring-offset-gray-900 transition duration-200 disabled:opacity-50"
+              type="button"
+              onClick={handlePasskeyLogin}
+              disabled={isLoading}
+            >
+              <Fingerprint className="size-5 text-green-500" />
+              Sign in with a passkey
+            </motion.button>
+
+            {/* Social login providers configured on the backend */}
+            {oauthProviders.map((provider) => (
+              <motion.button
+                key={provider.id}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="w-full mt-4 py-3 px-4 bg-gray-700 text-white font-bold rounded-lg 
+                           shadow-lg hover:bg-gray-600 focus:outline-none focus:ring-2 
+                           focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 
+                           transition duration-200 disabled:opacity-50"
+                type="button"
+                onClick={() => startOAuthLogin(provider.id)}
+                disabled={isLoading}
+              >
+                Continue with {provider.name}
+              </motion.button>
+            ))}
+          </form>
+        )}
       </div>
 
       {/* Bottom section: redirect prompt for new users */}
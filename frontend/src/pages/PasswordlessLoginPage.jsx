@@ -0,0 +1,192 @@
+import { motion } from "framer-motion";
+import { useState, useEffect, useRef } from "react";
+import { useAuthStore } from "../store/auth.store";
+import Input from "../components/Input";
+import { ArrowLeft, KeyRound, Loader, Mail } from "lucide-react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+
+/**
+ * PasswordlessLoginPage lets users sign in without a password, either by
+ * clicking an emailed link (`/passwordless/:token`) or by entering an
+ * emailed 6-digit code.
+ */
+const PasswordlessLoginPage = () => {
+  const [email, setEmail] = useState("");
+  const [code, setCode] = useState("");
+  const [method, setMethod] = useState("link");
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const { isLoading, startPasswordless, completePasswordless } = useAuthStore();
+  const { token } = useParams();
+  const navigate = useNavigate();
+
+  // Links are single-use: make sure React's dev double-effect doesn't send it twice
+  const hasUsedLink = useRef(false);
+
+  // -------------------- Effects --------------------
+
+  // Opened from the emailed link: complete the login straight away
+  useEffect(() => {
+    if (!token || hasUsedLink.current) return;
+    hasUsedLink.current = true;
+
+    const completeWithLink = async () => {
+      const isSuccess = await completePasswordless({ token });
+
+      // With 2FA enabled, the login page asks for the code next
+      if (isSuccess || useAuthStore.getState().mfaRequired) {
+        navigate(isSuccess ? "/" : "/login", { replace: true });
+      }
+    };
+
+    completeWithLink();
+  }, [token, completePasswordless, navigate]);
+
+  // -------------------- Event Handlers --------------------
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+
+    const worked = await startPasswordless(email, method);
+    if (worked) {
+      setIsSubmitted(true);
+    }
+  };
+
+  const handleCode = async (e) => {
+    e.preventDefault();
+
+    const isSuccess = await completePasswordless({ email, code });
+    if (isSuccess) {
+      navigate("/");
+    } else if (useAuthStore.getState().mfaRequired) {
+      navigate("/login");
+    } else {
+      setCode("");
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8">
+        <h2 className="text-3xl font-bold mb-6 text-center bg-gradient-to-r from-green-400 to-emerald-500 text-transparent bg-clip-text">
+          Sign In Without Password
+        </h2>
+
+        {token ? (
+          <div className="text-center text-gray-300">
+            {isLoading ? (
+              <Loader className="size-8 animate-spin mx-auto" />
+            ) : (
+              <p>This sign-in link is invalid or has expired.</p>
+            )}
+          </div>
+        ) : !isSubmitted ? (
+          <form onSubmit={handleStart}>
+            <p className="text-gray-300 mb-6 text-center">
+              Enter your email address and we'll send you a sign-in link or
+              code.
+            </p>
+            <Input
+              icon={Mail}
+              type="email"
+              placeholder="Email Address"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+            <div className="flex justify-center gap-6 mb-6 text-gray-300 text-sm">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={method === "link"}
+                  onChange={() => setMethod("link")}
+                />
+                Email me a link
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={method === "code"}
+                  onChange={() => setMethod("code")}
+                />
+                Email me a code
+              </label>
+            </div>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className="w-full py-3 px-4 bg-gradient-to-r from-green-500 to-emerald-600 text-white font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200"
+              type="submit"
+              disabled={isLoading}
+            >
+              {isLoading ? (
+                <Loader className="size-6 animate-spin mx-auto" />
+              ) : (
+                "Send"
+              )}
+            </motion.button>
+          </form>
+        ) : method === "code" ? (
+          <form onSubmit={handleCode}>
+            <p className="text-gray-300 mb-6 text-center">
+              If an account exists for {email}, we've sent it a 6-digit code.
+            </p>
+            <Input
+              icon={KeyRound}
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="Sign-In Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className="w-full py-3 px-4 bg-gradient-to-r from-green-500 to-emerald-600 text-white font-bold rounded-lg shadow-lg hover:from-green-600 hover:to-emerald-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200"
+              type="submit"
+              disabled={isLoading || !code}
+            >
+              {isLoading ? (
+                <Loader className="size-6 animate-spin mx-auto" />
+              ) : (
+                "Sign In"
+              )}
+            </motion.button>
+          </form>
+        ) : (
+          <div className="text-center">
+            <motion.div
+              initial={{ scale: 0 }}
+              animate={{ scale: 1 }}
+              transition={{ type: "spring", stiffness: 500, damping: 30 }}
+              className="w-16 h-16 bg-green-500 rounded-full flex items-center justify-center mx-auto mb-4"
+            >
+              <Mail className="h-8 w-8 text-white" />
+            </motion.div>
+            <p className="text-gray-300 mb-6">
+              If an account exists for {email}, you will receive a sign-in link
+              shortly.
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
+        <Link
+          to={"/login"}
+          className="text-sm text-green-400 hover:underline flex items-center"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" /> Back to Login
+        </Link>
+      </div>
+    </motion.div>
+  );
+};
+export default PasswordlessLoginPage;
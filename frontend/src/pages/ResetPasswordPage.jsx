@@ -3,6 +3,7 @@ import { motion } from "framer-motion";
 import { useAuthStore } from "../store/auth.store";
 import { useNavigate, useParams } from "react-router-dom";
 import Input from "../components/Input";
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
 import { Lock } from "lucide-react";
 import toast from "react-hot-toast";
 
@@ -85,6 +86,11 @@ const ResetPasswordPage = () => {
             }}
             required
           />
+          {password && (
+            <div className="-mt-4 mb-6">
+              <PasswordStrengthMeter password={password} />
+            </div>
+          )}
 
           <Input
             icon={Lock}
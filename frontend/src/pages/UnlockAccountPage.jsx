@@ -0,0 +1,76 @@
+import { motion } from "framer-motion";
+import { useState, useEffect, useRef } from "react";
+import { useAuthStore } from "../store/auth.store";
+import { ArrowLeft, Loader, LockOpen } from "lucide-react";
+import { Link, useParams } from "react-router-dom";
+
+/**
+ * UnlockAccountPage is opened from the "account locked" email
+ * (`/unlock-account/:token`) and lifts the failed-login lockout.
+ */
+const UnlockAccountPage = () => {
+  const [isUnlocked, setIsUnlocked] = useState(false);
+  const { isLoading, unlockAccount } = useAuthStore();
+  const { token } = useParams();
+
+  // Links are single-use: make sure React's dev double-effect doesn't send it twice
+  const hasUsedLink = useRef(false);
+
+  // -------------------- Effects --------------------
+
+  useEffect(() => {
+    if (hasUsedLink.current) return;
+    hasUsedLink.current = true;
+
+    const unlock = async () => {
+      setIsUnlocked(await unlockAccount(token));
+    };
+
+    unlock();
+  }, [token, unlockAccount]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8">
+        <h2 className="text-3xl font-bold mb-6 text-center bg-gradient-to-r from-green-400 to-emerald-500 text-transparent bg-clip-text">
+          Unlock Account
+        </h2>
+
+        <div className="text-center text-gray-300">
+          {isLoading ? (
+            <Loader className="size-8 animate-spin mx-auto" />
+          ) : isUnlocked ? (
+            <>
+              <motion.div
+                initial={{ scale: 0 }}
+                animate={{ scale: 1 }}
+                transition={{ type: "spring", stiffness: 500, damping: 30 }}
+                className="w-16 h-16 bg-green-500 rounded-full flex items-center justify-center mx-auto mb-4"
+              >
+                <LockOpen className="h-8 w-8 text-white" />
+              </motion.div>
+              <p>Your account has been unlocked. You can log in again.</p>
+            </>
+          ) : (
+            <p>This unlock link is invalid or has expired.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
+        <Link
+          to={"/login"}
+          className="text-sm text-green-400 hover:underline flex items-center"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" /> Back to Login
+        </Link>
+      </div>
+    </motion.div>
+  );
+};
+export default UnlockAccountPage;
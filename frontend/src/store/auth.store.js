@@ -11,14 +11,63 @@ import axios from "axios";
 // React Hot Toast: for showing feedback messages to the user
 import toast from "react-hot-toast";
 
+// SimpleWebAuthn: runs the browser side of passkey ceremonies
+import { startRegistration, startAuthentication } from "@simplewebauthn/browser";
+
 // -------------------- Configuration --------------------
 
 // Base URL for all authentication-related API requests
 const API_URL = "http://localhost:1502/api/v1/auth";
 
+// Base URL for the consent screen of the OpenID Connect provider
+const OIDC_API_URL = "http://localhost:1502/api/v1/oidc";
+
 // Ensure that cookies (e.g., JWT tokens) are included in every request
 axios.defaults.withCredentials = true;
 
+// -------------------- Silent Token Refresh --------------------
+
+// Shared in-flight refresh request, so parallel 401s trigger only one rotation
+let refreshRequest = null;
+
+/**
+ * When the backend reports an expired access token, rotate the refresh token
+ * once and replay the original request. If the refresh fails, the original
+ * error is passed on so callers treat it as a normal 401.
+ */
+axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const originalRequest = error?.config;
+
+        if (
+            error?.response?.data?.code === "token_expired" &&
+            originalRequest &&
+            !originalRequest._retry
+        ) {
+            originalRequest._retry = true;
+
+            if (!refreshRequest) {
+                refreshRequest = axios
+                    .post(`${API_URL}/refresh`)
+                    .finally(() => {
+                        refreshRequest = null;
+                    });
+            }
+
+            try {
+                await refreshRequest;
+            } catch {
+                return Promise.reject(error);
+            }
+
+            return axios(originalRequest);
+        }
+
+        return Promise.reject(error);
+    }
+);
+
 // -------------------- Store Definition --------------------
 
 /**
@@ -40,6 +89,12 @@ export const useAuthStore = create((set, get) => ({
     isAuthenticated: false,     // Boolean flag: true if user is logged in
     isLoading: false,           // Boolean flag: true during async operations (signup/login/etc.)
     isCheckingAuth: true,       // true while app checks session on initial load
+    sessions: [],               // Active login sessions (devices) of the current user
+    mfaRequired: false,         // true after a correct password when a 2FA code is still needed
+    passwordExpired: false,     // true after a correct but expired password; a new one must be set
+    pendingVerification: null,  // { email, resendAvailableAt } while an account waits for its email code
+    passkeys: [],               // Passkeys registered by the current user
+    oauthProviders: [],         // Social login providers configured on the backend
 
     // ===========================
     // ✉️ SIGNUP FUNCTION
@@ -60,19 +115,28 @@ export const useAuthStore = create((set, get) => ({
 
         try {
             // Send signup data to backend API
+            // The browser's language picks the language of the account's emails
             const response = await axios.post(`${API_URL}/signup`, {
                 email,
                 password,
                 name,
+                locale: navigator.language,
             });
 
-            // Update the state with received user data and auth status
+            // Update the state with received user data and auth status.
+            // In enumeration-safe mode there is no user (and no session) until the
+            // emailed code is entered.
+            const { user, email: pendingEmail } = response.data;
             set({
-                user: response.data.user,
-                isAuthenticated: true,
+                user: user || null,
+                isAuthenticated: Boolean(user),
                 isLoading: false,
                 success: response.data.success,
                 error: null,
+                pendingVerification: {
+                    email: user?.email || pendingEmail,
+                    resendAvailableAt: Date.now() + (response.data.resendAvailableIn || 0) * 1000,
+                },
             });
 
             // Display a success message if signup succeeded
@@ -111,6 +175,8 @@ export const useAuthStore = create((set, get) => ({
     /**
      * Verifies user's email address using the provided verification code.
      * Updates user's verification status and automatically logs them in.
+     * The code is checked against the email of the account waiting for verification
+     * (just signed up, or stopped at login because it isn't verified yet).
      * 
      * @param {string} code - 6-digit verification code sent to user's email
      * @returns {Promise<boolean>} - true if verification successful, false otherwise
@@ -120,8 +186,11 @@ export const useAuthStore = create((set, get) => ({
         set({ isLoading: true, error: null, success: false });
 
         try {
-            // Send verification code to backend
-            const response = await axios.post(`${API_URL}/verify-email`, { code });
+            // Send verification code (and whose it is) to backend
+            const response = await axios.post(`${API_URL}/verify-email`, {
+                email: get().pendingVerification?.email || get().user?.email,
+                code,
+            });
 
             // Update state with verified user and mark as authenticated
             set({
@@ -130,6 +199,7 @@ export const useAuthStore = create((set, get) => ({
                 isLoading: false,
                 success: true,
                 error: null,
+                pendingVerification: null,
             });
 
             // Notify user of success
@@ -145,6 +215,54 @@ export const useAuthStore = create((set, get) => ({
         }
     },
 
+    // ===========================
+    // 📨 RESEND VERIFICATION FUNCTION
+    // ===========================
+
+    /**
+     * Asks for a new email verification code (the previous one stops working).
+     * The backend allows one email per cooldown period; `pendingVerification.resendAvailableAt`
+     * tells when the next one can be requested.
+     *
+     * @returns {Promise<boolean>} - true if a new code was sent, false otherwise
+     */
+    resendVerification: async () => {
+        const email = get().pendingVerification?.email || get().user?.email;
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/resend-verification`, { email });
+
+            set({
+                isLoading: false,
+                success: true,
+                pendingVerification: {
+                    email,
+                    resendAvailableAt: Date.now() + response.data.resendAvailableIn * 1000,
+                },
+            });
+
+            toast.success("A new verification code has been sent to your email");
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Could not send a new code.";
+
+            // Still cooling down: start the countdown from what the backend says
+            const retryAfter = error?.response?.data?.retryAfter;
+            set({
+                isLoading: false,
+                error: message,
+                success: false,
+                ...(retryAfter && {
+                    pendingVerification: { email, resendAvailableAt: Date.now() + retryAfter * 1000 },
+                }),
+            });
+            toast.error(message);
+            return false;
+        }
+    },
+
     // ===========================
     // 🔑 LOGIN FUNCTION
     // ===========================
@@ -152,6 +270,10 @@ export const useAuthStore = create((set, get) => ({
     /**
  * Handles user login by sending credentials to the backend.
  * Authenticates user and sets up session if credentials are valid.
+ * If the account has two-factor authentication, sets `mfaRequired` instead
+ * and the login must be finished with `verifyTwoFactorLogin`.
+ * If the password has expired, sets `passwordExpired` instead
+ * and the login must be finished with `changeExpiredPassword`.
  * 
  * @param {string} email - User's email address
  * @param {string} password - User's password
@@ -159,12 +281,25 @@ export const useAuthStore = create((set, get) => ({
  */
     login: async (email, password) => {
         // Begin loading and reset error
-        set({ isLoading: true, error: null, success: false });
+        set({ isLoading: true, error: null, success: false, pendingVerification: null });
 
         try {
             // Send login credentials to backend
             const response = await axios.post(`${API_URL}/login`, { email, password });
 
+            // Two-factor authentication enabled: the login page asks for a code next
+            if (response.data.code === "mfa_required") {
+                set({ mfaRequired: true, isLoading: false, success: false, error: null });
+                return false;
+            }
+
+            // Password expired: the user is sent to choose a new one next
+            if (response.data.code === "password_expired") {
+                set({ passwordExpired: true, isLoading: false, success: false, error: null });
+                toast.error(response.data.message);
+                return false;
+            }
+
             // If successful, update auth state and user
             set({
                 isAuthenticated: true,
@@ -182,6 +317,23 @@ export const useAuthStore = create((set, get) => ({
             // Extract error message or fallback
             const message = error?.response?.data?.message || "Error logging in";
 
+            // Right password but the email isn't verified yet: the login page sends the
+            // user to the verification page to finish (or resend) it
+            if (error?.response?.data?.code === "email_not_verified") {
+                const { email: unverifiedEmail, resendAvailableIn } = error.response.data;
+                set({
+                    pendingVerification: {
+                        email: unverifiedEmail,
+                        resendAvailableAt: Date.now() + (resendAvailableIn || 0) * 1000,
+                    },
+                    isLoading: false,
+                    success: false,
+                    error: null,
+                });
+                toast.error(message);
+                return false;
+            }
+
             // Set error in state and stop loading
             set({
                 error: message,
@@ -194,6 +346,243 @@ export const useAuthStore = create((set, get) => ({
         }
     },
 
+    // ===========================
+    // 🔢 TWO-FACTOR LOGIN FUNCTION
+    // ===========================
+
+    /**
+     * Completes a login that stopped at the two-factor step.
+     *
+     * @param {string} code - 6-digit code from the authenticator app, or a recovery code
+     * @param {boolean} isRecoveryCode - true if `code` is a one-time recovery code
+     * @returns {Promise<boolean>} - true if login successful, false otherwise
+     */
+    verifyTwoFactorLogin: async (code, isRecoveryCode = false) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(
+                `${API_URL}/login/2fa`,
+                isRecoveryCode ? { recoveryCode: code } : { code }
+            );
+
+            // Password expired: the user is sent to choose a new one next
+            if (response.data.code === "password_expired") {
+                set({ mfaRequired: false, passwordExpired: true, isLoading: false, success: false, error: null });
+                toast.error(response.data.message);
+                return false;
+            }
+
+            set({
+                isAuthenticated: true,
+                user: response.data.user,
+                mfaRequired: false,
+                error: null,
+                isLoading: false,
+                success: true,
+            });
+
+            toast.success("Login successful");
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Invalid verification code";
+            set({ error: message, isLoading: false, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Completes a login that stopped because the password has expired,
+     * by setting a new password.
+     *
+     * @param {string} newPassword - New password (at least 8 characters, not a recent one)
+     * @returns {Promise<boolean>} - true if the password was changed and the user is logged in
+     */
+    changeExpiredPassword: async (newPassword) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/login/expired-password`, { newPassword });
+
+            set({
+                isAuthenticated: true,
+                user: response.data.user,
+                passwordExpired: false,
+                error: null,
+                isLoading: false,
+                success: true,
+            });
+
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to change password";
+            set({ error: message, isLoading: false, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Abandons a pending two-factor login and returns to the password step.
+     */
+    cancelTwoFactorLogin: () => {
+        set({ mfaRequired: false, error: null });
+    },
+
+    // ===========================
+    // 🔑 PASSKEY LOGIN FUNCTION
+    // ===========================
+
+    /**
+     * Signs in with a passkey instead of a password.
+     * The browser lets the user pick one of their passkeys for this site.
+     *
+     * @returns {Promise<boolean>} - true if login successful, false otherwise
+     */
+    loginWithPasskey: async () => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            // 1. Get a challenge from the backend
+            const optionsResponse = await axios.post(`${API_URL}/webauthn/login/options`);
+
+            // 2. Let the authenticator sign it
+            const assertion = await startAuthentication({
+                optionsJSON: optionsResponse.data.options,
+            });
+
+            // 3. Send the signed assertion back to finish the login
+            const response = await axios.post(`${API_URL}/webauthn/login/verify`, {
+                response: assertion,
+            });
+
+            set({
+                isAuthenticated: true,
+                user: response.data.user,
+                error: null,
+                isLoading: false,
+                success: true,
+            });
+
+            toast.success("Login successful");
+            return true;
+
+        } catch (error) {
+            // Browser errors (e.g. the user cancelled the prompt) have no response
+            const message =
+                error?.response?.data?.message || error?.message || "Passkey login failed";
+            set({ error: message, isLoading: false, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // 🪄 PASSWORDLESS LOGIN FUNCTIONS
+    // ===========================
+
+    /**
+     * Asks the backend to email a single-use sign-in link or 6-digit code.
+     *
+     * @param {string} email - User's email address
+     * @param {"link"|"code"} method - What to send
+     * @returns {Promise<boolean>} - true if the request was accepted, false otherwise
+     */
+    startPasswordless: async (email, method) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/passwordless/start`, { email, method });
+            set({ isLoading: false, success: response.data.success, error: null });
+            return true;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to send sign-in email";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Completes a passwordless login with the link token or the emailed code.
+     * Sets `mfaRequired` instead of logging in if the account has 2FA enabled.
+     *
+     * @param {{token: string}|{email: string, code: string}} credentials - Link token, or email and code
+     * @returns {Promise<boolean>} - true if login successful, false otherwise
+     */
+    completePasswordless: async (credentials) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/passwordless/complete`, credentials);
+
+            if (response.data.code === "mfa_required") {
+                set({ mfaRequired: true, isLoading: false, success: false, error: null });
+                return false;
+            }
+
+            set({
+                isAuthenticated: true,
+                user: response.data.user,
+                error: null,
+                isLoading: false,
+                success: true,
+            });
+
+            toast.success("Login successful");
+            return true;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Sign-in link or code is invalid";
+            set({ error: message, isLoading: false, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // 🌐 SOCIAL LOGIN FUNCTIONS
+    // ===========================
+
+    /**
+     * Fetches the social login providers ("Continue with ...") enabled on the backend.
+     *
+     * @returns {Promise<boolean>} - true if providers were fetched, false otherwise
+     */
+    getOAuthProviders: async () => {
+        try {
+            const response = await axios.get(`${API_URL}/oauth/providers`);
+            set({ oauthProviders: response.data.providers });
+            return true;
+        } catch (error) {
+            // Social login is optional; the page simply shows no provider buttons
+            set({ oauthProviders: [] });
+            return false;
+        }
+    },
+
+    /**
+     * Starts a social login by sending the browser to the backend, which redirects
+     * to the provider and back to the app once the user has signed in.
+     *
+     * @param {string} providerId - Provider id, e.g. "google"
+     */
+    startOAuthLogin: (providerId) => {
+        set({ isLoading: true, error: null });
+        window.location.assign(`${API_URL}/oauth/${providerId}`);
+    },
+
+    /**
+     * Marks a login as waiting for a 2FA code (used when a social login
+     * redirects back to the login page for the second step).
+     */
+    requireTwoFactorLogin: () => {
+        set({ mfaRequired: true, error: null });
+    },
+
     // ===========================
     // 🚪 LOGOUT FUNCTION
     // ===========================
@@ -263,8 +652,8 @@ export const useAuthStore = create((set, get) => ({
         } catch (error) {
             const message = error?.response?.data?.message || "An unexpected error occurred.";
 
-            // Session expired or user not logged in
-            if (message === "Unauthorized. Please login to continue.") {
+            // Session expired (and could not be refreshed) or user not logged in
+            if (error?.response?.status === 401) {
                 set({
                     isCheckingAuth: false,
                     error: null,
@@ -286,6 +675,27 @@ export const useAuthStore = create((set, get) => ({
         }
     },
 
+    // ===========================
+    // 🛡️ PERMISSION CHECK
+    // ===========================
+
+    /**
+     * Checks whether the logged-in user has a permission, e.g. "users:read".
+     * Mirrors the backend rules: "<resource>:*" and "*" act as wildcards.
+     * Only for showing/hiding UI — the backend enforces the real check.
+     *
+     * @param {string} permission - Permission in the form "<resource>:<action>"
+     * @returns {boolean} - true if the user has the permission
+     */
+    hasPermission: (permission) => {
+        const granted = get().user?.permissions || [];
+        const [resource] = permission.split(":");
+
+        return granted.includes("*")
+            || granted.includes(`${resource}:*`)
+            || granted.includes(permission);
+    },
+
     // ===========================
     // 🔁 FORGOT PASSWORD FUNCTION
     // ===========================
@@ -312,8 +722,8 @@ export const useAuthStore = create((set, get) => ({
                 error: null
             });
 
-            // Show success message
-            toast.success("Password reset email sent successfully");
+            // Show success message (worded by the backend, see ENUMERATION_SAFE_MODE)
+            toast.success(response.data.message);
             return true;
 
         } catch (error) {
@@ -365,4 +775,673 @@ export const useAuthStore = create((set, get) => ({
             return false;
         }
     },
+
+    // ===========================
+    // 🕵️ BREACHED PASSWORD CHECK FUNCTION
+    // ===========================
+
+    /**
+     * Asks the backend whether a password appears in a known data breach.
+     * Runs quietly in the background (no loading state, no toasts).
+     *
+     * @param {string} password - Password being typed
+     * @returns {Promise<boolean|null>} - true if compromised, false if not, null if the check failed
+     */
+    checkPasswordBreach: async (password) => {
+        try {
+            const response = await axios.post(`${API_URL}/password/breach-check`, { password });
+            return response.data.compromised;
+        } catch {
+            // The server validates again on submit; just don't show a verdict
+            return null;
+        }
+    },
+
+    // ===========================
+    // 🔑 CHANGE PASSWORD FUNCTION
+    // ===========================
+
+    /**
+     * Changes the password of the logged-in user.
+     * The backend signs out every other device afterwards.
+     *
+     * @param {string} currentPassword - The user's current password
+     * @param {string} newPassword - New password to set (min 8 characters)
+     * @returns {Promise<boolean>} - true if the password was changed, false otherwise
+     */
+    changePassword: async (currentPassword, newPassword) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/change-password`, {
+                currentPassword,
+                newPassword,
+            });
+
+            set({ isLoading: false, success: response.data.success, error: null });
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to change password";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // ✉️ EMAIL CHANGE FUNCTIONS
+    // ===========================
+
+    /**
+     * Requests an email change. A confirmation link goes to the new address and a
+     * "this wasn't me" link to the current one; the email only changes once confirmed.
+     *
+     * @param {string} newEmail - Address to switch to
+     * @param {string} password - Current password (re-authentication)
+     * @returns {Promise<boolean>} - true if the request was accepted, false otherwise
+     */
+    requestEmailChange: async (newEmail, password) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/change-email`, { newEmail, password });
+
+            // Show the pending address until it is confirmed
+            set((state) => ({
+                isLoading: false,
+                success: response.data.success,
+                error: null,
+                user: state.user && { ...state.user, pendingEmail: response.data.pendingEmail },
+            }));
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to request email change";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Confirms an email change using the token from the link sent to the new address.
+     *
+     * @param {string} token - Confirmation token from email
+     * @returns {Promise<boolean>} - true if the email was changed, false otherwise
+     */
+    confirmEmailChange: async (token) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/change-email/confirm/${token}`);
+
+            // Update the logged-in user (if the link was opened in the same browser)
+            set((state) => ({
+                isLoading: false,
+                success: response.data.success,
+                error: null,
+                user: state.user && { ...state.user, email: response.data.email, pendingEmail: undefined },
+            }));
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to confirm email change";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Cancels or undoes an email change from the link sent to the old address.
+     * The backend signs out every device, so the local session is cleared too.
+     *
+     * @param {string} token - Revert token from email
+     * @returns {Promise<boolean>} - true if the change was reverted, false otherwise
+     */
+    revertEmailChange: async (token) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/change-email/revert/${token}`);
+
+            set({
+                isLoading: false,
+                success: response.data.success,
+                error: null,
+                user: null,
+                isAuthenticated: false,
+            });
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to revert email change";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // 👤 PROFILE FUNCTIONS
+    // ===========================
+
+    /**
+     * Updates profile fields. Only the fields passed are changed; an empty
+     * displayName, timezone or locale clears it.
+     *
+     * @param {{ name?: string, displayName?: string, timezone?: string, locale?: string }} fields
+     * @returns {Promise<boolean>} - true if the profile was updated, false otherwise
+     */
+    updateProfile: async (fields) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.patch(`${API_URL}/me`, fields);
+
+            set({ isLoading: false, success: response.data.success, error: null, user: response.data.user });
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to update profile";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Uploads a new avatar image. The server validates and resizes it.
+     *
+     * @param {File} file - JPEG, PNG, WebP or GIF image
+     * @returns {Promise<boolean>} - true if the avatar was updated, false otherwise
+     */
+    uploadAvatar: async (file) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const formData = new FormData();
+            formData.append("avatar", file);
+            const response = await axios.put(`${API_URL}/me/avatar`, formData);
+
+            set({ isLoading: false, success: response.data.success, error: null, user: response.data.user });
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to upload avatar";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Removes the user's avatar.
+     *
+     * @returns {Promise<boolean>} - true if the avatar was removed, false otherwise
+     */
+    removeAvatar: async () => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.delete(`${API_URL}/me/avatar`);
+
+            set({ isLoading: false, success: response.data.success, error: null, user: response.data.user });
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to remove avatar";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // 📦 MY DATA & ACCOUNT DELETION FUNCTIONS
+    // ===========================
+
+    /**
+     * Downloads everything stored about the user as a JSON file.
+     *
+     * @returns {Promise<boolean>} - true if the download started, false otherwise
+     */
+    exportMyData: async () => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.get(`${API_URL}/me/export`, { responseType: "blob" });
+
+            // Save the file using the name suggested by the server
+            const disposition = response.headers["content-disposition"] || "";
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1] || "account-data.json";
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            set({ isLoading: false, success: true, error: null });
+            return true;
+
+        } catch (error) {
+            // With responseType "blob" the error body isn't parsed for us
+            const message = "Failed to export your data";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Schedules the account for deletion. It stays usable (and the deletion
+     * cancellable) until the grace period is over.
+     *
+     * @param {string} password - Current password (re-authentication)
+     * @returns {Promise<boolean>} - true if the deletion was scheduled, false otherwise
+     */
+    requestAccountDeletion: async (password) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.delete(`${API_URL}/me`, { data: { password } });
+
+            set((state) => ({
+                isLoading: false,
+                success: response.data.success,
+                error: null,
+                user: state.user && { ...state.user, deletionScheduledAt: response.data.deletionScheduledAt },
+            }));
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to schedule account deletion";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Cancels a scheduled account deletion.
+     *
+     * @returns {Promise<boolean>} - true if the deletion was cancelled, false otherwise
+     */
+    cancelAccountDeletion: async () => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/me/cancel-deletion`);
+
+            set((state) => ({
+                isLoading: false,
+                success: response.data.success,
+                error: null,
+                user: state.user && { ...state.user, deletionScheduledAt: null },
+            }));
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to cancel account deletion";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // 🔓 UNLOCK ACCOUNT FUNCTION
+    // ===========================
+
+    /**
+     * Lifts a failed-login lockout using the token from the "account locked" email.
+     *
+     * @param {string} token - Unlock token from email
+     * @returns {Promise<boolean>} - true if the account was unlocked, false otherwise
+     */
+    unlockAccount: async (token) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/unlock-account/${token}`);
+
+            set({ isLoading: false, success: response.data.success, error: null });
+            toast.success(response.data.message);
+            return true;
+
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to unlock account";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // 🖥️ SESSION MANAGEMENT FUNCTIONS
+    // ===========================
+
+    /**
+     * Fetches the active sessions (one per signed-in device) of the current user.
+     *
+     * @returns {Promise<boolean>} - true if sessions were fetched, false otherwise
+     */
+    getSessions: async () => {
+        set({ error: null });
+
+        try {
+            const response = await axios.get(`${API_URL}/sessions`);
+            set({ sessions: response.data.sessions });
+            return true;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to fetch sessions";
+            set({ error: message });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Signs out a single session (device) of the current user.
+     *
+     * @param {string} sessionId - ID of the session to revoke
+     * @returns {Promise<boolean>} - true if session revoked, false otherwise
+     */
+    revokeSession: async (sessionId) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            await axios.delete(`${API_URL}/sessions/${sessionId}`);
+
+            set({
+                sessions: get().sessions.filter((session) => session._id !== sessionId),
+                isLoading: false,
+                success: true,
+            });
+
+            toast.success("Session signed out");
+            return true;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to revoke session";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Signs out every session of the current user except this one.
+     *
+     * @returns {Promise<boolean>} - true if sessions revoked, false otherwise
+     */
+    revokeOtherSessions: async () => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            await axios.delete(`${API_URL}/sessions`);
+
+            set({
+                sessions: get().sessions.filter((session) => session.current),
+                isLoading: false,
+                success: true,
+            });
+
+            toast.success("Signed out of all other devices");
+            return true;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to revoke sessions";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // 🔐 TWO-FACTOR SETTINGS FUNCTIONS
+    // ===========================
+
+    /**
+     * Starts two-factor enrollment.
+     *
+     * @returns {Promise<{secret: string, otpauthUri: string}|null>} - secret to add to the authenticator app
+     */
+    setupTwoFactor: async () => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/2fa/setup`);
+            set({ isLoading: false, success: true });
+            return { secret: response.data.secret, otpauthUri: response.data.otpauthUri };
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to start two-factor setup";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return null;
+        }
+    },
+
+    /**
+     * Confirms enrollment with the first code from the authenticator app.
+     *
+     * @param {string} code - 6-digit code from the authenticator app
+     * @returns {Promise<string[]|null>} - recovery codes to show once, or null on failure
+     */
+    enableTwoFactor: async (code) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/2fa/enable`, { code });
+            set({
+                user: { ...get().user, twoFactor: { enabled: true } },
+                isLoading: false,
+                success: true,
+            });
+            toast.success("Two-factor authentication enabled");
+            return response.data.recoveryCodes;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to enable two-factor authentication";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return null;
+        }
+    },
+
+    /**
+     * Turns two-factor authentication off.
+     *
+     * @param {string} password - Current password
+     * @param {string} code - 6-digit code from the authenticator app
+     * @returns {Promise<boolean>} - true if disabled, false otherwise
+     */
+    disableTwoFactor: async (password, code) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            await axios.post(`${API_URL}/2fa/disable`, { password, code });
+            set({
+                user: { ...get().user, twoFactor: { enabled: false } },
+                isLoading: false,
+                success: true,
+            });
+            toast.success("Two-factor authentication disabled");
+            return true;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to disable two-factor authentication";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Replaces all recovery codes with a new set.
+     *
+     * @param {string} code - 6-digit code from the authenticator app
+     * @returns {Promise<string[]|null>} - new recovery codes, or null on failure
+     */
+    regenerateRecoveryCodes: async (code) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const response = await axios.post(`${API_URL}/2fa/recovery-codes`, { code });
+            set({ isLoading: false, success: true });
+            toast.success("New recovery codes generated");
+            return response.data.recoveryCodes;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to regenerate recovery codes";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return null;
+        }
+    },
+
+    // ===========================
+    // 🔑 PASSKEY MANAGEMENT FUNCTIONS
+    // ===========================
+
+    /**
+     * Fetches the passkeys registered by the current user.
+     *
+     * @returns {Promise<boolean>} - true if passkeys were fetched, false otherwise
+     */
+    getPasskeys: async () => {
+        set({ error: null });
+
+        try {
+            const response = await axios.get(`${API_URL}/webauthn/credentials`);
+            set({ passkeys: response.data.passkeys });
+            return true;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to fetch passkeys";
+            set({ error: message });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Registers a new passkey on this device for the current user.
+     *
+     * @param {string} name - Label to recognise the passkey later (e.g. "Laptop")
+     * @param {string} password - Current password
+     * @param {string} [code] - Authentication code (required when 2FA is enabled)
+     * @returns {Promise<boolean>} - true if passkey registered, false otherwise
+     */
+    registerPasskey: async (name, password, code) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            const optionsResponse = await axios.post(`${API_URL}/webauthn/register/options`, {
+                password,
+                code: code || undefined,
+            });
+
+            const attestation = await startRegistration({
+                optionsJSON: optionsResponse.data.options,
+            });
+
+            const response = await axios.post(`${API_URL}/webauthn/register/verify`, {
+                response: attestation,
+                name,
+            });
+
+            set({
+                passkeys: [response.data.passkey, ...get().passkeys],
+                isLoading: false,
+                success: true,
+            });
+
+            toast.success("Passkey added");
+            return true;
+        } catch (error) {
+            const message =
+                error?.response?.data?.message || error?.message || "Failed to add passkey";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    /**
+     * Deletes one of the current user's passkeys.
+     *
+     * @param {string} passkeyId - ID of the passkey to delete
+     * @returns {Promise<boolean>} - true if passkey deleted, false otherwise
+     */
+    deletePasskey: async (passkeyId) => {
+        set({ isLoading: true, error: null, success: false });
+
+        try {
+            await axios.delete(`${API_URL}/webauthn/credentials/${passkeyId}`);
+
+            set({
+                passkeys: get().passkeys.filter((passkey) => passkey._id !== passkeyId),
+                isLoading: false,
+                success: true,
+            });
+
+            toast.success("Passkey removed");
+            return true;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to remove passkey";
+            set({ isLoading: false, error: message, success: false });
+            toast.error(message);
+            return false;
+        }
+    },
+
+    // ===========================
+    // 🧩 OPENID CONNECT CONSENT FUNCTIONS
+    // ===========================
+
+    /**
+     * Loads which application is asking to sign the user in, and for which scopes.
+     *
+     * @param {string} request - Signed authorization request from the consent URL
+     * @returns {Promise<{client: {name: string}, scopes: string[]}|null>} - request details, or null on failure
+     */
+    getConsentDetails: async (request) => {
+        set({ isLoading: true, error: null });
+
+        try {
+            const response = await axios.get(`${OIDC_API_URL}/consent`, { params: { request } });
+            set({ isLoading: false });
+            return { client: response.data.client, scopes: response.data.scopes };
+        } catch (error) {
+            const message = error?.response?.data?.message || "Invalid sign-in request";
+            set({ isLoading: false, error: message });
+            return null;
+        }
+    },
+
+    /**
+     * Allows or denies an application's sign-in request.
+     *
+     * @param {string} request - Signed authorization request from the consent URL
+     * @param {boolean} approve - true to allow, false to deny
+     * @returns {Promise<string|null>} - URL to send the browser back to the application, or null on failure
+     */
+    submitConsent: async (request, approve) => {
+        set({ isLoading: true, error: null });
+
+        try {
+            const response = await axios.post(`${OIDC_API_URL}/consent`, { request, approve });
+            set({ isLoading: false });
+            return response.data.redirectTo;
+        } catch (error) {
+            const message = error?.response?.data?.message || "Failed to complete sign-in request";
+            set({ isLoading: false, error: message });
+            toast.error(message);
+            return null;
+        }
+    },
 }));